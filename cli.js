@@ -4,34 +4,130 @@
  * Cascade Multiagent - Command Line Interface
  *
  * Usage:
+ *   node cli.js targets             - List Windsurf windows and webviews
  *   node cli.js connect [port]      - Connect to Windsurf (default port: 9333)
  *   node cli.js mount              - Hijack the UI
  *   node cli.js restore             - Restore original UI
  *   node cli.js send <panel> <msg>  - Send message to panel
+ *   node cli.js ask <msg> --n 3     - Ask several panels, combine the answers
+ *   node cli.js label <panel> <name> - Label a panel ("builder-1")
  *   node cli.js status              - Show connection status
  *   node cli.js list                - List all panels
+ *   node cli.js rollback [id]       - List checkpoints or restore one
+ *   node cli.js run <workflow>      - Run a YAML or JSON workflow file
+ *
+ * <panel> is an index (0, 1, ...), a stable panel ID or a label.
+ * --target picks the window by title regex, workspace path or target ID.
+ * Settings come from cascade.config.js or .cascaderc.json (or --config),
+ * then CASCADE_* environment variables, then flags.
  */
 
-const { program } = require('commander');
+const { program, InvalidArgumentError } = require('commander');
 const cascade = require('./index');
 
+// Numeric refs are indexes, anything else is a panel ID, label or agent name
+function parsePanelRef(value) {
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
+// Load the configuration, with the shared --port / --target options over it
+function configure(options, port = options.port) {
+  const config = cascade.loadConfig({
+    file: program.opts().config,
+    overrides: {
+      connection: { port: port === undefined ? undefined : Number(port), target: options.target }
+    }
+  });
+  cascade.configure(config);
+  return config;
+}
+
+// Connect using the configuration and the shared --port / --target options
+function connectWith(options, port = options.port) {
+  configure(options, port);
+  return cascade.connect();
+}
+
+// Report reconnects and reloads for long-running commands
+function watchConnection() {
+  const controller = cascade.defaultController;
+
+  controller.on('disconnected', ({ reason, unexpected }) => {
+    if (unexpected) console.log(`⚠ Connection lost (${reason}), reconnecting...`);
+  });
+  controller.on('reconnected', ({ attempts, remounted }) => {
+    console.log(`✓ Reconnected after ${attempts} attempt(s)${remounted ? ', UI remounted' : ''}`);
+  });
+  controller.on('reloaded', ({ remounted, error }) => {
+    if (remounted) console.log('✓ Window reloaded, UI remounted');
+    else if (error) console.log('⚠ Window reloaded, remount failed:', error.message);
+  });
+  controller.on('reconnect-failed', ({ attempts, error }) => {
+    console.error(`✗ Reconnect failed after ${attempts} attempt(s):`, error?.message);
+    process.exit(1);
+  });
+}
+
+// Length of the common prefix of two strings
+function commonPrefix(a, b) {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) i++;
+  return i;
+}
+
+function describePanel(panel) {
+  return panel.label ? `${panel.label} (${panel.id})` : panel.id;
+}
+
 program
   .name('cascade-multiagent')
   .description('CDP-based Windsurf Cascade automation with multi-agent support')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--config <file>', 'Config file (default: cascade.config.js or .cascaderc.json)');
+
+program
+  .command('targets')
+  .description('List Windsurf windows and webviews available over CDP')
+  .option('-p, --port <port>', 'CDP port (default: connection.port, 9333)')
+  .action(async (options) => {
+    try {
+      configure(options);
+      const targets = await cascade.listTargets();
+      console.log(`\nFound ${targets.length} target(s):\n`);
+
+      targets.forEach((target, i) => {
+        const kind = target.workbench ? 'window' : target.type;
+        console.log(`[${i}] ${target.title || '(untitled)'} (${kind})`);
+        console.log(`  ID: ${target.id}`);
+        console.log(`  Workspace: ${target.workspace || '(none)'}`);
+        console.log(`  URL: ${target.url}`);
+        console.log('');
+      });
+
+      console.log('Use --target <title regex | workspace path | ID> to pick one.');
+      await cascade.disconnect();
+    } catch (error) {
+      console.error('✗ Listing targets failed:', error.message);
+      process.exit(1);
+    }
+  });
 
 program
   .command('connect')
   .description('Connect to Windsurf via CDP')
-  .argument('[port]', 'CDP port', '9333')
-  .action(async (port) => {
+  .argument('[port]', 'CDP port (default: connection.port, 9333)')
+  .option('-t, --target <selector>', 'Window title regex, workspace path or target ID')
+  .action(async (port, options) => {
     try {
-      console.log(`Connecting to Windsurf on port ${port}...`);
-      const result = await cascade.connect(parseInt(port));
+      const config = configure(options, port);
+      console.log(`Connecting to Windsurf on port ${config.connection.port}...`);
+      const result = await cascade.connect();
       console.log('✓ Connected successfully');
       console.log(`  Page: ${result.pageTitle}`);
+      console.log(`  Workspace: ${result.target.workspace || '(unknown)'}`);
 
       // Keep alive
+      watchConnection();
       console.log('\nConnection established. Press Ctrl+C to disconnect.');
       await new Promise(() => {}); // Never resolves
     } catch (error) {
@@ -43,11 +139,13 @@ program
 program
   .command('mount')
   .description('Hijack Windsurf UI and replace with custom interface')
-  .option('-p, --port <port>', 'CDP port', '9333')
+  .option('-p, --port <port>', 'CDP port (default: connection.port, 9333)')
+  .option('-t, --target <selector>', 'Window title regex, workspace path or target ID')
   .action(async (options) => {
     try {
-      console.log(`Connecting to Windsurf on port ${options.port}...`);
-      await cascade.connect(parseInt(options.port));
+      const config = configure(options);
+      console.log(`Connecting to Windsurf on port ${config.connection.port}...`);
+      await cascade.connect();
       console.log('✓ Connected');
 
       console.log('Trusting workspace...');
@@ -66,6 +164,7 @@ program
       console.log(`  Custom UI mounted: ${result.ui.mounted}`);
 
       console.log('\nHijack complete. Press Ctrl+C to restore and exit.');
+      watchConnection();
 
       // Handle Ctrl+C
       process.on('SIGINT', async () => {
@@ -89,11 +188,12 @@ program
 program
   .command('restore')
   .description('Restore original Windsurf UI')
-  .option('-p, --port <port>', 'CDP port', '9333')
+  .option('-p, --port <port>', 'CDP port (default: connection.port, 9333)')
+  .option('-t, --target <selector>', 'Window title regex, workspace path or target ID')
   .action(async (options) => {
     try {
       console.log('Connecting to restore UI...');
-      await cascade.connect(parseInt(options.port));
+      await connectWith(options);
 
       console.log('Restoring original UI...');
       const result = await cascade.restoreUI();
@@ -114,37 +214,54 @@ program
 program
   .command('send')
   .description('Send a message to a Cascade panel')
-  .argument('<panel>', 'Panel index (0, 1, 2, ...)')
+  .argument('<panel>', 'Panel index, ID or label')
   .argument('<message>', 'Message to send')
-  .option('-p, --port <port>', 'CDP port', '9333')
+  .option('-p, --port <port>', 'CDP port (default: connection.port, 9333)')
+  .option('-t, --target <selector>', 'Window title regex, workspace path or target ID')
   .option('--no-submit', 'Type message without submitting')
-  .action(async (panelIndex, message, options) => {
+  .option('-m, --mode <mode>', 'Insertion mode: type, insert or paste (default: input.mode, type)')
+  .action(async (panelRef, message, options) => {
     try {
       console.log('Connecting...');
-      await cascade.connect(parseInt(options.port));
+      const config = configure(options);
+      await cascade.connect();
+
+      const panel = parsePanelRef(panelRef);
+      console.log(`Sending message to panel ${panel}...`);
 
-      const index = parseInt(panelIndex);
-      console.log(`Sending message to panel ${index}...`);
+      // Observe before submitting, so the first tokens are not taken as baseline
+      const stream = options.submit !== false
+        ? await cascade.streamResponse(panel, { timeoutMs: config.timeouts.response })
+        : null;
 
-      const result = await cascade.send(index, message, {
-        submit: options.submit !== false
+      const result = await cascade.send(panel, message, {
+        submit: options.submit !== false,
+        mode: options.mode
       });
 
       if (result.sent) {
         console.log('✓ Message sent successfully');
 
-        if (options.submit !== false) {
+        if (stream) {
           console.log('Waiting for response...');
-          const response = await cascade.getResponse(index, 15000);
 
-          if (response.stable) {
-            console.log('\n--- Response ---');
-            console.log(response.response);
-          } else {
-            console.log('⚠ Response timeout');
+          // Cascade re-renders blocks in place; print only what goes past the text already shown
+          let printed = '';
+          stream.once('start', () => console.log('\n--- Response ---'));
+          stream.on('delta', () => {
+            process.stdout.write(stream.text.slice(commonPrefix(printed, stream.text)));
+            printed = stream.text;
+          });
+
+          try {
+            await stream.finished();
+            process.stdout.write('\n');
+          } catch (error) {
+            console.log(`\n⚠ ${error.message}`);
           }
         }
       } else {
+        stream?.close();
         console.log('✗ Send failed:', result.error || 'Button not enabled');
       }
 
@@ -155,14 +272,132 @@ program
     }
   });
 
+// Split a comma-separated list of panel refs
+function parsePanelList(value) {
+  return value.split(',').map(ref => parsePanelRef(ref.trim())).filter(ref => ref !== '');
+}
+
+program
+  .command('ask')
+  .description('Ask the same question on several panels at once and combine the answers')
+  .argument('<message>', 'Question to ask')
+  .option('-n, --n <count>', 'Number of panels (consensus-1 ... consensus-N, spawned when missing)', '3')
+  .option('-s, --strategy <strategy>', 'vote (majority answer), judge (another panel picks) or compare', 'vote')
+  .option('--panels <refs>', 'Comma-separated panels to ask instead of consensus-N', parsePanelList)
+  .option('--judge <panel>', 'Judge panel (default: consensus-judge)')
+  .option('-p, --port <port>', 'CDP port (default: connection.port, 9333)')
+  .option('-t, --target <selector>', 'Window title regex, workspace path or target ID')
+  .option('--timeout <ms>', 'Time per answer (default: timeouts.response, 60000)')
+  .option('-m, --mode <mode>', 'Insertion mode: type, insert or paste (default: input.mode, type)')
+  .action(async (message, options) => {
+    try {
+      const config = configure(options);
+      await cascade.connect();
+
+      const result = await cascade.consensus(message, {
+        n: parseInt(options.n, 10),
+        strategy: options.strategy,
+        panels: options.panels,
+        judge: options.judge === undefined ? undefined : parsePanelRef(options.judge),
+        timeoutMs: options.timeout ? parseInt(options.timeout, 10) : config.timeouts.response,
+        mode: options.mode,
+        onReply: reply => {
+          const who = reply.label || reply.panelId;
+          if (reply.status === 'completed') console.log(`✓ ${who}: ${reply.answer}`);
+          else console.log(`✗ ${who}: ${reply.error || reply.status}`);
+        }
+      });
+
+      if (result.strategy === 'compare' || !result.winner) {
+        console.log(`\n${result.comparison}`);
+      }
+      if (result.judge) {
+        const picked = result.winner ? (result.winner.label || result.winner.panelId) : 'nothing';
+        console.log(`\n⚖ ${result.judge.label || result.judge.panelId} picked ${picked}${result.judge.reason ? `: ${result.judge.reason}` : ''}`);
+      }
+      if (result.winner) {
+        const agreed = result.votes.find(vote => vote.panels.includes(result.winner.label || result.winner.panelId));
+        console.log(`\n✓ ${result.answer} (${agreed ? agreed.count : 1}/${result.n} agree)`);
+        console.log('\n--- Response ---');
+        console.log(result.response);
+      }
+      if (result.error) {
+        console.log(`\n✗ ${result.error}`);
+        process.exitCode = 1;
+      }
+
+      await cascade.disconnect();
+    } catch (error) {
+      console.error('✗ Ask failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('label')
+  .description('Give a Cascade panel a human-readable label')
+  .argument('<panel>', 'Panel index, ID or label')
+  .argument('<label>', 'New label, e.g. builder-1')
+  .option('-p, --port <port>', 'CDP port (default: connection.port, 9333)')
+  .option('-t, --target <selector>', 'Window title regex, workspace path or target ID')
+  .action(async (panelRef, label, options) => {
+    try {
+      await connectWith(options);
+
+      const result = await cascade.labelPanel(parsePanelRef(panelRef), label);
+
+      if (result.labeled) {
+        console.log(`✓ Panel ${result.index} is now ${describePanel(result)}`);
+      } else {
+        console.log('✗ Label failed:', result.error);
+      }
+
+      await cascade.disconnect();
+    } catch (error) {
+      console.error('✗ Label failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('stop')
+  .description('Stop the response a Cascade panel is generating')
+  .argument('<panel>', 'Panel index, ID or label')
+  .option('-p, --port <port>', 'CDP port (default: connection.port, 9333)')
+  .option('-t, --target <selector>', 'Window title regex, workspace path or target ID')
+  .option('--timeout <ms>', 'How long to wait for the panel to go idle', '10000')
+  .action(async (panelRef, options) => {
+    try {
+      await connectWith(options);
+
+      const result = await cascade.cancel(parsePanelRef(panelRef), {
+        timeoutMs: parseInt(options.timeout, 10)
+      });
+
+      if (result.cancelled) {
+        console.log(`✓ Stopped ${result.panelId}, panel is idle`);
+      } else if (result.idle) {
+        console.log(`✓ ${result.panelId} was not generating`);
+      } else {
+        console.log('✗ Stop failed:', result.error);
+      }
+
+      await cascade.disconnect();
+    } catch (error) {
+      console.error('✗ Stop failed:', error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('status')
   .description('Show connection and mount status')
-  .option('-p, --port <port>', 'CDP port', '9333')
+  .option('-p, --port <port>', 'CDP port (default: connection.port, 9333)')
+  .option('-t, --target <selector>', 'Window title regex, workspace path or target ID')
   .action(async (options) => {
     try {
       console.log('Connecting...');
-      await cascade.connect(parseInt(options.port));
+      await connectWith(options);
       console.log('✓ Connected to Windsurf');
 
       console.log('\nListing panels...');
@@ -170,7 +405,7 @@ program
       console.log(`Found ${panels.length} panel(s):`);
 
       panels.forEach(panel => {
-        console.log(`  [${panel.index}] ${panel.visible ? '👁' : '🚫'} ${panel.inputContent || '(empty)'}`);
+        console.log(`  [${panel.index}] ${describePanel(panel)} ${panel.visible ? '👁' : '🚫'} ${panel.inputContent || '(empty)'}`);
       });
 
       const mountStatus = cascade.getHijackStatus();
@@ -192,11 +427,12 @@ program
 program
   .command('list')
   .description('List all Cascade panels')
-  .option('-p, --port <port>', 'CDP port', '9333')
+  .option('-p, --port <port>', 'CDP port (default: connection.port, 9333)')
+  .option('-t, --target <selector>', 'Window title regex, workspace path or target ID')
   .action(async (options) => {
     try {
       console.log('Connecting...');
-      await cascade.connect(parseInt(options.port));
+      await connectWith(options);
 
       const panels = await cascade.listPanels();
       console.log(`\nFound ${panels.length} panel(s):\n`);
@@ -208,6 +444,8 @@ program
           const status = panel.visible ? '✓ visible' : '✗ hidden';
           const enabled = panel.buttonEnabled ? '✓ enabled' : '✗ disabled';
           console.log(`Panel ${panel.index}:`);
+          console.log(`  ID: ${panel.id}`);
+          console.log(`  Label: ${panel.label || '(none)'}`);
           console.log(`  Status: ${status}`);
           console.log(`  Button: ${enabled}`);
           console.log(`  Input: ${panel.inputContent || '(empty)'}`);
@@ -222,4 +460,292 @@ program
     }
   });
 
+program
+  .command('agents')
+  .description('List agents, or bind one to a panel and prime it with its role prompt')
+  .argument('[name]', 'Agent to activate, e.g. builder')
+  .option('-p, --port <port>', 'CDP port (default: connection.port, 9333)')
+  .option('-t, --target <selector>', 'Window title regex, workspace path or target ID')
+  .option('--panel <panel>', 'Claim this panel instead of spawning one')
+  .option('--no-prime', 'Bind without sending the role prompt')
+  .option('--release', 'Release the agent\'s panel binding')
+  .action(async (name, options) => {
+    try {
+      await connectWith(options);
+
+      if (name && options.release) {
+        const result = await cascade.deactivateAgent(name);
+        console.log(result.deactivated ? `✓ Released ${result.panelId}` : `✗ ${result.error || `${name} is not active`}`);
+      } else if (name) {
+        const result = await cascade.activateAgent(name, {
+          panel: options.panel === undefined ? undefined : parsePanelRef(options.panel),
+          prime: options.prime
+        });
+
+        if (!result.activated) {
+          console.log('✗ Activation failed:', result.error);
+        } else {
+          console.log(`✓ ${name} is on ${describePanel({ id: result.panelId, label: result.label })}${result.spawned ? ' (spawned)' : ''}`);
+          if (result.error) console.log('⚠ Priming failed:', result.error);
+        }
+      } else {
+        const agents = await cascade.listAgents();
+        agents.forEach(agent => {
+          const binding = agent.panelId ? describePanel({ id: agent.panelId, label: agent.label }) : 'inactive';
+          console.log(`${agent.emoji} ${agent.name.padEnd(10)} ${binding}`);
+          console.log(`   ${agent.capabilities.join(', ')}`);
+        });
+      }
+
+      await cascade.disconnect();
+    } catch (error) {
+      console.error('✗ Agents failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Queue commands work on the queue file; only `queue run` connects
+const queueCommand = program
+  .command('queue')
+  .description('Manage the persistent task queue');
+
+function describeTask(item) {
+  const target = item.panel ?? item.role;
+  const deps = item.dependsOn.length > 0 ? ` after ${item.dependsOn.join(', ')}` : '';
+  const task = typeof item.task === 'string' ? item.task : JSON.stringify(item.task);
+  return `${item.id} [${item.status}] ${item.priority}${target !== null ? ` → ${target}` : ''}${deps}: ${task}`;
+}
+
+queueCommand
+  .command('add')
+  .description('Add a task')
+  .argument('<task>', 'Task description, sent as the message')
+  .option('-f, --file <file>', 'Queue file', cascade.DEFAULT_QUEUE_FILE)
+  .option('--priority <priority>', 'low, normal, high or critical', 'normal')
+  .option('--depends-on <ids>', 'Comma-separated IDs of tasks that must complete first')
+  .option('--role <agent>', 'Run on this agent\'s panel')
+  .option('--panel <panel>', 'Run on this panel (index, ID or label)')
+  .action((task, options) => {
+    try {
+      const queue = cascade.TaskQueue.load(options.file);
+      const id = queue.enqueue(task, {
+        priority: options.priority,
+        dependsOn: options.dependsOn ? options.dependsOn.split(',').map(dep => dep.trim()) : [],
+        role: options.role || null,
+        panel: options.panel === undefined ? null : parsePanelRef(options.panel)
+      });
+      console.log(`✓ ${describeTask(queue.get(id))}`);
+    } catch (error) {
+      console.error('✗ Add failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+queueCommand
+  .command('list')
+  .description('List tasks')
+  .option('-f, --file <file>', 'Queue file', cascade.DEFAULT_QUEUE_FILE)
+  .option('-s, --status <status>', 'Only pending, active, completed, failed or cancelled tasks')
+  .action((options) => {
+    try {
+      const queue = cascade.TaskQueue.load(options.file);
+      const stats = queue.stats();
+      console.log(`${stats.pending} pending, ${stats.active} active, ${stats.completed} completed, ${stats.failed} failed\n`);
+
+      queue.list(options.status).forEach(item => {
+        console.log(describeTask(item));
+        if (item.error) console.log(`    ${item.error}`);
+      });
+    } catch (error) {
+      console.error('✗ List failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+queueCommand
+  .command('cancel')
+  .description('Cancel a pending or active task; tasks depending on it fail')
+  .argument('<id>', 'Task ID')
+  .option('-f, --file <file>', 'Queue file', cascade.DEFAULT_QUEUE_FILE)
+  .action((id, options) => {
+    try {
+      const queue = cascade.TaskQueue.load(options.file);
+      queue.cancel(id);
+      console.log(`✓ Cancelled ${id}`);
+      queue.list('failed')
+        .filter(item => item.error === `Dependency ${id} failed`)
+        .forEach(item => console.log(`  also failed: ${item.id}`));
+    } catch (error) {
+      console.error('✗ Cancel failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+queueCommand
+  .command('run')
+  .description('Run ready tasks on their panels until the queue is drained')
+  .option('-f, --file <file>', 'Queue file', cascade.DEFAULT_QUEUE_FILE)
+  .option('-p, --port <port>', 'CDP port (default: connection.port, 9333)')
+  .option('-t, --target <selector>', 'Window title regex, workspace path or target ID')
+  .option('-c, --concurrency <n>', 'Tasks running at once', '2')
+  .option('--timeout <ms>', 'Time per task (default: timeouts.task, 300000)')
+  .option('--pool', 'Run role tasks on an agent pool that spawns panels while tasks wait (agents.<role>.instances)')
+  .action(async (options) => {
+    try {
+      const queue = cascade.TaskQueue.load(options.file, { resume: true });
+      const config = configure(options);
+      await cascade.connect();
+      watchConnection();
+
+      let pool = null;
+      if (options.pool) {
+        pool = new cascade.AgentPool({ config, hub: cascade.defaultController });
+        if (pool.roles.size === 0) {
+          throw new Error('No pooled roles. Set agents.<role>.instances in the config');
+        }
+        pool.on('added', ({ label, spare }) => console.log(`+ ${label}${spare ? ' (spare)' : ''}`));
+        pool.on('retired', ({ label, reason }) => console.log(`- ${label} (${reason})`));
+        pool.on('capped', ({ role, maxPanels }) => console.log(`⚠ ${role} waits: ${maxPanels} panels open`));
+        await pool.start();
+      }
+
+      queue.on('started', item => console.log(`→ ${item.id} on ${item.assignedTo}`));
+      queue.on('completed', item => console.log(`✓ ${item.id}`));
+      queue.on('failed', item => console.log(`✗ ${item.id}: ${item.error}`));
+
+      const stats = await queue.drain(cascade.defaultController, {
+        concurrency: parseInt(options.concurrency, 10),
+        timeoutMs: options.timeout ? parseInt(options.timeout, 10) : config.timeouts.task,
+        pool
+      });
+      console.log(`\n${stats.completed} completed, ${stats.failed} failed, ${stats.pending} still pending`);
+      if (pool) {
+        pool.stats().panels.forEach(panel => {
+          console.log(`  ${panel.label}: ${panel.completed} done, ${panel.failed} failed, ${Math.round(panel.utilization * 100)}% load`);
+        });
+        pool.stop();
+      }
+
+      await cascade.disconnect();
+    } catch (error) {
+      console.error('✗ Queue run failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+function describeCheckpoint(checkpoint) {
+  const when = new Date(checkpoint.createdAt).toLocaleString();
+  const who = [checkpoint.agent, checkpoint.task].filter(Boolean).join(' · ');
+  return `${checkpoint.id}  ${when}${who ? `  ${who}` : ''}${checkpoint.label ? `  ${checkpoint.label}` : ''}`;
+}
+
+// Works on the workspace's git repo; does not connect
+program
+  .command('rollback')
+  .description('Restore the workspace to a checkpoint taken before an agent step; without an ID, list checkpoints')
+  .argument('[id]', 'Checkpoint ID or unique prefix')
+  .option('-d, --dir <dir>', 'Workspace directory', process.cwd())
+  .option('--agent <agent>', 'Only checkpoints taken before this agent\'s steps')
+  .option('--task <task>', 'Only checkpoints of this task')
+  .option('--last', 'Roll back to the newest matching checkpoint')
+  .action(async (id, options) => {
+    try {
+      const checkpoints = new cascade.CheckpointStore({ root: options.dir });
+      const matching = await checkpoints.list({ agent: options.agent, task: options.task });
+
+      if (!id && !options.last) {
+        if (matching.length === 0) {
+          console.log('No checkpoints');
+          return;
+        }
+        matching.forEach(checkpoint => console.log(describeCheckpoint(checkpoint)));
+        return;
+      }
+
+      const target = id || matching[0]?.id;
+      if (!target) {
+        console.error('✗ No matching checkpoint');
+        process.exit(1);
+      }
+
+      const result = await checkpoints.rollback(target);
+      console.log(`✓ Rolled back to ${result.id}: ${result.restored.length} restored, ${result.removed.length} removed`);
+      result.restored.forEach(file => console.log(`  restored ${file}`));
+      result.removed.forEach(file => console.log(`  removed  ${file}`));
+      console.log(`  Undo with: node cli.js rollback ${result.backup}`);
+    } catch (error) {
+      console.error('✗ Rollback failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Collect repeated --var key=value options
+function collectVariable(value, variables) {
+  const eq = value.indexOf('=');
+  if (eq <= 0) {
+    throw new InvalidArgumentError(`Expected key=value, got "${value}"`);
+  }
+  return { ...variables, [value.slice(0, eq)]: value.slice(eq + 1) };
+}
+
+program
+  .command('run')
+  .description('Run a workflow file of agent steps and write a JSON report')
+  .argument('<workflow>', 'Workflow file (.yml, .yaml or .json)')
+  .option('-p, --port <port>', 'CDP port (default: connection.port, 9333)')
+  .option('-t, --target <selector>', 'Window title regex, workspace path or target ID')
+  .option('--var <key=value>', 'Set a workflow variable (repeatable)', collectVariable, {})
+  .option('-o, --out <file>', 'Report file (default: .cascade/runs/<name>-<run>.json)')
+  .option('--mode <mode>', 'Input mode: type, insert or paste (default: orchestrator.inputMode, paste)')
+  .option('--timeout <ms>', 'Time per step without its own timeoutMs (default: timeouts.task, 300000)')
+  .option('--dry-run', 'Validate the workflow and list its steps without running it')
+  .action(async (file, options) => {
+    try {
+      const workflow = cascade.loadWorkflow(file);
+      const missing = cascade.missingVariables(workflow, { ...workflow.variables, ...options.var });
+      if (missing.length > 0) {
+        throw new Error(`Undefined variables: ${missing.join(', ')}. Set them with --var key=value`);
+      }
+
+      if (options.dryRun) {
+        console.log(`✓ ${workflow.name}: ${workflow.steps.length} step(s)`);
+        workflow.steps.forEach(step => {
+          const deps = step.dependsOn.length > 0 ? ` after ${step.dependsOn.join(', ')}` : '';
+          console.log(`  ${step.id} → ${step.role ?? step.panel}${deps}${step.retries ? `, ${step.retries} retr${step.retries === 1 ? 'y' : 'ies'}` : ''}`);
+        });
+        return;
+      }
+
+      const config = configure(options);
+      await cascade.connect();
+      watchConnection();
+
+      const runner = new cascade.WorkflowRunner({
+        config,
+        hub: cascade.defaultController,
+        variables: options.var,
+        mode: options.mode,
+        timeoutMs: options.timeout ? parseInt(options.timeout, 10) : undefined
+      });
+      runner.on('panel', ({ role, label }) => console.log(`+ ${role} panel ${label}`));
+      runner.on('progress', ({ step, status, message }) => {
+        const icon = { completed: '✓', failed: '✗', skipped: '-' }[status] || '→';
+        console.log(`${icon} [${step}] ${status}${message ? `: ${message}` : ''}`);
+      });
+
+      const report = await runner.run(workflow);
+      const out = cascade.writeReport(report, options.out);
+      const counts = ['completed', 'failed', 'skipped']
+        .map(status => `${report.steps.filter(step => step.status === status).length} ${status}`);
+      console.log(`\n${report.status === 'completed' ? '✓' : '✗'} ${workflow.name} ${report.status}: ${counts.join(', ')}`);
+      console.log(`  Report: ${out}`);
+
+      await cascade.disconnect();
+      if (report.status !== 'completed') process.exitCode = 1;
+    } catch (error) {
+      console.error('✗ Run failed:', error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
@@ -11,16 +11,51 @@
  *   const response = await cascade.getResponse(0);
  *   await cascade.restoreUI();
  *   await cascade.disconnect();
+ *
+ *   // One controller per Windsurf window
+ *   const second = new cascade.CascadeController({ port: 9334 });
+ *   await second.connect();
+ *
+ *   // Settings from cascade.config.js or .cascaderc.json, CASCADE_* variables
+ *   cascade.configure(cascade.loadConfig());
+ *
+ *   // Ask three panels, keep the majority answer
+ *   const { answer, agreement } = await cascade.consensus('Is this migration reversible?', { n: 3 });
+ *
+ *   // Split a task across role-bound panels
+ *   const orch = new cascade.Orchestrator({ port: 9333 });
+ *   await orch.connect();
+ *   const result = await orch.execute('Add dark mode support to the settings page');
  */
 
 const cascadeController = require('./src/cascade-controller');
+const config = require('./src/config');
+const agents = require('./src/agents');
+const agentPool = require('./src/agent-pool');
+const orchestrator = require('./src/orchestrator');
+const queue = require('./src/queue');
+const memory = require('./src/memory');
+const safety = require('./src/safety');
+const messageBus = require('./src/message-bus');
+const conflicts = require('./src/conflicts');
+const workflow = require('./src/workflow');
+const checkpoints = require('./src/checkpoints');
+const planner = require('./src/planner');
+const scheduler = require('./src/scheduler');
+const synthesizer = require('./src/synthesizer');
 
 // Re-export all functions from cascade-controller
 module.exports = {
   // Connection management
+  listTargets: cascadeController.listTargets,
   connect: cascadeController.connect,
   disconnect: cascadeController.disconnect,
 
+  // Configuration
+  configure: cascadeController.configure,
+  loadConfig: config.loadConfig,
+  validateConfig: config.validateConfig,
+
   // Workspace setup
   trustWorkspace: cascadeController.trustWorkspace,
 
@@ -29,13 +64,81 @@ module.exports = {
   listPanels: cascadeController.listPanels,
   getPanelState: cascadeController.getPanelState,
   spawnCascade: cascadeController.spawnCascade,
+  resolvePanel: cascadeController.resolvePanel,
+  labelPanel: cascadeController.labelPanel,
+
+  // Agents
+  listAgents: cascadeController.listAgents,
+  activateAgent: cascadeController.activateAgent,
+  deactivateAgent: cascadeController.deactivateAgent,
+  Agent: agents.Agent,
+  loadAgents: agents.loadAgents,
+  AgentPool: agentPool.AgentPool,
 
   // Messaging
   send: cascadeController.send,
+  cancel: cascadeController.cancel,
   getResponse: cascadeController.getResponse,
+  ask: cascadeController.ask,
+  consensus: cascadeController.consensus,
+  getConversation: cascadeController.getConversation,
+  streamResponse: cascadeController.streamResponse,
+
+  // Approvals
+  getPendingApprovals: cascadeController.getPendingApprovals,
+  resolveApproval: cascadeController.resolveApproval,
+  watchApprovals: cascadeController.watchApprovals,
+  unwatchApprovals: cascadeController.unwatchApprovals,
+  getApprovalLog: cascadeController.getApprovalLog,
+  ApprovalPolicy: cascadeController.ApprovalPolicy,
+
+  // File edits
+  getFileEdits: cascadeController.getFileEdits,
+  saveEditPatches: cascadeController.saveEditPatches,
+  resolveFileEdit: cascadeController.resolveFileEdit,
+
+  // Keyboard
+  pressShortcut: cascadeController.pressShortcut,
 
   // UI Hijacking
   mountCustomUI: cascadeController.mountCustomUI,
   getMountStatus: cascadeController.getMountStatus,
-  restoreUI: cascadeController.restoreUI
+  restoreUI: cascadeController.restoreUI,
+
+  // Task queue
+  TaskQueue: queue.TaskQueue,
+  DEFAULT_QUEUE_FILE: queue.DEFAULT_QUEUE_FILE,
+
+  // Shared memory
+  setContextProvider: cascadeController.setContextProvider,
+  SharedMemory: memory.SharedMemory,
+  DEFAULT_MEMORY_FILE: memory.DEFAULT_MEMORY_FILE,
+
+  // Safety
+  setSafety: cascadeController.setSafety,
+  SafetyLayer: safety.SafetyLayer,
+  SafetyError: safety.SafetyError,
+  CheckpointStore: checkpoints.CheckpointStore,
+  // Conflicts
+  watchConflicts: cascadeController.watchConflicts,
+  unwatchConflicts: cascadeController.unwatchConflicts,
+  getConflicts: cascadeController.getConflicts,
+  resolveConflict: cascadeController.resolveConflict,
+  ConflictDetector: conflicts.ConflictDetector,
+
+  // Workflows
+  WorkflowRunner: workflow.WorkflowRunner,
+  loadWorkflow: workflow.loadWorkflow,
+  missingVariables: workflow.missingVariables,
+  writeReport: workflow.writeReport,
+  // Orchestration
+  Orchestrator: orchestrator.Orchestrator,
+  MessageBus: messageBus.MessageBus,
+  Planner: planner.Planner,
+  Scheduler: scheduler.Scheduler,
+  Synthesizer: synthesizer.Synthesizer,
+
+  // Multi-instance control
+  CascadeController: cascadeController.CascadeController,
+  defaultController: cascadeController.defaultController
 };
@@ -0,0 +1,530 @@
+/**
+ * Agent Pool
+ *
+ * Keeps a number of Cascade panels per role, e.g. { scout: { instances: 2 } },
+ * and hands work to whichever of a role's panels is idle. Panels are
+ * labelled "<role>-<n>" and primed with the role's agent prompt, like the
+ * orchestrator's agents.
+ *
+ * The pool scales itself: requests that find every panel of their role busy
+ * wait, and waiting requests spawn panels up to the role's max and the
+ * window's maxPanels. Panels above the role's instances are retired after
+ * idleTimeoutMs idle, and a panel whose reply errors is replaced. Windsurf
+ * panels cannot be closed over CDP, so a retired panel loses its label and
+ * is kept as a spare the pool claims before spawning another one.
+ *
+ * Usage:
+ *   const pool = new AgentPool({ hub: cascade.defaultController, roles: { scout: { instances: 2, max: 4 } } });
+ *   await pool.start();
+ *   const reply = await pool.ask('scout', 'Find the settings page components');
+ *   pool.stats();
+ */
+
+const { EventEmitter } = require('events');
+const { Mutex } = require('./input-lock');
+const { poolOptions } = require('./config');
+
+/**
+ * Check a role's pool settings and fill in defaults
+ * @param {string} role
+ * @param {number|object} spec - instances, or { instances: 1, max }
+ */
+function normalizeRole(role, spec) {
+  const { instances = 1, max = Infinity } = typeof spec === 'number' ? { instances: spec } : spec;
+  if (!Number.isInteger(instances) || instances < 0) {
+    throw new Error(`Pool role "${role}": instances must be a whole number, got ${instances}`);
+  }
+  if (max < Math.max(instances, 1)) {
+    throw new Error(`Pool role "${role}": max (${max}) is below instances (${instances})`);
+  }
+  return { instances, max };
+}
+
+/**
+ * First "<role>-<n>" label no panel uses
+ * @param {Array} panels - Synced panels
+ * @param {string} role
+ */
+function nextLabel(panels, role) {
+  const used = new Set(panels.map(panel => panel.label));
+  let n = 1;
+  while (used.has(`${role}-${n}`)) n++;
+  return `${role}-${n}`;
+}
+
+class AgentPool extends EventEmitter {
+  /**
+   * @param {object} options - { config, hub, roles, maxPanels: 8, idleTimeoutMs: 300000, intervalMs: 5000, prime: true }
+   *   config is a configuration from loadConfig(): roles come from agents with instances
+   *   (and maxInstances), the rest from its pool section.
+   *   roles maps role → { instances: 1, max } or a number of instances; maxPanels caps
+   *   the panels of the whole window.
+   */
+  constructor(options = {}) {
+    super();
+    if (options.config) {
+      options = poolOptions(options.config, options);
+    }
+    if (!options.hub) {
+      throw new Error('AgentPool needs a hub: new AgentPool({ hub })');
+    }
+    this.hub = options.hub;
+    this.maxPanels = options.maxPanels || 8;
+    this.idleTimeoutMs = options.idleTimeoutMs ?? 300000;
+    this.intervalMs = options.intervalMs || 5000;
+    this.prime = options.prime !== false;
+    this.roles = new Map(Object.entries(options.roles || {})
+      .map(([role, spec]) => [role, normalizeRole(role, spec)]));
+    this.members = new Map();   // Panel ID → { panelId, role, label, status, completed, failed, busyMs, ... }
+    this.spares = new Set();    // Retired panel IDs, claimed before spawning
+    this.waiting = new Map();   // Role → [{ resolve, reject }]
+    this.scaleLock = new Mutex();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Adopt the role panels already open, spawn the missing ones and start
+   * checking for idle and missing panels every intervalMs
+   */
+  async start() {
+    await this.adopt();
+    await this.scale();
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        this.tick().catch(error => this.emit('scale-error', { role: null, error }));
+      }, this.intervalMs);
+      this.timer.unref?.();
+    }
+    this.publish();
+    return this.stats();
+  }
+
+  /**
+   * Stop scaling; requests still waiting for a panel are rejected.
+   * The panels stay open and labelled.
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.waiting.forEach(waiters => waiters.forEach(({ reject }) => reject(new Error('Agent pool stopped'))));
+    this.waiting.clear();
+    this.hub.updatePoolStatus?.(null);
+  }
+
+  /**
+   * Track the open panels labelled for a pooled role
+   */
+  async adopt() {
+    const panels = await this.hub.syncPanelIds();
+    for (const panel of panels) {
+      const match = panel.label && panel.label.toLowerCase().match(/^([a-z][a-z0-9_]*?)(?:-\d+)?$/);
+      const role = match && match[1];
+      if (!role || !this.roles.has(role) || this.members.has(panel.id)) continue;
+      if (this.membersOf(role).length >= this.roles.get(role).max) continue;
+
+      const member = this.track(role, panel.id, panel.label);
+      await this.primePanel(member);
+      member.status = 'idle';
+      this.emit('added', { role, panelId: panel.id, label: panel.label, adopted: true });
+    }
+  }
+
+  /**
+   * Start tracking a panel
+   * @param {string} role
+   * @param {string} panelId
+   * @param {string} label
+   */
+  track(role, panelId, label) {
+    const now = Date.now();
+    const member = {
+      panelId,
+      role,
+      label,
+      status: 'starting',
+      completed: 0,
+      failed: 0,
+      busyMs: 0,
+      busySince: null,
+      idleSince: now,
+      addedAt: now,
+      lastError: null
+    };
+    this.members.set(panelId, member);
+    return member;
+  }
+
+  /**
+   * Send the role's agent prompt to a panel, if the role is an agent
+   * @param {object} member
+   */
+  async primePanel(member) {
+    if (!this.prime) return;
+    const result = await this.hub.getAgent(member.role)?.prime(member.panelId);
+    if (result && !result.primed) {
+      member.lastError = result.error;
+    }
+  }
+
+  /**
+   * Tracked panels of a role
+   * @param {string} role
+   */
+  membersOf(role) {
+    return [...this.members.values()].filter(member => member.role === role);
+  }
+
+  /**
+   * Panels a role should have now: its instances, plus one per request
+   * waiting without an idle panel, up to its max
+   * @param {string} role
+   */
+  targetSize(role) {
+    const { instances, max } = this.roles.get(role);
+    const members = this.membersOf(role);
+    const idle = members.filter(member => member.status === 'idle').length;
+    const waiting = (this.waiting.get(role) || []).length;
+    return Math.min(max, Math.max(instances, members.length + Math.max(0, waiting - idle)));
+  }
+
+  /**
+   * Add panels until every role has its target size, or the window is full
+   */
+  scale() {
+    return this.scaleLock.run(async () => {
+      for (const role of this.roles.keys()) {
+        while (this.membersOf(role).length < this.targetSize(role)) {
+          let member;
+          try {
+            member = await this.addPanel(role);
+          } catch (error) {
+            this.emit('scale-error', { role, error });
+            this.failWaiting(role, error);
+            break;
+          }
+          if (!member) {
+            this.failWaiting(role, new Error(`No panel for ${role}: the window has reached ${this.maxPanels} panels`));
+            break;
+          }
+        }
+      }
+      this.publish();
+    });
+  }
+
+  /**
+   * Add a panel to a role: a spare if there is one, else a spawned panel
+   * @param {string} role
+   * @returns {Promise<object|null>} The new member, or null at maxPanels
+   */
+  async addPanel(role) {
+    const panels = await this.hub.syncPanelIds();
+    const spare = panels.find(panel => this.spares.has(panel.id) && !panel.label);
+    if (!spare && panels.length >= this.maxPanels) {
+      this.emit('capped', { role, maxPanels: this.maxPanels });
+      return null;
+    }
+
+    const label = nextLabel(panels, role);
+    let panelId;
+    if (spare) {
+      this.spares.delete(spare.id);
+      await this.hub.labelPanel(spare.id, label);
+      panelId = spare.id;
+    } else {
+      const result = await this.hub.spawnCascade({ label });
+      if (!result.panelId) {
+        throw new Error(`Could not spawn a panel for ${role}`);
+      }
+      panelId = result.panelId;
+    }
+
+    const member = this.track(role, panelId, label);
+    await this.primePanel(member);
+    member.status = 'idle';
+    member.idleSince = Date.now();
+    this.emit('added', { role, panelId, label, spare: !!spare });
+    this.dispatch(role);
+    return member;
+  }
+
+  /**
+   * Reject the requests waiting for a role that has no panel at all
+   * @param {string} role
+   * @param {Error} error
+   */
+  failWaiting(role, error) {
+    if (this.membersOf(role).length > 0) return;
+    (this.waiting.get(role) || []).forEach(({ reject }) => reject(error));
+    this.waiting.delete(role);
+  }
+
+  /**
+   * Stop tracking a panel and release its label; spare panels are reused
+   * @param {object} member
+   * @param {string} reason - 'idle' or the error of a replaced panel
+   * @param {boolean} spare - Whether the panel may be claimed again
+   */
+  async retire(member, reason, spare = true) {
+    this.members.delete(member.panelId);
+    await this.hub.labelPanel(member.panelId, null).catch(() => {});
+    if (spare) this.spares.add(member.panelId);
+    this.emit('retired', { role: member.role, panelId: member.panelId, label: member.label, reason });
+  }
+
+  /**
+   * Retire a panel that errored and add another in its place. The errored
+   * panel is not kept as a spare.
+   * @param {object} member
+   * @param {string} error
+   */
+  async replace(member, error) {
+    await this.retire(member, error, false);
+
+    let replacement = null;
+    try {
+      replacement = await this.scaleLock.run(() => this.addPanel(member.role));
+    } catch (e) {
+      this.emit('scale-error', { role: member.role, error: e });
+    }
+    if (!replacement) {
+      this.failWaiting(member.role, new Error(`No panel for ${member.role} after ${member.label} errored: ${error}`));
+    }
+    this.emit('replaced', {
+      role: member.role,
+      panelId: member.panelId,
+      label: member.label,
+      error,
+      replacement: replacement ? replacement.label : null
+    });
+    this.publish();
+  }
+
+  /**
+   * Retire panels above their role's instances that have been idle for idleTimeoutMs
+   */
+  async retireIdle() {
+    const now = Date.now();
+    for (const [role, { instances }] of this.roles) {
+      const idle = this.membersOf(role)
+        .filter(member => member.status === 'idle' && now - member.idleSince >= this.idleTimeoutMs)
+        .sort((a, b) => a.idleSince - b.idleSince);
+      let extra = this.membersOf(role).length - instances;
+      for (const member of idle) {
+        if (extra-- <= 0) break;
+        await this.retire(member, 'idle');
+      }
+    }
+  }
+
+  /**
+   * Forget panels that are gone, e.g. closed by hand
+   */
+  async prune() {
+    const open = new Set((await this.hub.syncPanelIds()).map(panel => panel.id));
+    this.members.forEach(member => {
+      if (open.has(member.panelId)) return;
+      this.members.delete(member.panelId);
+      this.emit('retired', { role: member.role, panelId: member.panelId, label: member.label, reason: 'closed' });
+    });
+    this.spares.forEach(id => { if (!open.has(id)) this.spares.delete(id); });
+  }
+
+  /**
+   * One scaling pass: forget closed panels, retire idle ones, refill
+   */
+  async tick() {
+    if (this.ticking || !this.hub.page) return;
+    this.ticking = true;
+    try {
+      await this.prune();
+      await this.retireIdle();
+      await this.scale();
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Take an idle panel of a role, waiting for one (and spawning one) if all are busy
+   * @param {string} role
+   * @returns {Promise<object>} The member; hand it back with release()
+   */
+  acquire(role) {
+    if (!this.roles.has(role)) {
+      return Promise.reject(new Error(`Role "${role}" is not pooled. Pooled roles: ${[...this.roles.keys()].join(', ')}`));
+    }
+
+    const member = this.idleMember(role);
+    if (member) {
+      this.checkout(member);
+      this.publish();
+      return Promise.resolve(member);
+    }
+
+    return new Promise((resolve, reject) => {
+      if (!this.waiting.has(role)) this.waiting.set(role, []);
+      this.waiting.get(role).push({ resolve, reject });
+      this.scale().catch(error => this.emit('scale-error', { role, error }));
+    });
+  }
+
+  /**
+   * The idle panel of a role that has done the least work
+   * @param {string} role
+   */
+  idleMember(role) {
+    return this.membersOf(role)
+      .filter(member => member.status === 'idle')
+      .sort((a, b) => a.completed - b.completed || a.idleSince - b.idleSince)[0] || null;
+  }
+
+  /**
+   * Mark a panel busy
+   * @param {object} member
+   */
+  checkout(member) {
+    member.status = 'busy';
+    member.busySince = Date.now();
+  }
+
+  /**
+   * Give idle panels of a role to waiting requests
+   * @param {string} role
+   */
+  dispatch(role) {
+    const waiters = this.waiting.get(role) || [];
+    let member;
+    while (waiters.length > 0 && (member = this.idleMember(role))) {
+      this.checkout(member);
+      waiters.shift().resolve(member);
+    }
+    if (waiters.length === 0) this.waiting.delete(role);
+    this.publish();
+  }
+
+  /**
+   * Hand a panel back after its work
+   * @param {object} member - From acquire()
+   * @param {object} outcome - { error } when the panel errored; it is then replaced.
+   *   Otherwise { status, reason }: only 'completed' (the default) counts as done
+   */
+  async release(member, outcome = {}) {
+    if (member.busySince) {
+      member.busyMs += Date.now() - member.busySince;
+      member.busySince = null;
+    }
+    if (!this.members.has(member.panelId)) return;
+
+    if (outcome.error) {
+      member.failed++;
+      member.lastError = outcome.error;
+      await this.replace(member, outcome.error);
+      return;
+    }
+
+    if (outcome.status && outcome.status !== 'completed') {
+      // Timed out or blocked: counted against the panel, which stays in use
+      member.failed++;
+      member.lastError = outcome.reason || outcome.status;
+    } else {
+      member.completed++;
+    }
+    member.status = 'idle';
+    member.idleSince = Date.now();
+    this.dispatch(member.role);
+  }
+
+  /**
+   * Send a message to an idle panel of a role and wait for the reply.
+   * A panel that times out is stopped; one that errors is replaced.
+   * @param {string} role
+   * @param {string} message
+   * @param {object} options - ask() options
+   * @returns {Promise<object>} ask()'s reply, with the panel's panelId and label
+   */
+  async ask(role, message, options = {}) {
+    const member = await this.acquire(role);
+
+    let reply;
+    try {
+      reply = await this.hub.ask(member.panelId, message, options);
+    } catch (e) {
+      reply = { response: '', status: 'errored', error: e.message };
+    }
+    if (reply.status === 'timeout') {
+      await this.hub.cancel(member.panelId).catch(() => {});
+    }
+
+    const errored = reply.status === 'errored' && !reply.blocked;
+    await this.release(member, errored
+      ? { error: reply.error || 'Panel errored' }
+      : { status: reply.status, reason: reply.error });
+    return { ...reply, panelId: member.panelId, label: member.label };
+  }
+
+  /**
+   * Size, utilization and per-panel load
+   * @returns {object} { size, maxPanels, busy, waiting, utilization, roles, panels }
+   *   utilization is the share of panels busy now; a panel's utilization is
+   *   the share of its time in the pool it has been busy.
+   */
+  stats() {
+    const now = Date.now();
+    const panels = [...this.members.values()].map(member => {
+      const busyMs = member.busyMs + (member.busySince ? now - member.busySince : 0);
+      return {
+        panelId: member.panelId,
+        label: member.label,
+        role: member.role,
+        status: member.status,
+        load: member.status === 'busy' ? 1 : 0,
+        completed: member.completed,
+        failed: member.failed,
+        utilization: Math.min(1, busyMs / Math.max(1, now - member.addedAt)),
+        idleMs: member.status === 'idle' ? now - member.idleSince : 0,
+        lastError: member.lastError
+      };
+    });
+
+    const roles = Object.fromEntries([...this.roles].map(([role, { instances, max }]) => {
+      const own = panels.filter(panel => panel.role === role);
+      const busy = own.filter(panel => panel.status === 'busy').length;
+      return [role, {
+        instances,
+        max: max === Infinity ? null : max,
+        size: own.length,
+        busy,
+        idle: own.filter(panel => panel.status === 'idle').length,
+        waiting: (this.waiting.get(role) || []).length,
+        utilization: own.length > 0 ? busy / own.length : 0
+      }];
+    }));
+
+    const busy = panels.filter(panel => panel.status === 'busy').length;
+    return {
+      size: panels.length,
+      maxPanels: this.maxPanels,
+      busy,
+      waiting: Object.values(roles).reduce((sum, role) => sum + role.waiting, 0),
+      utilization: panels.length > 0 ? busy / panels.length : 0,
+      roles,
+      panels
+    };
+  }
+
+  /**
+   * Emit 'stats' and show them in the Agent Hub
+   */
+  publish() {
+    const stats = this.stats();
+    this.emit('stats', stats);
+    this.hub.updatePoolStatus?.(stats);
+  }
+}
+
+module.exports = {
+  AgentPool,
+  normalizeRole
+};
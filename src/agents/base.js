@@ -0,0 +1,250 @@
+/**
+ * Agent
+ *
+ * Binds an agent definition to a Cascade panel. The binding is the panel
+ * label: the agent owns panels labelled "<key>" or "<key>-<n>", so it
+ * survives reloads and restarts of the controlling process.
+ */
+
+class Agent {
+  /**
+   * @param {object} definition - Validated definition from loadAgents()
+   * @param {object} hub - CascadeController that drives the panels
+   */
+  constructor(definition, hub) {
+    this.definition = definition;
+    this.key = definition.key;
+    this.name = definition.name;
+    this.emoji = definition.emoji;
+    this.role = definition.role;
+    this.capabilities = definition.capabilities;
+    this.systemPrompt = definition.systemPrompt;
+    this.temperature = definition.temperature ?? null;
+    this.maxTokens = definition.maxTokens ?? null;
+    this.hub = hub;
+    this.panelId = null;
+    this.label = null;
+    this.primed = false;
+    // 'inactive', 'spawning', 'priming' or 'active'
+    this.status = 'inactive';
+  }
+
+  /**
+   * Whether a panel label belongs to this agent
+   * @param {string|null} label
+   */
+  owns(label) {
+    return !!label && new RegExp(`^${this.key}(?:-\\d+)?$`, 'i').test(label);
+  }
+
+  /**
+   * First "<key>-<n>" label no panel uses
+   * @param {Array} panels - Synced panels
+   */
+  nextLabel(panels) {
+    const used = new Set(panels.map(panel => panel.label));
+    let n = 1;
+    while (used.has(`${this.key}-${n}`)) n++;
+    return `${this.key}-${n}`;
+  }
+
+  /**
+   * Update the binding from the current panels
+   * @param {Array} panels - Synced panels
+   * @returns {object|null} The bound panel
+   */
+  sync(panels) {
+    const panel = panels.find(p => p.id === this.panelId && this.owns(p.label)) ||
+                  panels.find(p => this.owns(p.label)) ||
+                  null;
+
+    if (panel) {
+      if (panel.id !== this.panelId) this.primed = false;
+      this.panelId = panel.id;
+      this.label = panel.label;
+      if (this.status === 'inactive') this.status = 'active';
+    } else if (this.status === 'active') {
+      this.panelId = null;
+      this.label = null;
+      this.primed = false;
+      this.status = 'inactive';
+    }
+    return panel;
+  }
+
+  /**
+   * Bind the agent to a panel and prime it with the role prompt.
+   * Claims the given panel, else a panel already labelled for the agent,
+   * else spawns one labelled "<key>-1".
+   * @param {object} options - { panel, prime: true }
+   * @returns {Promise<object>} { activated, agent, panelId, label, primed, spawned, error }
+   */
+  async activate(options = {}) {
+    const panels = await this.hub.syncPanelIds();
+    let target = null;
+    let spawned = false;
+
+    if (options.panel !== undefined && options.panel !== null) {
+      target = await this.hub.resolvePanel(options.panel);
+      if (!target) {
+        return { activated: false, agent: this.key, error: `Panel ${options.panel} not found` };
+      }
+    } else {
+      target = this.sync(panels);
+    }
+
+    if (!target) {
+      this.status = 'spawning';
+      const result = await this.hub.spawnCascade({ label: this.nextLabel(panels) });
+      if (!result.panelId) {
+        this.status = 'inactive';
+        return { activated: false, agent: this.key, error: `Could not spawn a panel for ${this.name}` };
+      }
+      target = { id: result.panelId, label: result.label };
+      spawned = true;
+    } else if (!this.owns(target.label)) {
+      const labeled = await this.hub.labelPanel(target.id, this.nextLabel(panels));
+      if (!labeled.labeled) {
+        return { activated: false, agent: this.key, error: labeled.error };
+      }
+      target = labeled;
+    }
+
+    if (target.id !== this.panelId) this.primed = false;
+    this.panelId = target.id;
+    this.label = target.label;
+    this.status = 'active';
+
+    const result = { activated: true, agent: this.key, panelId: this.panelId, label: this.label, spawned };
+    if (options.prime !== false) {
+      const primed = await this.prime();
+      if (primed.error) result.error = primed.error;
+    }
+    result.primed = this.primed;
+    return result;
+  }
+
+  /**
+   * The message that gives a panel this agent's role.
+   * Cascade has no model settings to set over CDP, so temperature and
+   * maxTokens become instructions.
+   */
+  primingMessage() {
+    const guidance = [];
+    if (this.temperature !== null && this.temperature <= 0.3) {
+      guidance.push('Be precise and conservative: give the most likely answer and do not speculate.');
+    } else if (this.temperature !== null && this.temperature >= 0.8) {
+      guidance.push('Be exploratory: consider alternative approaches before settling on one.');
+    }
+    if (this.maxTokens !== null) {
+      guidance.push(`Keep each reply under about ${Math.round(this.maxTokens * 0.75)} words.`);
+    }
+
+    return [
+      this.systemPrompt,
+      guidance.join(' '),
+      'Keep this role for the rest of this conversation. Reply with "Ready" and wait for tasks.'
+    ].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Send the role prompt to a panel unless its conversation already has it
+   * @param {string} panel - Panel to prime; defaults to the bound panel
+   * @param {object} options - { force: false, timeoutMs: 60000 }
+   * @returns {Promise<{primed, already, error}>}
+   */
+  async prime(panel = this.panelId, options = {}) {
+    const { force = false, timeoutMs = 60000 } = options;
+    if (!panel) return { primed: false, error: `${this.name} is not bound to a panel` };
+
+    const marker = this.systemPrompt.split('\n')[0].trim();
+    const turns = await this.hub.getConversation(panel);
+    const already = turns.some(turn => turn.role === 'user' && turn.text.includes(marker));
+
+    if (already && !force) {
+      if (panel === this.panelId) this.primed = true;
+      return { primed: true, already: true };
+    }
+
+    const previous = this.status;
+    this.status = 'priming';
+    // The role prompt goes in as is, without shared context
+    const reply = await this.hub.ask(panel, this.primingMessage(), { mode: 'paste', timeoutMs, context: false });
+    this.status = previous;
+
+    const primed = reply.status === 'completed';
+    if (panel === this.panelId) this.primed = primed;
+    return primed
+      ? { primed: true, already: false }
+      : { primed: false, already: false, error: `Priming ${reply.status}${reply.error ? `: ${reply.error}` : ''}` };
+  }
+
+  /**
+   * Release the panel: its label is removed, the panel and conversation stay
+   */
+  async deactivate() {
+    const panelId = this.panelId;
+    if (panelId) {
+      await this.hub.labelPanel(panelId, null);
+    }
+    this.panelId = null;
+    this.label = null;
+    this.primed = false;
+    this.status = 'inactive';
+    return { deactivated: !!panelId, agent: this.key, panelId };
+  }
+
+  /**
+   * Panel to talk to; throws if the agent is not bound
+   */
+  requirePanel() {
+    if (!this.panelId) {
+      throw new Error(`${this.name} is not active. Call activate() first.`);
+    }
+    return this.panelId;
+  }
+
+  /**
+   * Send a message to the agent's panel
+   * @param {string} message - Message to send
+   * @param {object} options - send() options
+   */
+  async send(message, options = {}) {
+    return this.hub.send(this.requirePanel(), message, options);
+  }
+
+  /**
+   * Wait for the agent's reply
+   * @param {object} options - getResponse() options
+   */
+  async waitForResponse(options = {}) {
+    return this.hub.getResponse(this.requirePanel(), options);
+  }
+
+  /**
+   * Send a message and wait for the reply to it
+   * @param {string} message - Message to send
+   * @param {object} options - ask() options
+   */
+  async ask(message, options = {}) {
+    return this.hub.ask(this.requirePanel(), message, options);
+  }
+
+  toJSON() {
+    return {
+      key: this.key,
+      name: this.name,
+      emoji: this.emoji,
+      role: this.role,
+      capabilities: this.capabilities,
+      status: this.status,
+      panelId: this.panelId,
+      label: this.label,
+      primed: this.primed
+    };
+  }
+}
+
+module.exports = {
+  Agent
+};
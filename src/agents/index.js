@@ -0,0 +1,117 @@
+/**
+ * Agent Definitions
+ *
+ * Loads the agents a controller can bind to Cascade panels: the built-in
+ * definitions in this directory, then a user directory of agent files, then
+ * inline definitions. Later sources override earlier ones field by field,
+ * and `false` removes an agent.
+ *
+ * An agent file exports { name, emoji, role, description, capabilities,
+ * systemPrompt, temperature, maxTokens }; its file name is the agent key.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Agent } = require('./base');
+
+// Built-in agents in Agent Hub order; each is <key>.js in this directory
+const BUILTIN_AGENTS = ['scout', 'builder', 'reviewer', 'debugger', 'optimizer', 'tester'];
+
+/**
+ * Read every agent file in a directory
+ * @param {string} dir - Directory of <key>.js or <key>.json files
+ * @returns {object} Key → raw definition
+ */
+function readAgentDir(dir) {
+  const definitions = {};
+  fs.readdirSync(dir)
+    .filter(file => /\.(js|json)$/.test(file))
+    .sort()
+    .forEach(file => {
+      const key = path.basename(file, path.extname(file)).toLowerCase();
+      definitions[key] = require(path.resolve(dir, file));
+    });
+  return definitions;
+}
+
+/**
+ * Check a definition and fill in defaults
+ * @param {string} key - Agent key ("builder")
+ * @param {object} definition - Raw definition
+ */
+function validateAgent(key, definition) {
+  if (!/^[a-z][a-z0-9_]*$/.test(key)) {
+    throw new Error(`Invalid agent key "${key}": use lowercase letters, digits and underscores`);
+  }
+  if (!definition.systemPrompt || typeof definition.systemPrompt !== 'string') {
+    throw new Error(`Agent "${key}" needs a systemPrompt`);
+  }
+  if (definition.capabilities && !Array.isArray(definition.capabilities)) {
+    throw new Error(`Agent "${key}": capabilities must be an array`);
+  }
+
+  return {
+    emoji: '🤖',
+    role: key,
+    description: '',
+    capabilities: [],
+    ...definition,
+    key,
+    name: definition.name || key.charAt(0).toUpperCase() + key.slice(1)
+  };
+}
+
+/**
+ * Load agent definitions
+ * @param {object} options - { dir, definitions }
+ *   dir holds extra agent files; definitions maps key → fields to add or override, or false to remove
+ * @returns {Map<string, object>} Key → validated definition
+ */
+function loadAgents(options = {}) {
+  const merged = Object.fromEntries(BUILTIN_AGENTS.map(key => [key, require(`./${key}`)]));
+
+  const overlay = (definitions) => {
+    Object.entries(definitions).forEach(([rawKey, definition]) => {
+      const key = rawKey.toLowerCase();
+      if (definition === false || definition === null) {
+        delete merged[key];
+      } else {
+        merged[key] = { ...merged[key], ...definition };
+      }
+    });
+  };
+
+  if (options.dir) overlay(readAgentDir(options.dir));
+  if (options.definitions) overlay(options.definitions);
+
+  return new Map(Object.entries(merged).map(([key, definition]) => [key, validateAgent(key, definition)]));
+}
+
+/**
+ * Find a definition by key or display name, ignoring case
+ * @param {Map} agents - Result of loadAgents()
+ * @param {string} name - "builder" or "Builder"
+ */
+function findAgent(agents, name) {
+  const lower = String(name).toLowerCase();
+  return agents.get(lower) ||
+         [...agents.values()].find(agent => agent.name.toLowerCase() === lower) ||
+         null;
+}
+
+/**
+ * One-line description per agent key, as the planner shows them
+ * @param {Map} agents - Result of loadAgents()
+ */
+function describeRoles(agents) {
+  return Object.fromEntries([...agents.values()].map(agent => [agent.key, agent.description || agent.name]));
+}
+
+module.exports = {
+  BUILTIN_AGENTS,
+  Agent,
+  loadAgents,
+  validateAgent,
+  findAgent,
+  describeRoles
+};
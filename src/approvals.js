@@ -0,0 +1,239 @@
+/**
+ * Approvals
+ *
+ * Finds the command and edit cards a Cascade panel is waiting on
+ * (Accept/Run/Reject) and decides them with a policy.
+ *
+ * readApprovalCards() and clickApprovalButton() run in the browser context
+ * and are passed directly to page.evaluate() with ACTIVITY_SELECTORS, so
+ * they must stay self-contained.
+ */
+
+const fs = require('fs');
+
+/**
+ * List the cards in a panel that wait for approval (runs in browser context).
+ * Each card is tagged with data-cascade-approval-id so it can be resolved later.
+ * @param {string} panelId - Stable panel ID
+ * @param {object} selectors - ACTIVITY_SELECTORS, possibly overridden
+ * @returns {Array<{id, kind, title, command, files, buttons}>}
+ */
+function readApprovalCards(panelId, selectors) {
+  const panel = document.querySelector(`${selectors.panel}[data-cascade-panel-id="${panelId}"]`);
+  if (!panel) return [];
+
+  const scrollArea = panel.querySelector(selectors.scrollArea) || panel;
+  const text = (el) => (el.innerText || el.textContent || '').trim();
+  const approvalButton = new RegExp(selectors.approvalButton, 'i');
+
+  // Outermost cards only: a command card may sit inside a generic step wrapper
+  const cards = [...scrollArea.querySelectorAll(selectors.step)]
+    .filter(card => [...card.querySelectorAll('button, [role="button"]')]
+      .some(btn => !btn.disabled && approvalButton.test(text(btn))));
+  const outermost = cards.filter(card => !cards.some(other => other !== card && other.contains(card)));
+
+  return outermost.map(card => {
+    if (!card.dataset.cascadeApprovalId) {
+      card.dataset.cascadeApprovalId = `ap-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    const isEdit = card.matches(selectors.editCard) || !!card.querySelector(selectors.editCard);
+    const isCommand = !isEdit && (card.matches(selectors.commandCard) ||
+                      !!card.querySelector(selectors.commandCard) ||
+                      /^\s*\$ /m.test(text(card)));
+
+    const pre = card.querySelector('pre, code');
+    const command = isCommand
+      ? (pre ? text(pre) : text(card).split('\n').slice(1).join('\n')).replace(/^\s*\$ /, '').trim()
+      : null;
+
+    // File paths from title attributes first, then from the card text
+    const files = [];
+    if (isEdit) {
+      const pathPattern = /[\w@~.-]*(?:\/[\w@~.-]+)*\.[\w]+/g;
+      const candidates = [...card.querySelectorAll('[title]')].map(el => el.getAttribute('title'));
+      (candidates.length > 0 ? candidates : [text(card)]).forEach(value => {
+        (value.match(pathPattern) || []).forEach(match => {
+          if (!files.includes(match)) files.push(match);
+        });
+      });
+    }
+
+    return {
+      id: card.dataset.cascadeApprovalId,
+      kind: isEdit ? 'edit' : (isCommand ? 'command' : 'tool'),
+      title: text(card).split('\n')[0] || '',
+      command,
+      files,
+      buttons: [...card.querySelectorAll('button, [role="button"]')]
+        .map(btn => text(btn))
+        .filter(label => approvalButton.test(label))
+    };
+  });
+}
+
+/**
+ * Click the approve or reject button of a card (runs in browser context)
+ * @param {string} panelId - Stable panel ID
+ * @param {string} approvalId - data-cascade-approval-id of the card
+ * @param {string} decision - 'approve' or 'reject'
+ * @param {object} selectors - ACTIVITY_SELECTORS, possibly overridden
+ * @returns {{found, clicked, button}}
+ */
+function clickApprovalButton(panelId, approvalId, decision, selectors) {
+  const panel = document.querySelector(`${selectors.panel}[data-cascade-panel-id="${panelId}"]`);
+  const card = panel?.querySelector(`[data-cascade-approval-id="${approvalId}"]`);
+  if (!card) return { found: false, clicked: false, button: null };
+
+  const pattern = new RegExp(decision === 'approve' ? selectors.approveButton : selectors.rejectButton, 'i');
+  const button = [...card.querySelectorAll('button, [role="button"]')]
+    .find(btn => !btn.disabled && pattern.test((btn.innerText || btn.textContent || '').trim()));
+  if (!button) return { found: true, clicked: false, button: null };
+
+  const label = (button.innerText || button.textContent || '').trim();
+  button.click();
+  return { found: true, clicked: true, button: label };
+}
+
+/**
+ * Convert a glob to a RegExp: ** spans directories, * and ? stay within one
+ * @param {string} glob
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Match a command against a pattern: RegExp, or a string where * matches anything
+ */
+function matchesCommand(command, pattern) {
+  if (pattern instanceof RegExp) return pattern.test(command);
+  const source = String(pattern).split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(command.trim());
+}
+
+/**
+ * Match a file path against a pattern: RegExp, or a glob. Globs without a
+ * slash match the file name in any directory.
+ */
+function matchesPath(filePath, pattern) {
+  if (pattern instanceof RegExp) return pattern.test(filePath);
+  const normalized = filePath.replace(/\\/g, '/').replace(/^\.\//, '');
+  const glob = String(pattern).replace(/^\.\//, '');
+  if (!glob.includes('/')) {
+    return globToRegExp(glob).test(normalized.split('/').pop());
+  }
+  return globToRegExp(glob).test(normalized);
+}
+
+// Shell operators that chain or substitute commands
+const CHAIN_PATTERN = /&&|\|\||[;&|`\n]|\$\(/;
+
+/**
+ * A command and each command chained in it: "a && b" → ["a && b", "a", "b"]
+ * @param {string} command
+ * @returns {string[]}
+ */
+function splitCommand(command) {
+  return [command, ...command.split(CHAIN_PATTERN).map(part => part.trim()).filter(Boolean)];
+}
+
+/**
+ * Decides approval cards.
+ *
+ * Order: deny lists, then the callback, then allow lists, then the default.
+ * A denied command or file always rejects; an edit is only approved by the
+ * allow list when every file matches. Chained commands ("a && b") are denied
+ * if any part is, and never approved by the allow list.
+ */
+class ApprovalPolicy {
+  /**
+   * @param {object} options - { commands: { allow, deny }, paths: { allow, deny }, decide, default: 'ask', logFile }
+   */
+  constructor(options = {}) {
+    this.commands = { allow: [], deny: [], ...options.commands };
+    this.paths = { allow: [], deny: [], ...options.paths };
+    this.decide = options.decide || null;
+    this.fallback = options.default || 'ask';
+    this.logFile = options.logFile || null;
+
+    if (!['approve', 'reject', 'ask'].includes(this.fallback)) {
+      throw new Error(`Invalid default decision "${this.fallback}". Use approve, reject or ask.`);
+    }
+  }
+
+  /**
+   * Decide one approval card
+   * @param {object} approval - Card from readApprovalCards() plus panelId and label
+   * @returns {Promise<{decision, reason}>} decision is 'approve', 'reject' or 'ask'
+   */
+  async evaluate(approval) {
+    const { command, files = [] } = approval;
+
+    if (command) {
+      const parts = splitCommand(command);
+      const denied = this.commands.deny.find(pattern => parts.some(part => matchesCommand(part, pattern)));
+      if (denied) return { decision: 'reject', reason: `command matches deny ${denied}` };
+    }
+    const deniedFile = files.find(file => this.paths.deny.some(pattern => matchesPath(file, pattern)));
+    if (deniedFile) return { decision: 'reject', reason: `${deniedFile} matches a denied path` };
+
+    if (this.decide) {
+      const decision = await this.decide(approval);
+      if (decision === 'approve' || decision === 'reject' || decision === 'ask') {
+        return { decision, reason: 'callback' };
+      }
+    }
+
+    if (command && !CHAIN_PATTERN.test(command)) {
+      const allowed = this.commands.allow.find(pattern => matchesCommand(command, pattern));
+      if (allowed) return { decision: 'approve', reason: `command matches allow ${allowed}` };
+    }
+    if (files.length > 0 && this.paths.allow.length > 0 &&
+        files.every(file => this.paths.allow.some(pattern => matchesPath(file, pattern)))) {
+      return { decision: 'approve', reason: 'all files match allowed paths' };
+    }
+
+    return { decision: this.fallback, reason: 'default' };
+  }
+
+  /**
+   * Append a decision to the log file, if one is configured
+   * @param {object} entry - Decision log entry
+   */
+  write(entry) {
+    if (!this.logFile) return;
+    try {
+      fs.appendFileSync(this.logFile, JSON.stringify(entry) + '\n');
+    } catch (e) {
+      // Logging must not stop the run; the entry is still in the controller's log
+    }
+  }
+}
+
+module.exports = {
+  readApprovalCards,
+  clickApprovalButton,
+  globToRegExp,
+  matchesCommand,
+  matchesPath,
+  splitCommand,
+  ApprovalPolicy
+};
@@ -4,479 +4,2098 @@
  * Silent automation of Windsurf Cascade panels via Chrome DevTools Protocol.
  * Now includes DOM mounting for custom UI with Agent Hub.
  *
+ * Each CascadeController drives one Windsurf window. The module-level
+ * functions below delegate to a shared default instance.
+ *
  * Usage:
  *   const cascade = require('./cascade-controller');
  *   await cascade.connect(9333);
  *   await cascade.mountCustomUI();  // Replace Windsurf UI with custom interface
  *   await cascade.send(0, 'Hello Cascade!');
  *   const response = await cascade.getResponse(0);
+ *
+ *   // Panels can be addressed by index, stable ID or label
+ *   const { panelId } = await cascade.spawnCascade({ label: 'builder-1' });
+ *   await cascade.send('builder-1', 'Implement the toggle');
+ *
+ *   const stream = await cascade.streamResponse(0);   // before send()
+ *   await cascade.send(0, 'Explain async/await');
+ *   for await (const { text, replace } of stream) output = replace ? text : output + text;
+ *
+ *   // Several windows from one process
+ *   const { CascadeController } = require('./cascade-controller');
+ *   const frontend = new CascadeController({ port: 9333 });
+ *   const backend = new CascadeController({ port: 9334 });
+ *   await Promise.all([frontend.connect(), backend.connect()]);
  */
 
+const { EventEmitter } = require('events');
 const puppeteer = require('puppeteer-core');
 const fs = require('fs');
 const path = require('path');
+const { ResponseStream, observeResponse, stopObserving } = require('./response-stream');
+const { parseConversation } = require('./conversation-parser');
+const { syncPanels } = require('./panel-registry');
+const { Mutex, KeyedQueue } = require('./input-lock');
+const { DEFAULT_SHORTCUTS, detectPlatform, dispatchShortcut } = require('./keyboard');
+const { ACTIVITY_SELECTORS, readPanelActivity, pressStopControl, classifyActivity } = require('./panel-activity');
+const { readApprovalCards, clickApprovalButton, ApprovalPolicy } = require('./approvals');
+const { clickFileEditButton, formatPatch, patchFileName } = require('./file-edits');
+const { Agent, loadAgents, findAgent } = require('./agents');
+const { SafetyLayer } = require('./safety');
+const { CONFLICT_ACTIONS, ConflictDetector, remergePrompt } = require('./conflicts');
+const { controllerOptions } = require('./config');
+const { consensus } = require('./consensus');
+const {
+  setAgentSlotStatus, showSafetyPrompt, hideSafetyPrompt, showConflictPrompt, hideConflictPrompt, showPoolStatus
+} = require('./custom-ui');
 
-let browser = null;
-let page = null;
-let cdpClient = null;
-let mountedUI = null;
+const STREAM_BINDING = 'cascadeStreamEmit';
+
+// VS Code / Windsurf main window document
+const WORKBENCH_URL = /workbench(\.desktop\.main|-dev)?\.html/;
+
+// How send() can put text into the Lexical editor
+const INSERT_MODES = ['type', 'insert', 'paste'];
+
+let controllerCounter = 0;
 
 /**
- * Connect to Windsurf via CDP
- * @param {number} port - CDP port (default 9333)
+ * Read the workspace folder of a workbench window (runs in browser context)
  */
-async function connect(port = 9333) {
-  browser = await puppeteer.connect({
-    browserURL: `http://localhost:${port}`
-  });
-  const pages = await browser.pages();
-  page = pages[0]; // Main workbench page
-  cdpClient = await page.target().createCDPSession();
-  
-  return { connected: true, pageTitle: await page.title() };
+function readWorkspaceFolder() {
+  try {
+    const config = window.vscode?.context?.configuration?.();
+    const workspace = config?.workspace;
+    const uri = workspace?.uri || workspace?.configPath || config?.folderUri;
+    if (typeof uri === 'string') return uri;
+    if (uri) return uri.fsPath || uri.path || null;
+  } catch (e) {
+    // Sandbox globals not available
+  }
+  return null;
 }
 
 /**
- * Disconnect from CDP
+ * Guess the workspace name from a window title ("file — folder — Windsurf")
  */
-async function disconnect() {
-  if (browser) {
-    await browser.disconnect();
-    browser = null;
-    page = null;
-    cdpClient = null;
+function workspaceFromTitle(title) {
+  const parts = (title || '').split(/\s+[—-]\s+/);
+  return parts.length >= 2 ? parts[parts.length - 2] : null;
+}
+
+function normalizeWorkspace(value) {
+  return decodeURIComponent(String(value).replace(/^file:\/\//, '')).replace(/[\\/]+$/, '');
+}
+
+function matchesWorkspace(target, workspace) {
+  if (!target.workspace) return false;
+  const actual = normalizeWorkspace(target.workspace);
+  const wanted = normalizeWorkspace(workspace);
+  return actual === wanted ||
+         actual === normalizeWorkspace(path.resolve(wanted)) ||
+         actual.endsWith(`/${wanted}`) ||
+         // Folder name guessed from the title
+         (!actual.includes('/') && wanted.endsWith(`/${actual}`));
+}
+
+function titleMatcher(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (e) {
+    return { test: (title) => title.includes(pattern) };
   }
 }
 
 /**
- * Dismiss workspace trust dialog if present
+ * Pick a target from listTargets() output
+ * @param {Array} targets - Described targets, workbench windows first
+ * @param {RegExp|string|object} selector - Title regex, workspace path, target ID
+ *   or { id, title, workspace }. Defaults to the first workbench window.
  */
-async function trustWorkspace() {
-  const result = await page.evaluate(() => {
-    const buttons = document.querySelectorAll('.dialog-buttons button, .monaco-dialog-box button, button');
-    for (const btn of buttons) {
-      if (btn.innerText.includes('Yes, I trust')) {
-        btn.click();
-        return { dismissed: true, text: btn.innerText };
-      }
-    }
-    return { dismissed: false, noDialog: true };
-  });
-  
-  if (result.dismissed) {
-    await sleep(500);
+function selectTarget(targets, selector) {
+  if (selector === undefined || selector === null) {
+    return targets.find(t => t.workbench) || targets.find(t => t.type === 'page') || null;
+  }
+
+  if (selector instanceof RegExp) {
+    return targets.find(t => selector.test(t.title)) || null;
   }
-  
-  return result;
+
+  if (typeof selector === 'object') {
+    return targets.find(t =>
+      (!selector.id || t.id === selector.id) &&
+      (!selector.title || titleMatcher(selector.title).test(t.title)) &&
+      (!selector.workspace || matchesWorkspace(t, selector.workspace))
+    ) || null;
+  }
+
+  const text = String(selector);
+  return targets.find(t => t.id === text) ||
+         targets.find(t => matchesWorkspace(t, text)) ||
+         targets.find(t => titleMatcher(text).test(t.title)) ||
+         null;
 }
 
 /**
- * Open Cascade panel (click the Cascade button)
+ * Find a panel by reference in a synced panel list
+ * @param {Array} panels - Result of syncPanelIds()
+ * @param {number|string} ref - Panel index, stable ID or label
  */
-async function open() {
-  const result = await page.evaluate(() => {
-    const btn = document.querySelector('[aria-label="Cascade (⌘L)"]');
-    if (btn) {
-      btn.click();
-      return { opened: true };
-    }
-    return { opened: false, error: 'Cascade button not found' };
-  });
-  
-  await sleep(1000);
-  return result;
+function findPanel(panels, ref) {
+  if (typeof ref === 'number') return panels[ref] || null;
+  return panels.find(p => p.id === ref) || panels.find(p => p.label === ref) || null;
 }
 
 /**
- * Get panel state
- * @param {number} index - Panel index (0 = OG sidebar panel)
+ * Normalize editor text for comparison: Lexical renders paragraphs with
+ * blank lines and uses non-breaking spaces
  */
-async function getPanelState(index = 0) {
-  return page.evaluate((idx) => {
-    const panels = document.querySelectorAll('.chat-client-root');
-    const panel = panels[idx];
-    if (!panel) return { error: `Panel ${idx} not found`, totalPanels: panels.length };
-    
-    const rect = panel.getBoundingClientRect();
-    const input = panel.querySelector('[contenteditable="true"]');
-    const btn = panel.querySelector('button.rounded-full');
-    
-    return {
-      index: idx,
-      visible: rect.width > 0 && rect.height > 0,
-      inputContent: input?.innerText || '',
-      buttonEnabled: btn ? !btn.className.includes('cursor-not-allowed') : false,
-      totalPanels: panels.length
-    };
-  }, index);
+function normalizeInputText(text) {
+  return (text || '')
+    .replace(/\u00a0/g, ' ')
+    .replace(/\r/g, '')
+    .replace(/\n+/g, '\n')
+    .replace(/\s+$/, '');
 }
 
 /**
- * Send a message to a Cascade panel
- * @param {number} index - Panel index
- * @param {string} message - Message to send
- * @param {object} options - { clear: true, submit: true }
+ * CDP controller for the Cascade panels of one Windsurf window
  */
-async function send(index, message, options = {}) {
-  const { clear = true, submit = true } = options;
-  
-  // Robustly focus the input - click panel first, then input, then focus
-  const focusResult = await page.evaluate((idx) => {
-    const panels = document.querySelectorAll('.chat-client-root');
-    const panel = panels[idx];
-    if (!panel) return { error: 'Panel not found' };
+class CascadeController extends EventEmitter {
+  /**
+   * @param {object} options - { config, port: 9333, target, autoReconnect: true, reconnect, inputMode: 'type',
+   *   typingDelay: 15, responseTimeout, agents, agentsDir, contextProvider, safety, conflicts }
+   *   config is a configuration from loadConfig() the other options default to;
+   *   target selects the window; reconnect is { retries: 8, minDelay: 500, maxDelay: 10000 };
+   *   inputMode and typingDelay are send()'s defaults; responseTimeout is the default
+   *   timeoutMs of getResponse(), ask(), consensus() and streamResponse();
+   *   agents and agentsDir add to or override the built-in agent definitions;
+   *   contextProvider is passed to setContextProvider(), safety to setSafety(), conflicts to watchConflicts()
+   */
+  constructor(options = {}) {
+    super();
+    if (options.config) {
+      options = controllerOptions(options.config, options);
+    }
+    this.id = ++controllerCounter;
+    this.port = options.port || 9333;
+    this.targetSelector = options.target ?? null;
+    this.autoReconnect = options.autoReconnect !== false;
+    this.reconnectOptions = { retries: 8, minDelay: 500, maxDelay: 10000, ...options.reconnect };
+    this.inputMode = options.inputMode || 'type';
+    this.typingDelay = options.typingDelay ?? 15;
+    // null: each method keeps its own default
+    this.responseTimeout = options.responseTimeout ?? null;
+    this.reconnecting = null;
+    this.closing = false;
+    this.watched = new WeakSet();
+    this.exposedBindings = new Set();
+    this.browser = null;
+    this.page = null;
+    this.target = null;
+    this.cdpClient = null;
+    this.mountedUI = null;
+    this.streamBindingReady = false;
+    this.streamCounter = 0;
+    this.streams = new Map();
+    // CDP key events go to whatever has focus: one typist at a time, in order per panel
+    this.focusLock = new Mutex();
+    this.panelQueue = new KeyedQueue();
+    // 'mac', 'windows' or 'linux'; detected from the page on connect unless given
+    this.platformOverride = options.platform || null;
+    this.platform = this.platformOverride;
+    this.shortcuts = { ...DEFAULT_SHORTCUTS, ...options.shortcuts };
+    this.activitySelectors = { ...ACTIVITY_SELECTORS, ...options.activitySelectors };
+    this.approvalPolicy = null;
+    this.approvalTimer = null;
+    this.checkingApprovals = false;
+    this.handledApprovals = new Set();
+    this.approvalLog = [];
+    this.agentDefinitions = loadAgents({ dir: options.agentsDir, definitions: options.agents });
+    this.agents = new Map();
+    this.contextProvider = options.contextProvider || null;
+    this.safety = null;
+    this.safetyListener = null;
+    // Safety request ID → resolve() of its Agent Hub prompt
+    this.safetyPrompts = new Map();
+    this.conflictDetector = null;
+    this.conflictAction = null;
+    this.conflictTimer = null;
+    this.checkingEdits = false;
+    this.seenEdits = new Set();
+    this.editsSeeded = false;
+    this.resolvedConflicts = new Set();
+    // Conflict ID → resolve() of its Agent Hub prompt
+    this.conflictPrompts = new Map();
+    if (options.approvals) {
+      this.watchApprovals(options.approvals);
+    }
+    if (options.safety) {
+      this.setSafety(options.safety);
+    }
+    if (options.conflicts) {
+      this.watchConflicts(options.conflicts === true ? {} : options.conflicts);
+    }
+  }
+
+  /**
+   * Apply a configuration from loadConfig(): port, target, reconnects, input
+   * defaults, response timeout, selectors, shortcuts and agent definitions. Call it before
+   * connect(); agents already bound to panels keep their definitions.
+   * @param {object} config - From loadConfig()
+   */
+  configure(config) {
+    const options = controllerOptions(config);
+    this.port = options.port;
+    this.targetSelector = options.target ?? this.targetSelector;
+    this.autoReconnect = options.autoReconnect !== false;
+    this.reconnectOptions = { retries: 8, minDelay: 500, maxDelay: 10000, ...options.reconnect };
+    this.inputMode = options.inputMode;
+    this.typingDelay = options.typingDelay;
+    this.responseTimeout = options.responseTimeout;
+    this.shortcuts = { ...DEFAULT_SHORTCUTS, ...options.shortcuts };
+    this.activitySelectors = { ...ACTIVITY_SELECTORS, ...options.activitySelectors };
+    this.agentDefinitions = loadAgents({ dir: options.agentsDir, definitions: options.agents });
+    return this;
+  }
+
+  /**
+   * Connect to the browser endpoint without choosing a window
+   * @param {number} port - CDP port
+   */
+  async attachBrowser(port = this.port) {
+    if (this.browser && this.port === port && this.browser.connected) {
+      return this.browser;
+    }
+    if (this.browser?.connected) {
+      await this.browser.disconnect();
+    }
+
+    this.port = port;
+    this.browser = await puppeteer.connect({
+      browserURL: `http://localhost:${port}`
+    });
+    return this.browser;
+  }
+
+  /**
+   * List the windows and webviews available on a CDP port
+   * @param {number} port - CDP port
+   * @returns {Promise<Array<{id, type, title, url, workspace, workbench}>>} Workbench windows first
+   */
+  async listTargets(port = this.port) {
+    const browser = await this.attachBrowser(port);
+
+    const session = await browser.target().createCDPSession();
+    const { targetInfos } = await session.send('Target.getTargets');
+    await session.detach();
+
+    // Target._targetId is the only handle puppeteer gives us to match CDP target IDs
+    const puppeteerTargets = new Map(browser.targets().map(t => [t._targetId, t]));
+
+    const described = await Promise.all(targetInfos
+      .filter(info => info.type === 'page' || info.type === 'webview')
+      .map(async (info) => {
+        const workbench = info.type === 'page' && WORKBENCH_URL.test(info.url);
+        let workspace = null;
+
+        if (workbench) {
+          const targetPage = await puppeteerTargets.get(info.targetId)?.page().catch(() => null);
+          workspace = await targetPage?.evaluate(readWorkspaceFolder).catch(() => null) ?? null;
+        }
+
+        return {
+          id: info.targetId,
+          type: info.type,
+          title: info.title,
+          url: info.url,
+          workspace: workspace || (workbench ? workspaceFromTitle(info.title) : null),
+          workbench
+        };
+      }));
+
+    return described.sort((a, b) => Number(b.workbench) - Number(a.workbench));
+  }
+
+  /**
+   * Connect to Windsurf via CDP
+   * @param {number} port - CDP port (defaults to the port given to the constructor)
+   * @param {object} options - { target } title regex, workspace path, target ID
+   *   or { id, title, workspace }; defaults to the first workbench window
+   */
+  async connect(port = this.port, options = {}) {
+    const selector = options.target ?? this.targetSelector;
+
+    const targets = await this.listTargets(port);
+    const chosen = selectTarget(targets, selector);
+    if (!chosen) {
+      const available = targets.map(t => `  ${t.id} ${t.title}`).join('\n');
+      throw new Error(`No Windsurf window matches ${selector}. Available targets:\n${available}`);
+    }
+
+    const target = this.browser.targets().find(t => t._targetId === chosen.id);
+    const page = await target.page();
+    if (!page) {
+      throw new Error(`Target ${chosen.id} (${chosen.type}) cannot be controlled as a page`);
+    }
+    if (page !== this.page) {
+      this.exposedBindings.clear();
+    }
+    this.page = page;
+    this.target = chosen;
+    this.targetSelector = selector;
+    this.closing = false;
+    this.cdpClient = await this.page.target().createCDPSession();
+    this.streamBindingReady = false;
+    this.platform = this.platformOverride || await this.page.evaluate(detectPlatform);
+    this.watchConnection();
+
+    const pageTitle = await this.page.title();
+    this.emit('connected', { port, pageTitle, target: chosen, platform: this.platform });
     
-    const input = panel.querySelector('[contenteditable="true"]');
-    if (!input) return { error: 'Input not found' };
+    return { connected: true, pageTitle, target: chosen, platform: this.platform };
+  }
+
+  /**
+   * Disconnect from CDP
+   */
+  async disconnect() {
+    this.closing = true;
+
+    for (const stream of this.streams.values()) {
+      stream.close();
+    }
+    this.streams.clear();
+    this.streamBindingReady = false;
+
+    if (this.browser) {
+      await this.browser.disconnect();
+      this.browser = null;
+      this.page = null;
+      this.target = null;
+      this.cdpClient = null;
+      this.mountedUI = null;
+      this.exposedBindings.clear();
+      this.emit('disconnected', { port: this.port, reason: 'requested', unexpected: false });
+    }
+  }
+
+  /**
+   * Watch the browser socket and the page for drops and reloads
+   */
+  watchConnection() {
+    if (!this.watched.has(this.browser)) {
+      this.watched.add(this.browser);
+      const browser = this.browser;
+      browser.on('disconnected', () => {
+        if (browser === this.browser) this.handleConnectionLost('socket');
+      });
+    }
+
+    if (!this.watched.has(this.page)) {
+      this.watched.add(this.page);
+      const page = this.page;
+      page.on('close', () => {
+        if (page === this.page) this.handleConnectionLost('closed');
+      });
+      page.on('load', () => {
+        if (page === this.page) this.handleReload();
+      });
+    }
+  }
+
+  /**
+   * Fail open streams; their in-page observers are gone
+   * @param {string} message - Error reported to stream consumers
+   */
+  abortStreams(message) {
+    for (const stream of [...this.streams.values()]) {
+      stream._push({ type: 'error', message });
+    }
+    this.streams.clear();
+  }
+
+  /**
+   * The window reloaded: listeners and the custom UI are gone, bindings survive
+   */
+  async handleReload() {
+    if (this.closing || this.reconnecting) return;
+
+    this.abortStreams('Page reloaded');
+    const wasMounted = !!this.mountedUI;
+    this.mountedUI = null;
+
+    let remounted = false;
+    let error = null;
+    if (wasMounted) {
+      try {
+        await this.remount();
+        remounted = true;
+      } catch (e) {
+        error = e;
+      }
+    }
+
+    this.emit('reloaded', { remounted, error });
+  }
+
+  /**
+   * Socket dropped or window closed: reconnect with backoff
+   * @param {string} reason - 'socket' | 'closed'
+   */
+  handleConnectionLost(reason) {
+    if (this.closing || this.reconnecting) return;
+
+    this.abortStreams('Connection lost');
+    const wasMounted = !!this.mountedUI;
+    this.mountedUI = null;
+    this.page = null;
+    this.cdpClient = null;
+    this.streamBindingReady = false;
+    this.exposedBindings.clear();
+
+    this.emit('disconnected', { port: this.port, reason, unexpected: true });
+
+    if (!this.autoReconnect) {
+      this.browser = null;
+      return;
+    }
+
+    this.reconnecting = this.reconnect(wasMounted).finally(() => {
+      this.reconnecting = null;
+    });
+  }
+
+  /**
+   * Reconnect to the same window, then restore the mounted UI
+   * @param {boolean} remount - Mount the custom UI again once connected
+   */
+  async reconnect(remount) {
+    const { retries, minDelay, maxDelay } = this.reconnectOptions;
+    const previousTarget = this.target;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      const delay = Math.min(maxDelay, minDelay * 2 ** (attempt - 1));
+      this.emit('reconnecting', { attempt, delay });
+      await sleep(delay);
+      if (this.closing) return false;
+
+      // Same window if it survived, otherwise whatever the original selector picks
+      const selector = this.targetSelector;
+      try {
+        try {
+          await this.connect(this.port, { target: previousTarget ? { id: previousTarget.id } : selector });
+        } catch (e) {
+          await this.connect(this.port, { target: selector });
+        }
+      } catch (error) {
+        lastError = error;
+        continue;
+      } finally {
+        this.targetSelector = selector;
+      }
+
+      let remounted = false;
+      let error = null;
+      if (remount) {
+        try {
+          await this.remount();
+          remounted = true;
+        } catch (e) {
+          error = e;
+        }
+      }
+
+      this.emit('reconnected', { attempts: attempt, remounted, error, target: this.target });
+      return true;
+    }
+
+    this.browser = null;
+    this.emit('reconnect-failed', { attempts: retries, error: lastError });
+    return false;
+  }
+
+  /**
+   * Mount the custom UI again once the workbench has rendered
+   */
+  async remount() {
+    await this.page.waitForFunction(() => document.readyState === 'complete', { timeout: 30000 });
+    await this.page.waitForSelector('.chat-client-root', { timeout: 10000 }).catch(() => {});
+    await sleep(1000);
+    return this.mountCustomUI();
+  }
+
+  /**
+   * Wait for a reconnect in progress to finish
+   */
+  async ready() {
+    if (this.reconnecting) {
+      await this.reconnecting;
+    }
+    if (!this.page) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+  }
+
+  /**
+   * Dismiss workspace trust dialog if present
+   */
+  async trustWorkspace() {
+    const result = await this.page.evaluate(() => {
+      const buttons = document.querySelectorAll('.dialog-buttons button, .monaco-dialog-box button, button');
+      for (const btn of buttons) {
+        if (btn.innerText.includes('Yes, I trust')) {
+          btn.click();
+          return { dismissed: true, text: btn.innerText };
+        }
+      }
+      return { dismissed: false, noDialog: true };
+    });
     
-    // Click the panel to activate it
-    panel.click();
+    if (result.dismissed) {
+      await sleep(500);
+    }
     
-    // Scroll input into view
-    input.scrollIntoView({ block: 'center' });
+    return result;
+  }
+
+  /**
+   * Open Cascade panel (click the Cascade button)
+   */
+  async open() {
+    const result = await this.page.evaluate(() => {
+      const btn = document.querySelector('[aria-label="Cascade (⌘L)"]');
+      if (btn) {
+        btn.click();
+        return { opened: true };
+      }
+      return { opened: false, error: 'Cascade button not found' };
+    });
+    
+    await sleep(1000);
+    return result;
+  }
+
+  /**
+   * Tag panels with stable IDs and return them in DOM order
+   * @param {object} updates - { labels: { [panelId]: label | null } }
+   */
+  async syncPanelIds(updates = {}) {
+    await this.ready();
+    return this.page.evaluate(syncPanels, updates);
+  }
+
+  /**
+   * Resolve a panel reference to its current index, ID and label
+   * @param {number|string} ref - Panel index, stable ID, label or agent name
+   * @returns {Promise<{index, id, label}|null>}
+   */
+  async resolvePanel(ref) {
+    const panels = await this.syncPanelIds();
+    const found = findPanel(panels, ref);
+    if (found || typeof ref !== 'string') return found;
+
+    // "Builder" or "builder": the panel bound to that agent
+    const agent = this.getAgent(ref);
+    return agent ? agent.sync(panels) : null;
+  }
+
+  /**
+   * Give a panel a human-readable label ("builder-1")
+   * Labels are unique; assigning a used label moves it to this panel.
+   * @param {number|string} panel - Panel index, stable ID or label
+   * @param {string|null} label - New label, or null to remove it
+   */
+  async labelPanel(panel, label) {
+    const target = await this.resolvePanel(panel);
+    if (!target) return { labeled: false, error: `Panel ${panel} not found` };
+
+    const panels = await this.syncPanelIds({ labels: { [target.id]: label } });
+    return { labeled: true, ...findPanel(panels, target.id) };
+  }
+
+  /**
+   * Get panel state
+   * @param {number|string} panel - Panel index (0 = OG sidebar panel), ID or label
+   */
+  async getPanelState(panel = 0) {
+    const panels = await this.syncPanelIds();
+    const target = findPanel(panels, panel);
+    if (!target) return { error: `Panel ${panel} not found`, totalPanels: panels.length };
+
+    const state = await this.page.evaluate((id) => {
+      const el = document.querySelector(`.chat-client-root[data-cascade-panel-id="${id}"]`);
+      if (!el) return null;
+
+      const rect = el.getBoundingClientRect();
+      const input = el.querySelector('[contenteditable="true"]');
+      const btn = el.querySelector('button.rounded-full');
+
+      return {
+        visible: rect.width > 0 && rect.height > 0,
+        inputContent: input?.innerText || '',
+        buttonEnabled: btn ? !btn.className.includes('cursor-not-allowed') : false
+      };
+    }, target.id);
+
+    if (!state) return { error: `Panel ${panel} not found`, totalPanels: panels.length };
+
+    const activity = await this.readActivity(target.id);
+    state.activity = activity.state;
+    state.generating = activity.state === 'busy';
+
+    const approvals = await this.page.evaluate(readApprovalCards, target.id, this.activitySelectors);
+    state.pendingEdits = approvals.filter(card => card.kind === 'edit').length;
+
+    return {
+      index: target.index,
+      panelId: target.id,
+      label: target.label,
+      ...state,
+      totalPanels: panels.length
+    };
+  }
+
+  /**
+   * Stop the response a panel is generating and wait until it is idle.
+   * Does not wait for queued sends, so it can interrupt them.
+   * @param {number|string} panel - Panel index, ID or label
+   * @param {object} options - { timeoutMs: 10000 }
+   */
+  async cancel(panel, options = {}) {
+    const { timeoutMs = 10000 } = options;
+
+    const target = await this.resolvePanel(panel);
+    if (!target) {
+      return { cancelled: false, error: 'Panel not found' };
+    }
+
+    const result = await this.page.evaluate(pressStopControl, target.id, this.activitySelectors);
+    if (!result.found) {
+      return { cancelled: false, panelId: target.id, error: 'Panel not found' };
+    }
+    if (!result.pressed) {
+      // No stop control does not mean idle: a spinner or status label may still show it working
+      const activity = await this.readActivity(target.id);
+      if (activity.state === 'busy') {
+        return {
+          cancelled: false,
+          panelId: target.id,
+          idle: false,
+          wasGenerating: true,
+          error: 'Panel is generating but shows no stop control to press'
+        };
+      }
+      return { cancelled: false, panelId: target.id, idle: true, wasGenerating: false };
+    }
+
+    const startTime = Date.now();
+    while (Date.now() - startTime < timeoutMs) {
+      await sleep(200);
+      const activity = await this.readActivity(target.id);
+      if (activity.state !== 'busy') {
+        return { cancelled: true, panelId: target.id, idle: true, wasGenerating: true };
+      }
+    }
+
+    return {
+      cancelled: false,
+      panelId: target.id,
+      idle: false,
+      wasGenerating: true,
+      error: `Panel still generating after ${timeoutMs}ms`
+    };
+  }
+
+  /**
+   * Send a message to a Cascade panel
+   * Safe to call concurrently: sends to one panel run in order, and only
+   * one panel receives keystrokes at a time.
+   * @param {number|string} panel - Panel index, ID or label
+   * @param {string} message - Message to send
+   * @param {object} options - { clear: true, submit: true, mode, typingDelay, context: true, taskId }
+   *   mode is 'type' (key events), 'insert' (Input.insertText) or 'paste' (synthetic paste);
+   *   mode and typingDelay default to the controller's inputMode ('type') and typingDelay (15);
+   *   context: false skips the context provider, taskId is passed to it.
+   *   With a safety layer the message is screened first; blocked messages return { sent: false, blocked: true }.
+   */
+  async send(panel, message, options = {}) {
+    const { mode = this.inputMode } = options;
+    if (!INSERT_MODES.includes(mode)) {
+      throw new Error(`Unknown insertion mode "${mode}". Use one of: ${INSERT_MODES.join(', ')}`);
+    }
+
+    const target = await this.resolvePanel(panel);
+    if (!target) {
+      return { sent: false, error: 'Panel not found' };
+    }
+
+    if (this.safety) {
+      const verdict = await this.safety.check({
+        type: 'prompt',
+        text: message,
+        panelId: target.id,
+        label: target.label || null
+      });
+      if (!verdict.allowed) {
+        return { sent: false, panelId: target.id, blocked: true, error: `Blocked by safety layer: ${verdict.reason}` };
+      }
+    }
+
+    if (this.contextProvider && options.context !== false) {
+      const context = await this.contextProvider({
+        panelId: target.id,
+        label: target.label || null,
+        agent: this.agentForLabel(target.label),
+        taskId: options.taskId || null,
+        message
+      });
+      if (context) message = `${context}\n\n${message}`;
+    }
+
+    return this.panelQueue.run(target.id, () =>
+      this.focusLock.run(() => this.typeAndSubmit(target, message, options))
+    );
+  }
+
+  /**
+   * Type a message into a panel and submit it (caller holds the focus lock)
+   * @param {object} target - Resolved panel { id, index, label }
+   * @param {string} message - Message to send
+   * @param {object} options - { clear, submit, mode, typingDelay }, see send()
+   */
+  async typeAndSubmit(target, message, options = {}) {
+    const { clear = true, submit = true, mode = this.inputMode, typingDelay = this.typingDelay } = options;
+
+    // Without clearing, a failed attempt cannot be undone, so only retry when clearing
+    const attempts = clear ? 2 : 1;
+    let check = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      const focusResult = await this.focusInput(target.id);
+      if (focusResult.error) {
+        return { sent: false, panelId: target.id, error: focusResult.error };
+      }
+
+      await sleep(200);
+
+      if (clear) {
+        await this.clearInput();
+      }
+
+      if (mode === 'paste') {
+        await this.pasteText(target.id, message);
+      } else if (mode === 'insert') {
+        await this.insertText(message);
+      } else {
+        await this.typeText(message, typingDelay);
+      }
+      await sleep(200);
+
+      // Make sure the text landed in this panel, in full, and nowhere else
+      check = await this.verifyInput(target.id, message, { exact: clear });
+      if (check.matches) break;
+    }
+
+    if (!check.matches) {
+      return {
+        sent: false,
+        panelId: target.id,
+        error: 'Input does not hold the message after typing',
+        inputContent: check.inputContent
+      };
+    }
     
-    // Multiple focus attempts
-    input.click();
-    input.focus();
+    // Check button state
+    const state = await this.getPanelState(target.id);
     
-    // Verify focus
-    const isFocused = document.activeElement === input || 
-                      input.contains(document.activeElement);
+    if (submit && state.buttonEnabled) {
+      // Click send button
+      await this.page.evaluate((id) => {
+        const panel = document.querySelector(`.chat-client-root[data-cascade-panel-id="${id}"]`);
+        const btn = panel?.querySelector('button.rounded-full:not(.cursor-not-allowed)');
+        btn?.click();
+      }, target.id);
+      
+      return { sent: true, message, panelId: target.id };
+    }
     
-    return { focused: isFocused, panelIndex: idx };
-  }, index);
-  
-  if (focusResult.error) {
-    return { sent: false, error: focusResult.error };
-  }
-  
-  await sleep(200);
-  
-  // Clear existing content if requested
-  if (clear) {
-    // Cmd+A to select all
-    await cdpClient.send('Input.dispatchKeyEvent', { type: 'keyDown', key: 'Meta', modifiers: 8 });
-    await cdpClient.send('Input.dispatchKeyEvent', { type: 'keyDown', key: 'a', modifiers: 8 });
-    await cdpClient.send('Input.dispatchKeyEvent', { type: 'keyUp', key: 'a' });
-    await cdpClient.send('Input.dispatchKeyEvent', { type: 'keyUp', key: 'Meta' });
+    return {
+      sent: false,
+      panelId: target.id,
+      buttonEnabled: state.buttonEnabled,
+      inputContent: state.inputContent
+    };
+  }
+
+  /**
+   * Focus a panel's input - click panel first, then input, then focus
+   * @param {string} panelId - Stable panel ID
+   */
+  async focusInput(panelId) {
+    return this.page.evaluate((id) => {
+      const panel = document.querySelector(`.chat-client-root[data-cascade-panel-id="${id}"]`);
+      if (!panel) return { error: 'Panel not found' };
+      
+      const input = panel.querySelector('[contenteditable="true"]');
+      if (!input) return { error: 'Input not found' };
+      
+      // Click the panel to activate it
+      panel.click();
+      
+      // Scroll input into view
+      input.scrollIntoView({ block: 'center' });
+      
+      // Multiple focus attempts
+      input.click();
+      input.focus();
+      
+      // Verify focus
+      const isFocused = document.activeElement === input || 
+                        input.contains(document.activeElement);
+      
+      return { focused: isFocused, panelId: id };
+    }, panelId);
+  }
+
+  /**
+   * Press a keyboard shortcut in the focused element.
+   * "mod" is Cmd on macOS and Ctrl elsewhere.
+   * @param {string} shortcut - Named shortcut ('selectAll') or keys ('mod+shift+i')
+   */
+  async pressShortcut(shortcut) {
+    await this.ready();
+    await dispatchShortcut(this.cdpClient, this.shortcuts[shortcut] || shortcut, this.platform);
+  }
+
+  /**
+   * Clear the focused input: select all, then delete
+   */
+  async clearInput() {
+    await this.pressShortcut('selectAll');
     await sleep(50);
     
-    // Backspace to delete
-    await cdpClient.send('Input.dispatchKeyEvent', { type: 'keyDown', key: 'Backspace' });
-    await cdpClient.send('Input.dispatchKeyEvent', { type: 'keyUp', key: 'Backspace' });
+    await this.pressShortcut('backspace');
     await sleep(100);
   }
-  
-  // Type message character by character
-  for (const char of message) {
-    await cdpClient.send('Input.dispatchKeyEvent', { type: 'char', text: char });
-    await sleep(15); // Small delay for Lexical to process
-  }
-  
-  await sleep(200);
-  
-  // Check button state
-  const state = await getPanelState(index);
-  
-  if (submit && state.buttonEnabled) {
-    // Click send button
-    await page.evaluate((idx) => {
-      const panels = document.querySelectorAll('.chat-client-root');
-      const btn = panels[idx]?.querySelector('button.rounded-full:not(.cursor-not-allowed)');
-      btn?.click();
-    }, index);
-    
-    return { sent: true, message };
+
+  /**
+   * Type text into the focused input character by character
+   * @param {string} text - Text to type; newlines become Shift+Enter
+   * @param {number} delay - Delay between characters in ms
+   */
+  async typeText(text, delay = this.typingDelay) {
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      if (i > 0) await this.insertLineBreak();
+      for (const char of lines[i]) {
+        await this.cdpClient.send('Input.dispatchKeyEvent', { type: 'char', text: char });
+        await sleep(delay); // Small delay for Lexical to process
+      }
+    }
   }
-  
-  return { sent: false, buttonEnabled: state.buttonEnabled, inputContent: state.inputContent };
-}
 
-/**
- * Get the latest response from a Cascade panel
- * @param {number} index - Panel index
- * @param {number} waitMs - Max time to wait for response
- */
-async function getResponse(index, waitMs = 10000) {
-  const startTime = Date.now();
-  let lastContent = '';
-  
-  while (Date.now() - startTime < waitMs) {
-    const content = await page.evaluate((idx) => {
-      const panels = document.querySelectorAll('.chat-client-root');
-      const panel = panels[idx];
-      const scrollArea = panel?.querySelector('.cascade-scrollbar');
-      return scrollArea?.innerText || '';
-    }, index);
-    
-    // Check if content is still changing (Cascade is typing)
-    if (content !== lastContent) {
-      lastContent = content;
-      await sleep(500);
-      continue;
+  /**
+   * Insert text into the focused input one line at a time via Input.insertText
+   * @param {string} text - Text to insert; newlines become Shift+Enter
+   */
+  async insertText(text) {
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      if (i > 0) await this.insertLineBreak();
+      if (lines[i]) {
+        await this.cdpClient.send('Input.insertText', { text: lines[i] });
+        await sleep(20);
+      }
     }
-    
-    // Content stable, return it
-    if (content) {
-      return { response: content, stable: true };
+  }
+
+  /**
+   * Paste text into a panel's input with a synthetic clipboard event,
+   * falling back to the system clipboard and the paste shortcut.
+   * Lexical turns pasted newlines into paragraphs itself.
+   * @param {string} panelId - Stable panel ID
+   * @param {string} text - Text to paste
+   */
+  async pasteText(panelId, text) {
+    const result = await this.page.evaluate((id, content) => {
+      const panel = document.querySelector(`.chat-client-root[data-cascade-panel-id="${id}"]`);
+      const input = panel?.querySelector('[contenteditable="true"]');
+      if (!input) return { pasted: false, found: false };
+
+      const targetEl = input.contains(document.activeElement) ? document.activeElement : input;
+      const clipboardData = new DataTransfer();
+      clipboardData.setData('text/plain', content);
+
+      const event = new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true });
+      targetEl.dispatchEvent(event);
+
+      // Lexical cancels the event when it handles the paste
+      return { pasted: event.defaultPrevented, found: true };
+    }, panelId, text);
+
+    if (result.pasted || !result.found) return result;
+
+    // Synthetic event ignored: go through the real clipboard (overwrites it)
+    const copied = await this.page.evaluate(content =>
+      navigator.clipboard.writeText(content).then(() => true, () => false), text);
+    if (copied) {
+      await this.pressShortcut('paste');
     }
-    
-    await sleep(200);
+    return { pasted: copied, found: true, viaClipboard: true };
   }
-  
-  return { response: lastContent, timeout: true };
-}
 
-/**
- * Spawn a new Cascade panel via command palette
- * Note: ⌘⇧I doesn't work via CDP, but command palette does
- */
-async function spawnCascade() {
-  // Get panel count before
-  const beforeCount = await page.evaluate(() => 
-    document.querySelectorAll('.chat-client-root').length
-  );
-  
-  // First, close any open dialogs/palettes with Escape
-  await cdpClient.send('Input.dispatchKeyEvent', { 
-    type: 'keyDown', key: 'Escape', code: 'Escape' 
-  });
-  await cdpClient.send('Input.dispatchKeyEvent', { type: 'keyUp', key: 'Escape' });
-  await sleep(300);
-  
-  // Open command palette with F1
-  await cdpClient.send('Input.dispatchKeyEvent', { 
-    type: 'keyDown', key: 'F1', code: 'F1', windowsVirtualKeyCode: 112 
-  });
-  await cdpClient.send('Input.dispatchKeyEvent', { type: 'keyUp', key: 'F1' });
-  await sleep(500);
-  
-  // Type the command to spawn new Cascade tab
-  await cdpClient.send('Input.insertText', { text: 'Cascade in new tab' });
-  await sleep(500);
-  
-  // Press Enter to execute
-  await cdpClient.send('Input.dispatchKeyEvent', { 
-    type: 'keyDown', key: 'Enter', code: 'Enter', windowsVirtualKeyCode: 13 
-  });
-  await cdpClient.send('Input.dispatchKeyEvent', { type: 'keyUp', key: 'Enter' });
-  
-  await sleep(2000);
-  
-  // Get panel count after
-  const afterCount = await page.evaluate(() => 
-    document.querySelectorAll('.chat-client-root').length
-  );
-  
-  // New panels appear at index 0, pushing others down
-  return { 
-    spawned: afterCount > beforeCount,
-    beforeCount,
-    afterCount,
-    newIndex: 0  // Spawned panel is always index 0
-  };
-}
+  /**
+   * Start a new line in the focused input without submitting (Shift+Enter)
+   */
+  async insertLineBreak() {
+    await this.pressShortcut('lineBreak');
+    await sleep(20);
+  }
 
-/**
- * List all Cascade panels
- */
-async function listPanels() {
-  return page.evaluate(() => {
-    const panels = document.querySelectorAll('.chat-client-root');
-    return [...panels].map((panel, i) => {
-      const rect = panel.getBoundingClientRect();
-      const input = panel.querySelector('[contenteditable="true"]');
-      const btn = panel.querySelector('button.rounded-full');
+  /**
+   * Check that a panel's input holds the message and still has focus
+   * @param {string} panelId - Stable panel ID
+   * @param {string} message - Expected text
+   * @param {object} options - { exact: true } false accepts existing text before the message
+   */
+  async verifyInput(panelId, message, options = {}) {
+    const { exact = true } = options;
+
+    const state = await this.page.evaluate((id) => {
+      const panel = document.querySelector(`.chat-client-root[data-cascade-panel-id="${id}"]`);
+      const input = panel?.querySelector('[contenteditable="true"]');
       return {
-        index: i,
-        id: panel.id || null,
-        visible: rect.width > 0 && rect.height > 0,
-        inputContent: input?.innerText?.slice(0, 50) || '',
-        buttonEnabled: btn ? !btn.className.includes('cursor-not-allowed') : false
+        inputContent: input?.innerText || '',
+        focused: !!input && (document.activeElement === input || input.contains(document.activeElement))
       };
+    }, panelId);
+
+    const actual = normalizeInputText(state.inputContent);
+    const expected = normalizeInputText(message);
+    const matches = state.focused && (exact ? actual === expected : actual.endsWith(expected));
+
+    return { matches, ...state };
+  }
+
+  /**
+   * Read the busy signals of a panel
+   * @param {string} panelId - Stable panel ID
+   * @returns {Promise<object>} Signals from readPanelActivity() plus state
+   */
+  async readActivity(panelId) {
+    const activity = await this.page.evaluate(readPanelActivity, panelId, this.activitySelectors);
+    if (!activity.found) return { ...activity, state: null };
+    return { ...activity, state: classifyActivity(activity) };
+  }
+
+  /**
+   * Wait until a Cascade panel finishes its turn and return the latest assistant turn.
+   * The turn is complete once the panel shows no busy signal and its content
+   * has been quiet for quietMs.
+   * @param {number|string} panel - Panel index, ID or label
+   * @param {number|object} options - { timeoutMs: responseTimeout or 10000, quietMs: 1500, startMs: 3000, pollMs: 250, since },
+   *   or a timeout in ms. since is a turn count: only turns from that index on count as the response.
+   * @returns {Promise<object>} { response, message, turnCount, panelId, status, ... }
+   */
+  async getResponse(panel, options = {}) {
+    if (typeof options === 'number') options = { timeoutMs: options };
+    const { timeoutMs = this.responseTimeout ?? 10000, quietMs = 1500, startMs = 3000, pollMs = 250, since = 0 } = options;
+
+    const startTime = Date.now();
+    const target = await this.resolvePanel(panel);
+    if (!target) {
+      return { response: '', message: null, turnCount: 0, status: 'errored', error: `Panel ${panel} not found` };
+    }
+
+    let initialSnapshot = null;
+    let lastSnapshot = null;
+    let lastChange = Date.now();
+    let sawActivity = false;
+    let latest = null;
+    let turnCount = 0;
+    let activity = null;
+
+    const result = (status, extra = {}) => ({
+      response: latest?.text || '',
+      message: latest,
+      turnCount,
+      panelId: target.id,
+      status,
+      waitedMs: Date.now() - startTime,
+      ...extra
     });
-  });
-}
 
-/**
- * Mount Windsurf UI and replace with custom interface
- * Extracts handlers, creates custom UI, preserves conversations
- */
-async function mountCustomUI() {
-  if (!page) {
-    throw new Error('Not connected. Call connect() first.');
+    while (Date.now() - startTime < timeoutMs) {
+      const turns = await this.page.evaluate(parseConversation, target.id);
+      const assistantTurns = turns.filter(turn => turn.role === 'assistant' && turn.index >= since);
+      latest = assistantTurns[assistantTurns.length - 1] || null;
+      turnCount = turns.length;
+
+      activity = await this.readActivity(target.id);
+      if (!activity.found) {
+        return result('errored', { error: `Panel ${panel} not found` });
+      }
+
+      const snapshot = JSON.stringify(turns);
+      if (initialSnapshot === null) initialSnapshot = snapshot;
+      if (snapshot !== lastSnapshot) {
+        lastSnapshot = snapshot;
+        lastChange = Date.now();
+      }
+      if (activity.state !== 'idle' || snapshot !== initialSnapshot) {
+        sawActivity = true;
+      }
+
+      const quiet = Date.now() - lastChange >= quietMs;
+
+      if (activity.state === 'errored' && quiet) {
+        return result('errored', { error: activity.error });
+      }
+      if (activity.state === 'awaiting-approval' && quiet) {
+        return result('awaiting-approval', { pendingApprovals: activity.pendingApprovals });
+      }
+      // Cascade may not have started yet right after send(): give it startMs to show up
+      if (activity.state === 'idle' && quiet && latest &&
+          (sawActivity || Date.now() - startTime >= startMs)) {
+        return result('completed');
+      }
+
+      await sleep(pollMs);
+    }
+
+    return result('timeout', { activity: activity?.state || null });
   }
 
-  // Load module code from files
-  const extractorPath = path.join(__dirname, 'handler-extractor.js');
-  const customUIPath = path.join(__dirname, 'custom-ui.js');
-  const extractorCode = fs.readFileSync(extractorPath, 'utf8');
-  const customUICode = fs.readFileSync(customUIPath, 'utf8');
+  /**
+   * Send a message and wait for the reply to it
+   * @param {number|string} panel - Panel index, ID or label
+   * @param {string} message - Message to send
+   * @param {object} options - send() options plus getResponse() options
+   * @returns {Promise<object>} getResponse() result, or the failed send() result
+   */
+  async ask(panel, message, options = {}) {
+    const target = await this.resolvePanel(panel);
+    if (!target) {
+      return { response: '', message: null, turnCount: 0, status: 'errored', error: `Panel ${panel} not found` };
+    }
 
-  // Execute mounting directly via evaluate() to bypass Trusted Types
-  // Note: Using Function constructor here is necessary to execute module code
-  // in the browser context. The code is from controlled local files, not user input.
-  const result = await page.evaluate((extractorSrc, customUISrc) => {
-    try {
-      // Create isolated scope to avoid module conflicts
-      const runModule = (code) => {
-        const module = { exports: {} };
-        // Execute module code with Function constructor
-        const moduleFunc = new Function('module', 'exports', code);
-        moduleFunc(module, module.exports);
-        return module.exports;
-      };
+    // Earlier replies in the panel must not count as the answer
+    const before = await this.page.evaluate(parseConversation, target.id);
+    const sent = await this.send(target.id, message, options);
+    if (!sent.sent) {
+      const failed = { response: '', message: null, turnCount: before.length, panelId: target.id, status: 'errored', error: sent.error || 'Message not sent' };
+      if (sent.blocked) failed.blocked = true;
+      return failed;
+    }
 
-      // Load modules
-      console.log('Loading extractor module...');
-      const extractor = runModule(extractorSrc);
-      console.log('Extractor loaded:', typeof extractor.extract);
-
-      console.log('Loading custom UI module...');
-      const customUI = runModule(customUISrc);
-      console.log('Custom UI loaded:', typeof customUI.createUI);
-
-      // Step 1: Extract handlers and data
-      console.log('Extracting handlers...');
-      const extraction = extractor.extract();
-      console.log('Extraction result:', {
-        panels: extraction.panels?.length || 0,
-        conversations: extraction.conversations?.length || 0,
-        handlers: Object.keys(extraction.handlers || {}).length
-      });
+    return this.getResponse(target.id, { timeoutMs: this.responseTimeout ?? 120000, ...options, since: before.length });
+  }
 
-      // Step 2: Create custom UI
-      console.log('Creating custom UI...');
-      const ui = customUI.createUI(extraction);
-      console.log('UI created');
+  /**
+   * Ask the same question on n panels at once and combine the replies
+   * @param {string} prompt - The question
+   * @param {object} options - { n: 3, strategy: 'vote' | 'judge' | 'compare', panels, judge, timeoutMs, mode, onReply }
+   * @returns {Promise<object>} { answer, response, agreement, votes, judge, comparison, replies, ... }
+   */
+  async consensus(prompt, options = {}) {
+    return consensus(this, prompt, { timeoutMs: this.responseTimeout ?? undefined, ...options });
+  }
 
-      // Step 3: Mount custom UI
-      console.log('Mounting custom UI...');
-      customUI.mount(ui);
-      console.log('UI mounted');
+  /**
+   * Get the full conversation of a Cascade panel as structured turns
+   * @param {number|string} panel - Panel index, ID or label
+   */
+  async getConversation(panel) {
+    const target = await this.resolvePanel(panel);
+    if (!target) return [];
+    return this.page.evaluate(parseConversation, target.id);
+  }
 
-      // Step 4: Wire handlers
-      console.log('Wiring handlers...');
-      const wired = extractor.wireHandlers(extraction, ui);
-      console.log('Handlers wired:', wired.length);
+  /**
+   * Install the CDP binding the in-page response observers report through
+   */
+  async ensureStreamBinding() {
+    if (this.streamBindingReady) return;
 
-      // Step 5: Destroy original UI
-      console.log('Destroying original UI...');
-      const destroyed = customUI.destroyOriginalUI();
-      console.log('Original UI destroyed:', destroyed.hidden);
+    await this.cdpClient.send('Runtime.enable');
+    await this.cdpClient.send('Runtime.addBinding', { name: STREAM_BINDING });
 
+    this.cdpClient.on('Runtime.bindingCalled', ({ name, payload }) => {
+      if (name !== STREAM_BINDING) return;
+
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch (e) {
+        return;
+      }
+      this.streams.get(event.streamId)?._push(event);
+    });
+
+    this.streamBindingReady = true;
+  }
+
+  /**
+   * Stream the response of a Cascade panel as it is generated
+   * @param {number|string} panel - Panel index, ID or label
+   * Start it before send(): turns already in the panel are the baseline.
+   * @param {object} options - { idleMs: 1500, timeoutMs: responseTimeout or 120000 }
+   * @returns {Promise<ResponseStream>} EventEmitter and async iterator of deltas
+   */
+  async streamResponse(panel, options = {}) {
+    const { idleMs = 1500, timeoutMs = this.responseTimeout ?? 120000 } = options;
+
+    if (!this.page) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+
+    await this.ensureStreamBinding();
+
+    const target = await this.resolvePanel(panel);
+    if (!target) {
+      throw new Error(`Panel ${panel} not found`);
+    }
+
+    const streamId = `stream-${this.id}-${Date.now()}-${++this.streamCounter}`;
+    const stream = new ResponseStream(streamId, target.id);
+    this.streams.set(streamId, stream);
+
+    stream.once('close', () => {
+      this.streams.delete(streamId);
+      this.page?.evaluate(stopObserving, streamId).catch(() => {});
+    });
+
+    await this.page.evaluate(observeResponse, {
+      streamId,
+      panelId: target.id,
+      bindingName: STREAM_BINDING,
+      idleMs,
+      timeoutMs,
+      parserSource: parseConversation.toString()
+    });
+
+    return stream;
+  }
+
+  /**
+   * Spawn a new Cascade panel via command palette
+   * Note: ⌘⇧I doesn't work via CDP, but command palette does
+   * @param {object} options - { label } to label the new panel
+   */
+  async spawnCascade(options = {}) {
+    // The command palette is driven by global keystrokes too
+    return this.focusLock.run(() => this.runSpawnCommand(options));
+  }
+
+  /**
+   * Spawn through the command palette (caller holds the focus lock)
+   * @param {object} options - { label }
+   */
+  async runSpawnCommand(options = {}) {
+    // Get panels before
+    const before = await this.syncPanelIds();
+    const beforeCount = before.length;
+    
+    // First, close any open dialogs/palettes
+    await this.pressShortcut('dismiss');
+    await sleep(300);
+    
+    // Open command palette
+    await this.pressShortcut('commandPalette');
+    await sleep(500);
+    
+    // Type the command to spawn new Cascade tab
+    await this.cdpClient.send('Input.insertText', { text: 'Cascade in new tab' });
+    await sleep(500);
+    
+    // Press Enter to execute
+    await this.pressShortcut('enter');
+    
+    await sleep(2000);
+    
+    // The new panel is the one without an ID from before. Its index is
+    // reported for convenience only; existing panels shift when it appears.
+    let after = await this.syncPanelIds();
+    const knownIds = new Set(before.map(p => p.id));
+    let created = after.find(p => !knownIds.has(p.id)) || null;
+
+    if (created && options.label) {
+      after = await this.syncPanelIds({ labels: { [created.id]: options.label } });
+      created = findPanel(after, created.id);
+    }
+
+    return { 
+      spawned: after.length > beforeCount,
+      beforeCount,
+      afterCount: after.length,
+      newIndex: created ? created.index : null,
+      panelId: created ? created.id : null,
+      label: created ? created.label : null
+    };
+  }
+
+  /**
+   * List the command and edit cards a panel is waiting on
+   * @param {number|string} panel - Panel index, ID or label
+   */
+  async getPendingApprovals(panel) {
+    const target = await this.resolvePanel(panel);
+    if (!target) return [];
+
+    const cards = await this.page.evaluate(readApprovalCards, target.id, this.activitySelectors);
+    return cards.map(card => ({ ...card, panelId: target.id, label: target.label }));
+  }
+
+  /**
+   * Press the approve (Accept/Run) or reject button of a pending card
+   * @param {number|string} panel - Panel index, ID or label
+   * @param {string} approvalId - Card ID from getPendingApprovals()
+   * @param {string} decision - 'approve' or 'reject'
+   */
+  async resolveApproval(panel, approvalId, decision) {
+    if (decision !== 'approve' && decision !== 'reject') {
+      throw new Error(`Invalid decision "${decision}". Use approve or reject.`);
+    }
+
+    const target = await this.resolvePanel(panel);
+    if (!target) {
+      return { resolved: false, approvalId, error: 'Panel not found' };
+    }
+
+    const result = await this.page.evaluate(
+      clickApprovalButton, target.id, approvalId, decision, this.activitySelectors
+    );
+    if (!result.found) {
+      return { resolved: false, panelId: target.id, approvalId, error: 'Approval card not found' };
+    }
+    if (!result.clicked) {
+      return { resolved: false, panelId: target.id, approvalId, error: `No ${decision} button on the card` };
+    }
+    return { resolved: true, panelId: target.id, approvalId, decision, button: result.button };
+  }
+
+  /**
+   * Get the file-edit proposals of a panel as structured diffs
+   * @param {number|string} panel - Panel index, ID or label
+   * @param {object} options - { latest: false } only the newest assistant turn
+   * @returns {Promise<Array>} Edits with panelId, turnIndex, path, status, hunks and patch
+   */
+  async getFileEdits(panel, options = {}) {
+    const target = await this.resolvePanel(panel);
+    if (!target) return [];
+
+    let turns = await this.page.evaluate(parseConversation, target.id);
+    if (options.latest) {
+      turns = turns.filter(turn => turn.role === 'assistant').slice(-1);
+    }
+
+    return turns.flatMap(turn => turn.fileEdits.map(edit => ({
+      ...edit,
+      panelId: target.id,
+      turnIndex: turn.index,
+      patch: formatPatch(edit)
+    })));
+  }
+
+  /**
+   * Save the file-edit proposals of a panel as .patch files
+   * @param {number|string} panel - Panel index, ID or label
+   * @param {string} dir - Output directory, created if missing
+   * @param {object} options - { latest: false, combined: false } combined writes one <panelId>.patch
+   */
+  async saveEditPatches(panel, dir, options = {}) {
+    const edits = await this.getFileEdits(panel, options);
+    const withDiff = edits.filter(edit => edit.patch);
+    const skipped = edits.filter(edit => !edit.patch).map(edit => edit.path);
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    if (options.combined) {
+      if (withDiff.length === 0) return { saved: [], skipped };
+      const file = path.join(dir, `${withDiff[0].panelId}.patch`);
+      fs.writeFileSync(file, withDiff.map(edit => edit.patch).join(''));
+      return { saved: withDiff.map(edit => ({ path: edit.path, file })), skipped };
+    }
+
+    const saved = withDiff.map(edit => {
+      const file = path.join(dir, patchFileName(edit));
+      fs.writeFileSync(file, edit.patch);
+      return { path: edit.path, file };
+    });
+    return { saved, skipped };
+  }
+
+  /**
+   * Accept or reject the proposed edit for one file
+   * @param {number|string} panel - Panel index, ID or label
+   * @param {string} filePath - Path as reported by getFileEdits()
+   * @param {string} decision - 'accept' or 'reject'
+   */
+  async resolveFileEdit(panel, filePath, decision) {
+    if (decision !== 'accept' && decision !== 'reject') {
+      throw new Error(`Invalid decision "${decision}". Use accept or reject.`);
+    }
+
+    const target = await this.resolvePanel(panel);
+    if (!target) {
+      return { resolved: false, path: filePath, error: 'Panel not found' };
+    }
+
+    const result = await this.page.evaluate(
+      clickFileEditButton, target.id, filePath, decision, this.activitySelectors
+    );
+    if (!result.clicked) {
       return {
-        success: true,
-        extraction: {
-          panelCount: extraction.panels?.length || 0,
-          conversationCount: extraction.conversations?.length || 0,
-          handlersExtracted: Object.keys(extraction.handlers || {}).length
-        },
-        wired: wired.length,
-        destroyed: destroyed.hidden,
-        ui: {
-          mounted: !!document.getElementById('cascade-hub-ui')
-        }
-      };
-    } catch (error) {
-      console.error('Mount error:', error);
-      return {
-        success: false,
-        error: error.message,
-        stack: error.stack
+        resolved: false,
+        panelId: target.id,
+        path: filePath,
+        error: result.error || `No ${decision} button for ${filePath}`
       };
     }
-  }, extractorCode, customUICode);
+    return { resolved: true, panelId: target.id, path: filePath, decision, button: result.button };
+  }
+
+  /**
+   * Watch every panel for approval cards and decide them with a policy.
+   * Emits 'approval' for each new card and 'approval-decision' for each decision.
+   * @param {object|ApprovalPolicy} policy - { commands, paths, decide, default, logFile, intervalMs }
+   */
+  watchApprovals(policy = {}) {
+    this.unwatchApprovals();
+    this.approvalPolicy = policy instanceof ApprovalPolicy ? policy : new ApprovalPolicy(policy);
 
-  // Check for errors
-  if (!result.success) {
-    throw new Error(`Mount failed: ${result.error}\n${result.stack}`);
+    this.approvalTimer = setInterval(() => this.checkApprovals(), policy.intervalMs || 1000);
+    // Watching alone should not keep the process alive
+    this.approvalTimer.unref?.();
   }
 
-  mountedUI = result;
+  /**
+   * Stop watching for approval cards
+   */
+  unwatchApprovals() {
+    if (this.approvalTimer) {
+      clearInterval(this.approvalTimer);
+      this.approvalTimer = null;
+    }
+    this.approvalPolicy = null;
+  }
 
-  // Set up event bridges for custom UI
-  await setupEventBridges();
+  /**
+   * Decisions made by the approval watcher, oldest first
+   */
+  getApprovalLog() {
+    return [...this.approvalLog];
+  }
 
-  return result;
-}
+  /**
+   * Scan all panels once for new approval cards
+   */
+  async checkApprovals() {
+    if (this.checkingApprovals || !this.page || this.reconnecting || !this.approvalPolicy) return;
+    this.checkingApprovals = true;
 
-/**
- * Setup event bridges between custom UI and CDP backend
- */
-async function setupEventBridges() {
-  // Listen for custom UI events and bridge them to CDP actions
-  await page.exposeFunction('cascadeSendMessage', async (panelIndex, message) => {
-    return await send(panelIndex, message);
-  });
-
-  await page.exposeFunction('cascadeSpawnPanel', async () => {
-    return await spawnCascade();
-  });
-
-  // Install event listeners in page
-  await page.evaluate(() => {
-    // Bridge cascade-send event
-    window.addEventListener('cascade-send', async (e) => {
-      const { panelIndex, message } = e.detail;
-      await window.cascadeSendMessage(panelIndex, message);
+    try {
+      const panels = await this.syncPanelIds();
+      for (const panel of panels) {
+        const cards = await this.page.evaluate(readApprovalCards, panel.id, this.activitySelectors);
+        for (const card of cards) {
+          if (this.handledApprovals.has(card.id)) continue;
+          this.handledApprovals.add(card.id);
+          // Not awaited: a card waiting for a person must not hold up the others
+          this.handleApproval({ ...card, panelId: panel.id, label: panel.label }).catch(() => {});
+        }
+      }
+    } catch (error) {
+      // Page reloading or connection dropped: the next tick tries again
+    } finally {
+      this.checkingApprovals = false;
+    }
+  }
+
+  /**
+   * Decide one new approval card, press the button and log the decision
+   * @param {object} approval - Card from getPendingApprovals()
+   */
+  async handleApproval(approval) {
+    const policy = this.approvalPolicy;
+    this.emit('approval', approval);
+
+    let verdict = null;
+    if (this.safety) {
+      // The safety layer goes first: blocked or unapproved actions are rejected,
+      // approved ones accepted, and everything else is left to the policy
+      const check = await this.safety.check(SafetyLayer.fromApproval(approval));
+      if (!check.allowed) {
+        verdict = { decision: 'reject', reason: `safety: ${check.reason}` };
+      } else if (check.decision === 'approved') {
+        verdict = { decision: 'approve', reason: `safety: ${check.reason}, approved` };
+      }
+    }
+
+    if (!verdict) {
+      try {
+        verdict = await policy.evaluate(approval);
+      } catch (error) {
+        verdict = { decision: 'ask', reason: `policy error: ${error.message}` };
+      }
+    }
+
+    const result = verdict.decision === 'ask'
+      ? null
+      : await this.resolveApproval(approval.panelId, approval.id, verdict.decision);
+
+    const entry = {
+      at: new Date().toISOString(),
+      panelId: approval.panelId,
+      label: approval.label,
+      approvalId: approval.id,
+      kind: approval.kind,
+      command: approval.command,
+      files: approval.files,
+      decision: verdict.decision,
+      reason: verdict.reason,
+      resolved: !!result?.resolved,
+      error: result?.error || null
+    };
+
+    this.approvalLog.push(entry);
+    if (this.approvalLog.length > 1000) this.approvalLog.shift();
+    policy.write(entry);
+    this.emit('approval-decision', entry);
+  }
+
+  /**
+   * Watch for two panels editing the same file. Edit cards are read every
+   * intervalMs and the workspace root is watched for changes on disk; the
+   * detector's watching is null when it cannot be, and cards alone are compared.
+   * Emits 'conflict' with { id, file, first, second, detectedAt } and acts on it.
+   * @param {object} options - { root, windowMs: 600000, intervalMs: 2000, ignore, action: 'ask' }
+   *   root defaults to the window's workspace folder, else the current directory.
+   *   action is 'ask' (Agent Hub prompt), 'pause', 'remerge', 'ignore', or a
+   *   function (conflict) => action.
+   * @returns {ConflictDetector}
+   */
+  watchConflicts(options = {}) {
+    const action = options.action || 'ask';
+    if (typeof action !== 'function' && !CONFLICT_ACTIONS.includes(action)) {
+      throw new Error(`Unknown conflict action "${action}". Use one of: ${CONFLICT_ACTIONS.join(', ')}`);
+    }
+    this.unwatchConflicts();
+
+    this.conflictAction = action;
+    const intervalMs = options.intervalMs || 2000;
+    this.conflictDetector = new ConflictDetector({
+      root: options.root || this.workspaceRoot(),
+      windowMs: options.windowMs,
+      cardLagMs: 2 * intervalMs + 1000,
+      ignore: options.ignore
     });
+    this.conflictDetector.on('conflict', (conflict) => this.handleConflict(conflict).catch(() => {}));
+    this.conflictDetector.watch();
+
+    this.seenEdits = new Set();
+    this.editsSeeded = false;
+    this.conflictTimer = setInterval(() => this.checkFileEdits(), intervalMs);
+    this.conflictTimer.unref?.();
+    this.checkFileEdits();
+    return this.conflictDetector;
+  }
 
-    // Bridge cascade-spawn-panel event
-    window.addEventListener('cascade-spawn-panel', async () => {
-      const result = await window.cascadeSpawnPanel();
-      if (result.spawned) {
-        // Refresh UI to show new panel
-        window.location.reload();
+  /**
+   * Stop watching for conflicts
+   */
+  unwatchConflicts() {
+    if (this.conflictTimer) {
+      clearInterval(this.conflictTimer);
+      this.conflictTimer = null;
+    }
+    if (this.conflictDetector) {
+      this.conflictDetector.unwatch();
+      this.conflictDetector.removeAllListeners('conflict');
+      this.conflictDetector = null;
+    }
+    this.conflictAction = null;
+  }
+
+  /**
+   * Conflicts detected since watchConflicts(), oldest first
+   * @param {object} filter - { file, panelId }
+   */
+  getConflicts(filter = {}) {
+    return this.conflictDetector ? this.conflictDetector.getConflicts(filter) : [];
+  }
+
+  /**
+   * Folder of the connected window's workspace, if it is a local path
+   * @returns {string} Workspace folder, or the current directory
+   */
+  workspaceRoot() {
+    const workspace = this.target?.workspace && normalizeWorkspace(this.target.workspace);
+    return workspace && path.isAbsolute(workspace) && fs.existsSync(workspace) ? workspace : process.cwd();
+  }
+
+  /**
+   * Scan all panels once for new edit cards and feed them to the conflict detector
+   */
+  async checkFileEdits() {
+    if (this.checkingEdits || !this.page || this.reconnecting || !this.conflictDetector) return;
+    this.checkingEdits = true;
+    const detector = this.conflictDetector;
+    // Cards already in the panels on the first scan are history, not new edits
+    const seed = !this.editsSeeded;
+
+    try {
+      const panels = await this.syncPanelIds();
+      for (const panel of panels) {
+        const turns = await this.page.evaluate(parseConversation, panel.id);
+        turns.forEach(turn => turn.fileEdits.forEach(edit => {
+          const key = `${panel.id}:${turn.index}:${edit.path}`;
+          if (this.seenEdits.has(key)) return;
+          this.seenEdits.add(key);
+          if (seed) return;
+          detector.recordEdit({
+            panelId: panel.id,
+            label: panel.label || null,
+            agent: this.agentForLabel(panel.label),
+            path: edit.path,
+            status: edit.status,
+            turnIndex: turn.index,
+            patch: formatPatch(edit)
+          });
+        }));
       }
+      this.editsSeeded = true;
+    } catch (error) {
+      // Page reloading or connection dropped: the next tick tries again
+    } finally {
+      this.checkingEdits = false;
+    }
+  }
+
+  /**
+   * Decide what to do with a new conflict and do it
+   * @param {object} conflict - From the conflict detector
+   */
+  async handleConflict(conflict) {
+    this.emit('conflict', conflict);
+
+    let action = this.conflictAction;
+    if (typeof action === 'function') {
+      try {
+        action = await action(conflict);
+      } catch (error) {
+        action = 'ask';
+      }
+    }
+    if (action === 'ask') {
+      action = await this.promptHubConflict(conflict);
+    }
+    if (!action || this.resolvedConflicts.has(conflict.id)) return null;
+    return this.resolveConflict(conflict, action);
+  }
+
+  /**
+   * Put a conflict to the Agent Hub and wait for the answer.
+   * Resolves null at once when the UI is not mounted.
+   * @param {object} conflict
+   * @returns {Promise<string|null>} 'pause', 'remerge' or 'ignore'
+   */
+  promptHubConflict(conflict) {
+    if (!this.mountedUI || !this.page) return Promise.resolve(null);
+
+    const name = (edit) => edit.label || edit.agent || edit.panelId;
+    return new Promise(resolve => {
+      this.conflictPrompts.set(conflict.id, (action) => {
+        this.conflictPrompts.delete(conflict.id);
+        if (this.page) this.page.evaluate(hideConflictPrompt, conflict.id).catch(() => {});
+        resolve(action);
+      });
+      this.page.evaluate(showConflictPrompt, {
+        id: conflict.id,
+        file: conflict.file,
+        first: name(conflict.first),
+        second: name(conflict.second)
+      }).catch(() => {});
     });
+  }
+
+  /**
+   * Act on a conflict. The later agent is the one acted on: 'pause' stops
+   * its response, 'remerge' stops it if needed and sends it remergePrompt(conflict).
+   * Emits 'conflict-resolved'.
+   * @param {object} conflict - From the 'conflict' event or getConflicts()
+   * @param {string} action - 'pause', 'remerge' or 'ignore'
+   */
+  async resolveConflict(conflict, action) {
+    if (!['pause', 'remerge', 'ignore'].includes(action)) {
+      throw new Error(`Invalid action "${action}". Use pause, remerge or ignore.`);
+    }
+    this.resolvedConflicts.add(conflict.id);
+    // Decided elsewhere while the Agent Hub was asking
+    this.conflictPrompts.get(conflict.id)?.(null);
+
+    const panelId = conflict.second.panelId;
+    const result = { conflictId: conflict.id, file: conflict.file, action, panelId };
+
+    if (action !== 'ignore') {
+      const cancelled = await this.cancel(panelId);
+      if (cancelled.error) result.error = cancelled.error;
+      result.stopped = !cancelled.error;
+    }
+    if (action === 'remerge' && !result.error) {
+      const sent = await this.send(panelId, remergePrompt(conflict), { mode: 'paste' });
+      result.sent = sent.sent;
+      if (!sent.sent) result.error = sent.error || 'Message not sent';
+    }
+
+    this.emit('conflict-resolved', result);
+    return result;
+  }
 
-    // Bridge cascade-agent-toggle event
-    window.addEventListener('cascade-agent-toggle', (e) => {
-      const { agent } = e.detail;
-      console.log('Agent toggled:', agent);
-      // TODO: Implement agent orchestration
+  /**
+   * Get the agent for a key or name, whether or not it is active
+   * @param {string} name - "builder" or "Builder"
+   * @returns {Agent|null}
+   */
+  getAgent(name) {
+    const definition = findAgent(this.agentDefinitions, name);
+    if (!definition) return null;
+
+    if (!this.agents.has(definition.key)) {
+      this.agents.set(definition.key, new Agent(definition, this));
+    }
+    return this.agents.get(definition.key);
+  }
+
+  /**
+   * Screen prompts and approval cards with a safety layer. Without an
+   * approver of its own, gated operations are put to the Agent Hub.
+   * Starts the approval watcher (default 'ask') if it is not running.
+   * Emits 'safety' with each check.
+   * @param {SafetyLayer|object|null} safety - Layer or its config; null removes it
+   */
+  setSafety(safety) {
+    if (this.safety && this.safetyListener) {
+      this.safety.off('check', this.safetyListener);
+    }
+    if (!safety) {
+      this.safety = null;
+      this.safetyListener = null;
+      return null;
+    }
+
+    this.safety = safety instanceof SafetyLayer ? safety : new SafetyLayer(safety);
+    if (!this.safety.approver) {
+      this.safety.approver = (request) => this.promptHubApproval(request);
+    }
+    this.safetyListener = (entry) => this.emit('safety', entry);
+    this.safety.on('check', this.safetyListener);
+
+    if (!this.approvalPolicy) {
+      this.watchApprovals({});
+    }
+    return this.safety;
+  }
+
+  /**
+   * Put a safety approval request to the Agent Hub and wait for the answer.
+   * Resolves true or false when someone clicks, or null when the request's
+   * signal aborts first; stays pending while the UI is not mounted.
+   * @param {object} request - From SafetyLayer.requestApproval()
+   * @returns {Promise<boolean|null>}
+   */
+  promptHubApproval(request) {
+    return new Promise(resolve => {
+      const settle = (approved) => {
+        if (!this.safetyPrompts.has(request.id)) return;
+        this.safetyPrompts.delete(request.id);
+        if (this.page) this.page.evaluate(hideSafetyPrompt, request.id).catch(() => {});
+        resolve(approved);
+      };
+      this.safetyPrompts.set(request.id, settle);
+      request.signal?.addEventListener('abort', () => settle(null), { once: true });
+
+      if (!this.mountedUI || !this.page) return;
+      this.page.evaluate(showSafetyPrompt, {
+        id: request.id,
+        title: SafetyLayer.describe(request.operation),
+        reason: request.reason,
+        timeoutMs: request.timeoutMs
+      }).catch(() => {});
     });
-  });
-}
+  }
 
-/**
- * Get mounted UI status
- */
-function getMountStatus() {
-  return mountedUI;
-}
+  /**
+   * Key of the agent that owns a panel label
+   * @param {string|null} label - Panel label
+   * @returns {string|null}
+   */
+  agentForLabel(label) {
+    if (!label) return null;
+    return [...this.agentDefinitions.keys()].find(key => this.getAgent(key).owns(label)) || null;
+  }
 
-/**
- * Restore original Windsurf UI
- */
-async function restoreUI() {
-  if (!page || !mountedUI) {
-    return { restored: false, error: 'UI not mounted' };
+  /**
+   * Prepend context to every message sent, e.g. a SharedMemory summary.
+   * The provider gets { panelId, label, agent, taskId, message } and returns
+   * the text to prepend, or nothing; send() with context: false skips it.
+   * @param {Function|null} provider - Sync or async provider; null removes it
+   */
+  setContextProvider(provider) {
+    if (provider !== null && typeof provider !== 'function') {
+      throw new Error('Context provider must be a function or null');
+    }
+    this.contextProvider = provider;
+  }
+
+  /**
+   * List the agent definitions with their panel bindings
+   * @returns {Promise<Array>} { key, name, emoji, role, capabilities, status, panelId, label, primed }
+   */
+  async listAgents() {
+    const panels = await this.syncPanelIds();
+    return [...this.agentDefinitions.keys()].map(key => {
+      const agent = this.getAgent(key);
+      agent.sync(panels);
+      return agent.toJSON();
+    });
+  }
+
+  /**
+   * Bind an agent to a panel and prime it with its role prompt.
+   * Afterwards messages to the agent's name go to that panel.
+   * @param {string} name - Agent key or name
+   * @param {object} options - { panel, prime: true }; panel claims a specific panel instead of spawning
+   * @returns {Promise<object>} { activated, agent, panelId, label, primed, spawned, error }
+   */
+  async activateAgent(name, options = {}) {
+    const agent = this.getAgent(name);
+    if (!agent) {
+      throw new Error(`Unknown agent "${name}". Known agents: ${[...this.agentDefinitions.keys()].join(', ')}`);
+    }
+
+    await this.updateAgentSlot(agent.key, 'spawning');
+    const result = await agent.activate(options);
+    await this.updateAgentSlot(agent.key, agent.status);
+
+    if (result.activated) this.emit('agent-activated', agent.toJSON());
+    return result;
   }
 
-  const result = await page.evaluate(() => {
-    const customUIRoot = document.getElementById('cascade-hub-ui');
-    if (customUIRoot) {
-      customUIRoot.remove();
+  /**
+   * Release an agent's panel binding; the panel itself stays open
+   * @param {string} name - Agent key or name
+   */
+  async deactivateAgent(name) {
+    const agent = this.getAgent(name);
+    if (!agent) return { deactivated: false, error: `Unknown agent "${name}"` };
+
+    agent.sync(await this.syncPanelIds());
+    const result = await agent.deactivate();
+    await this.updateAgentSlot(agent.key, agent.status);
+
+    if (result.deactivated) this.emit('agent-deactivated', agent.toJSON());
+    return result;
+  }
+
+  /**
+   * Show an agent's status on its Agent Hub slot, if the UI is mounted
+   * @param {string} key - Agent key
+   * @param {string} status - Agent status
+   */
+  async updateAgentSlot(key, status) {
+    if (!this.mountedUI || !this.page) return;
+    await this.page.evaluate(setAgentSlotStatus, key, status).catch(() => {});
+  }
+
+  /**
+   * Show an agent pool's size and load in the Agent Hub, if the UI is mounted
+   * @param {object|null} stats - AgentPool.stats(); null removes the display
+   */
+  async updatePoolStatus(stats) {
+    if (!this.mountedUI || !this.page) return;
+    await this.page.evaluate(showPoolStatus, stats).catch(() => {});
+  }
+
+  /**
+   * List all Cascade panels
+   */
+  async listPanels() {
+    const panels = await this.syncPanelIds();
+
+    const details = await this.page.evaluate(() => {
+      return [...document.querySelectorAll('.chat-client-root')].map(panel => {
+        const rect = panel.getBoundingClientRect();
+        const input = panel.querySelector('[contenteditable="true"]');
+        const btn = panel.querySelector('button.rounded-full');
+        return {
+          id: panel.dataset.cascadePanelId,
+          domId: panel.id || null,
+          visible: rect.width > 0 && rect.height > 0,
+          inputContent: input?.innerText?.slice(0, 50) || '',
+          buttonEnabled: btn ? !btn.className.includes('cursor-not-allowed') : false
+        };
+      });
+    });
+
+    return panels.map(panel => ({
+      index: panel.index,
+      label: panel.label,
+      ...details.find(d => d.id === panel.id)
+    }));
+  }
+
+  /**
+   * Mount Windsurf UI and replace with custom interface
+   * Extracts handlers, creates custom UI, preserves conversations
+   */
+  async mountCustomUI() {
+    if (!this.page) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+
+    // Load module code from files
+    const moduleNames = ['conversation-parser', 'panel-registry', 'handler-extractor', 'custom-ui'];
+    const moduleSources = {};
+    moduleNames.forEach(name => {
+      moduleSources[name] = fs.readFileSync(path.join(__dirname, `${name}.js`), 'utf8');
+    });
+
+    // Agent Hub slots show the agent definitions and their bindings
+    const agents = (await this.listAgents()).map(({ key, name, emoji, status }) => ({ key, name, emoji, status }));
+
+    // Execute mounting directly via evaluate() to bypass Trusted Types
+    // Note: Using Function constructor here is necessary to execute module code
+    // in the browser context. The code is from controlled local files, not user input.
+    const result = await this.page.evaluate((sources, agents) => {
+      try {
+        // Create isolated scope to avoid module conflicts. Modules may
+        // require() each other by relative name ('./conversation-parser').
+        const loaded = {};
+        const runModule = (name) => {
+          if (loaded[name]) return loaded[name];
+          const module = { exports: {} };
+          const localRequire = (request) => runModule(request.replace(/^\.\//, '').replace(/\.js$/, ''));
+          // Execute module code with Function constructor
+          const moduleFunc = new Function('module', 'exports', 'require', sources[name]);
+          moduleFunc(module, module.exports, localRequire);
+          loaded[name] = module.exports;
+          return module.exports;
+        };
+
+        // Load modules
+        console.log('Loading extractor module...');
+        const extractor = runModule('handler-extractor');
+        console.log('Extractor loaded:', typeof extractor.extract);
+
+        console.log('Loading custom UI module...');
+        const customUI = runModule('custom-ui');
+        console.log('Custom UI loaded:', typeof customUI.createUI);
+
+        // Step 1: Extract handlers and data
+        console.log('Extracting handlers...');
+        const extraction = extractor.extract();
+        console.log('Extraction result:', {
+          panels: extraction.panels?.length || 0,
+          conversations: extraction.conversations?.length || 0,
+          handlers: Object.keys(extraction.handlers || {}).length
+        });
+
+        // Step 2: Create custom UI
+        console.log('Creating custom UI...');
+        const ui = customUI.createUI(extraction, { agents });
+        console.log('UI created');
+
+        // Step 3: Mount custom UI
+        console.log('Mounting custom UI...');
+        customUI.mount(ui);
+        console.log('UI mounted');
+
+        // Step 4: Wire handlers
+        console.log('Wiring handlers...');
+        const wired = extractor.wireHandlers(extraction, ui);
+        console.log('Handlers wired:', wired.length);
+
+        // Step 5: Destroy original UI
+        console.log('Destroying original UI...');
+        const destroyed = customUI.destroyOriginalUI();
+        console.log('Original UI destroyed:', destroyed.hidden);
+
+        return {
+          success: true,
+          extraction: {
+            panelCount: extraction.panels?.length || 0,
+            conversationCount: extraction.conversations?.length || 0,
+            handlersExtracted: Object.keys(extraction.handlers || {}).length
+          },
+          wired: wired.length,
+          destroyed: destroyed.hidden,
+          ui: {
+            mounted: !!document.getElementById('cascade-hub-ui')
+          }
+        };
+      } catch (error) {
+        console.error('Mount error:', error);
+        return {
+          success: false,
+          error: error.message,
+          stack: error.stack
+        };
+      }
+    }, moduleSources, agents);
+
+    // Check for errors
+    if (!result.success) {
+      throw new Error(`Mount failed: ${result.error}\n${result.stack}`);
     }
 
-    // Show original panels
-    const panels = document.querySelectorAll('.chat-client-root');
-    panels.forEach(panel => {
-      panel.style.display = '';
+    this.mountedUI = result;
+
+    // Set up event bridges for custom UI
+    await this.setupEventBridges();
+
+    return result;
+  }
+
+  /**
+   * Setup event bridges between custom UI and CDP backend
+   */
+  async setupEventBridges() {
+    // Exposed functions outlive reloads, so expose each one once per page
+    const expose = async (name, fn) => {
+      if (this.exposedBindings.has(name)) return;
+      await this.page.exposeFunction(name, fn);
+      this.exposedBindings.add(name);
+    };
+
+    // Listen for custom UI events and bridge them to CDP actions
+    await expose('cascadeSendMessage', async (panel, message) => {
+      return await this.send(panel, message);
+    });
+
+    await expose('cascadeSpawnPanel', async () => {
+      return await this.spawnCascade();
+    });
+
+    await expose('cascadeCancelPanel', async (panel) => {
+      return await this.cancel(panel);
+    });
+
+    // Agent slots activate their agent, or release it when it is active
+    await expose('cascadeAgentToggle', async (name) => {
+      const agent = this.getAgent(name);
+      if (!agent) return { toggled: false, error: `Unknown agent "${name}"` };
+
+      agent.sync(await this.syncPanelIds());
+      const result = agent.status === 'active'
+        ? await this.deactivateAgent(agent.key)
+        : await this.activateAgent(agent.key);
+      this.emit('agent-toggle', { agent: agent.key, active: agent.status === 'active' });
+      return result;
+    });
+
+    // Approve or deny buttons of a safety prompt
+    await expose('cascadeSafetyDecision', async (id, approved) => {
+      const settle = this.safetyPrompts.get(id);
+      if (settle) settle(approved === true);
+      return { settled: !!settle };
+    });
+
+    // Pause, Re-merge or Ignore buttons of a conflict prompt
+    await expose('cascadeConflictDecision', async (id, action) => {
+      const settle = this.conflictPrompts.get(id);
+      if (settle) settle(['pause', 'remerge', 'ignore'].includes(action) ? action : 'ignore');
+      return { settled: !!settle };
     });
 
-    const sidebar = document.querySelector('.sidebar');
-    if (sidebar) {
-      sidebar.style.display = '';
+    // Install event listeners in page (once per document)
+    await this.page.evaluate(() => {
+      if (window.__cascadeBridgesInstalled) return;
+      window.__cascadeBridgesInstalled = true;
+
+      // Bridge cascade-send event
+      window.addEventListener('cascade-send', async (e) => {
+        const { panelId, panelIndex, message } = e.detail;
+        await window.cascadeSendMessage(panelId ?? panelIndex, message);
+      });
+
+      // Bridge cascade-stop event
+      window.addEventListener('cascade-stop', async (e) => {
+        const { panelId, panelIndex } = e.detail;
+        await window.cascadeCancelPanel(panelId ?? panelIndex);
+      });
+
+      // Bridge cascade-spawn-panel event
+      window.addEventListener('cascade-spawn-panel', async () => {
+        const result = await window.cascadeSpawnPanel();
+        if (result.spawned) {
+          // Refresh UI to show new panel; the controller remounts after the reload
+          window.location.reload();
+        }
+      });
+
+      // Bridge cascade-agent-toggle event
+      window.addEventListener('cascade-agent-toggle', async (e) => {
+        const { key, agent } = e.detail;
+        await window.cascadeAgentToggle(key || agent);
+      });
+
+      // Bridge cascade-safety-decision event
+      window.addEventListener('cascade-safety-decision', async (e) => {
+        const { id, approved } = e.detail;
+        await window.cascadeSafetyDecision(id, approved);
+      });
+
+      // Bridge cascade-conflict-decision event
+      window.addEventListener('cascade-conflict-decision', async (e) => {
+        const { id, action } = e.detail;
+        await window.cascadeConflictDecision(id, action);
+      });
+    });
+  }
+
+  /**
+   * Get mounted UI status
+   */
+  getMountStatus() {
+    return this.mountedUI;
+  }
+
+  /**
+   * Restore original Windsurf UI
+   */
+  async restoreUI() {
+    if (!this.page || !this.mountedUI) {
+      return { restored: false, error: 'UI not mounted' };
     }
 
-    return { restored: true };
-  });
+    const result = await this.page.evaluate(() => {
+      const customUIRoot = document.getElementById('cascade-hub-ui');
+      if (customUIRoot) {
+        customUIRoot.remove();
+      }
+
+      // Show original panels
+      const panels = document.querySelectorAll('.chat-client-root');
+      panels.forEach(panel => {
+        panel.style.display = '';
+      });
+
+      const sidebar = document.querySelector('.sidebar');
+      if (sidebar) {
+        sidebar.style.display = '';
+      }
 
-  mountedUI = null;
-  return result;
+      return { restored: true };
+    });
+
+    this.mountedUI = null;
+    return result;
+  }
 }
 
 // Helper
@@ -484,18 +2103,58 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-module.exports = {
-  connect,
-  disconnect,
-  trustWorkspace,
-  open,
-  getPanelState,
-  send,
-  getResponse,
-  spawnCascade,
-  listPanels,
+// Default instance behind the functional API
+const defaultController = new CascadeController();
+
+const api = {};
+[
+  'configure',
+  'listTargets',
+  'connect',
+  'disconnect',
+  'trustWorkspace',
+  'open',
+  'getPanelState',
+  'resolvePanel',
+  'labelPanel',
+  'send',
+  'cancel',
+  'getPendingApprovals',
+  'resolveApproval',
+  'getFileEdits',
+  'saveEditPatches',
+  'resolveFileEdit',
+  'watchApprovals',
+  'unwatchApprovals',
+  'getApprovalLog',
+  'getResponse',
+  'ask',
+  'consensus',
+  'getConversation',
+  'streamResponse',
+  'spawnCascade',
+  'listPanels',
+  'listAgents',
+  'activateAgent',
+  'deactivateAgent',
+  'setContextProvider',
+  'setSafety',
+  'watchConflicts',
+  'unwatchConflicts',
+  'getConflicts',
+  'resolveConflict',
+  'pressShortcut',
   // New mounting API
-  mountCustomUI,
-  getMountStatus,
-  restoreUI
+  'mountCustomUI',
+  'getMountStatus',
+  'restoreUI'
+].forEach(name => {
+  api[name] = (...args) => defaultController[name](...args);
+});
+
+module.exports = {
+  ...api,
+  CascadeController,
+  ApprovalPolicy,
+  defaultController
 };
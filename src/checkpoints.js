@@ -0,0 +1,256 @@
+/**
+ * Checkpoints
+ *
+ * Rollback points for agent steps, kept in the workspace's git repo. A
+ * checkpoint is a commit of the whole working tree (tracked and untracked
+ * files, minus ignored ones) built with a temporary index, so the user's
+ * index, branch and stash are never touched. Each one is stored under
+ * refs/cascade/checkpoints/<id> with its task and agent in the message.
+ *
+ * rollback() makes the working tree match a checkpoint again: changed files
+ * are restored and files created since are removed. It first checkpoints the
+ * current state, so a rollback can be undone too.
+ *
+ * Usage:
+ *   const checkpoints = new CheckpointStore({ root: '/path/to/workspace' });
+ *   const { id } = await checkpoints.create({ task: 'run-1:s2', agent: 'builder', label: 'Add toggle' });
+ *   await checkpoints.rollback(id);
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+const CHECKPOINT_REF = 'refs/cascade/checkpoints';
+
+// Separators for git for-each-ref output
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+function generateId() {
+  return `ckpt-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+class CheckpointStore {
+  /**
+   * @param {object} options - { root: cwd, maxCheckpoints: 100 }
+   *   root is any directory inside the workspace's git repo
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || process.cwd());
+    this.maxCheckpoints = options.maxCheckpoints || 100;
+    this.repoRoot = null;
+  }
+
+  /**
+   * Run git in the workspace
+   * @param {string[]} args
+   * @param {object} env - Extra environment, e.g. GIT_INDEX_FILE
+   */
+  async git(args, env = {}) {
+    try {
+      const { stdout } = await execFileAsync('git', args, {
+        cwd: this.repoRoot || this.root,
+        env: { ...process.env, ...env },
+        maxBuffer: 64 * 1024 * 1024
+      });
+      return stdout;
+    } catch (error) {
+      const detail = (error.stderr || error.message).trim().split('\n')[0];
+      throw new Error(`git ${args[0]} failed: ${detail}`);
+    }
+  }
+
+  /**
+   * Top-level directory of the repo; throws if root is not in one
+   */
+  async resolveRepo() {
+    if (!this.repoRoot) {
+      const top = await this.git(['rev-parse', '--show-toplevel']).catch(() => {
+        throw new Error(`${this.root} is not inside a git repository`);
+      });
+      this.repoRoot = top.trim();
+    }
+    return this.repoRoot;
+  }
+
+  /**
+   * Write the current working tree to a tree object with a throwaway index
+   * @returns {Promise<string>} Tree hash
+   */
+  async snapshotTree() {
+    await this.resolveRepo();
+    const index = path.join(os.tmpdir(), `cascade-index-${process.pid}-${Math.random().toString(36).slice(2)}`);
+    const env = { GIT_INDEX_FILE: index };
+
+    try {
+      // Start from HEAD so tracked files that match .gitignore are kept
+      const head = await this.headCommit();
+      if (head) await this.git(['read-tree', head], env);
+      await this.git(['add', '-A', '--', '.'], env);
+      return (await this.git(['write-tree'], env)).trim();
+    } finally {
+      fs.rmSync(index, { force: true });
+    }
+  }
+
+  /**
+   * HEAD commit, or null in a repo without commits
+   */
+  async headCommit() {
+    const head = await this.git(['rev-parse', '--verify', '-q', 'HEAD']).catch(() => '');
+    return head.trim() || null;
+  }
+
+  /**
+   * Create a checkpoint of the working tree
+   * @param {object} info - { task, agent, label } stored with the checkpoint
+   * @returns {Promise<object>} Checkpoint { id, commit, tree, task, agent, label, createdAt }
+   */
+  async create(info = {}) {
+    const tree = await this.snapshotTree();
+    const head = await this.headCommit();
+    const id = generateId();
+    const meta = {
+      id,
+      task: info.task || null,
+      agent: info.agent || null,
+      label: info.label || null,
+      createdAt: Date.now()
+    };
+
+    const subject = `cascade checkpoint ${id}${meta.agent ? ` before ${meta.agent}` : ''}${meta.task ? ` (${meta.task})` : ''}`;
+    const args = ['commit-tree', tree, '-m', subject, '-m', JSON.stringify(meta)];
+    if (head) args.push('-p', head);
+    const commit = (await this.git(args, {
+      // Checkpoints must work without a configured identity
+      GIT_AUTHOR_NAME: process.env.GIT_AUTHOR_NAME || 'cascade',
+      GIT_AUTHOR_EMAIL: process.env.GIT_AUTHOR_EMAIL || 'cascade@localhost',
+      GIT_COMMITTER_NAME: process.env.GIT_COMMITTER_NAME || 'cascade',
+      GIT_COMMITTER_EMAIL: process.env.GIT_COMMITTER_EMAIL || 'cascade@localhost'
+    })).trim();
+
+    await this.git(['update-ref', `${CHECKPOINT_REF}/${id}`, commit]);
+    await this.prune();
+    return { ...meta, commit, tree };
+  }
+
+  /**
+   * Checkpoints, newest first
+   * @param {object} filter - { task, agent }
+   * @returns {Promise<Array>} { id, commit, tree, task, agent, label, createdAt }
+   */
+  async list(filter = {}) {
+    await this.resolveRepo();
+    const format = ['%(objectname)', '%(tree)', '%(body)'].join(FIELD) + RECORD;
+    const output = await this.git(['for-each-ref', `--format=${format}`, CHECKPOINT_REF]);
+
+    return output.split(RECORD)
+      .map(record => record.replace(/^\n/, ''))
+      .filter(Boolean)
+      .map(record => {
+        const [commit, tree, body] = record.split(FIELD);
+        let meta;
+        try {
+          meta = JSON.parse(body.trim());
+        } catch (e) {
+          return null;
+        }
+        return { ...meta, commit, tree };
+      })
+      .filter(Boolean)
+      .filter(checkpoint => (!filter.task || checkpoint.task === filter.task) &&
+                            (!filter.agent || checkpoint.agent === filter.agent))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Find a checkpoint by ID or unique ID prefix
+   * @param {string} id
+   */
+  async get(id) {
+    const matches = (await this.list()).filter(checkpoint => checkpoint.id.startsWith(id));
+    if (matches.length > 1 && !matches.some(checkpoint => checkpoint.id === id)) {
+      throw new Error(`Checkpoint "${id}" is ambiguous: ${matches.map(c => c.id).join(', ')}`);
+    }
+    return matches.find(checkpoint => checkpoint.id === id) || matches[0] || null;
+  }
+
+  /**
+   * Make the working tree match a checkpoint. The index and HEAD are left
+   * alone; ignored files are not touched.
+   * @param {string} id - Checkpoint ID or unique prefix
+   * @returns {Promise<object>} { id, restored, removed, backup } backup is the checkpoint of the state before
+   */
+  async rollback(id) {
+    const checkpoint = await this.get(id);
+    if (!checkpoint) {
+      throw new Error(`Unknown checkpoint ${id}`);
+    }
+
+    const backup = await this.create({ label: `before rollback to ${checkpoint.id}` });
+
+    // Files that exist now but not in the checkpoint go away
+    const added = await this.git(['diff', '--name-only', '-z', '--no-renames', '--diff-filter=A', checkpoint.tree, backup.tree]);
+    const removed = added.split('\0').filter(Boolean);
+    removed.forEach(file => this.removeFile(file));
+
+    // Everything else is written back from the checkpoint through a throwaway index
+    const changed = await this.git(['diff', '--name-only', '-z', '--no-renames', '--diff-filter=DMT', checkpoint.tree, backup.tree]);
+    const restored = changed.split('\0').filter(Boolean);
+    const index = path.join(os.tmpdir(), `cascade-index-${process.pid}-${Math.random().toString(36).slice(2)}`);
+    try {
+      await this.git(['read-tree', checkpoint.tree], { GIT_INDEX_FILE: index });
+      if (restored.length > 0) {
+        await this.git(['checkout-index', '-f', '--', ...restored], { GIT_INDEX_FILE: index });
+      }
+    } finally {
+      fs.rmSync(index, { force: true });
+    }
+
+    return { id: checkpoint.id, restored, removed, backup: backup.id };
+  }
+
+  /**
+   * Remove a file and the directories it leaves empty
+   * @param {string} file - Repo-relative path
+   */
+  removeFile(file) {
+    fs.rmSync(path.join(this.repoRoot, file), { force: true });
+    let dir = path.dirname(file);
+    while (dir !== '.' && fs.existsSync(path.join(this.repoRoot, dir)) &&
+           fs.readdirSync(path.join(this.repoRoot, dir)).length === 0) {
+      fs.rmdirSync(path.join(this.repoRoot, dir));
+      dir = path.dirname(dir);
+    }
+  }
+
+  /**
+   * Delete a checkpoint
+   * @param {string} id - Checkpoint ID
+   */
+  async delete(id) {
+    await this.resolveRepo();
+    await this.git(['update-ref', '-d', `${CHECKPOINT_REF}/${id}`]);
+  }
+
+  /**
+   * Delete the oldest checkpoints beyond maxCheckpoints
+   */
+  async prune() {
+    const checkpoints = await this.list();
+    for (const checkpoint of checkpoints.slice(this.maxCheckpoints)) {
+      // A concurrent prune may have deleted it already
+      await this.delete(checkpoint.id).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  CHECKPOINT_REF,
+  CheckpointStore
+};
@@ -0,0 +1,422 @@
+/**
+ * Configuration
+ *
+ * One source for the settings that used to be literals: ports, timeouts,
+ * typing delay, selectors, orchestrator, safety and agent settings.
+ * loadConfig() starts from the defaults in SCHEMA, then merges
+ * cascade.config.js or .cascaderc.json from the working directory, then
+ * CASCADE_* environment variables, then overrides such as CLI flags. Each
+ * layer is validated against SCHEMA before it is merged.
+ *
+ * Usage:
+ *   const config = loadConfig({ overrides: { connection: { port: 9334 } } });
+ *   const hub = new CascadeController({ config });
+ *   const orch = new Orchestrator({ hub, config });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ACTIVITY_SELECTORS } = require('./panel-activity');
+const { DEFAULT_SHORTCUTS } = require('./keyboard');
+const { CATEGORIES, parseSize } = require('./safety');
+const { SharedMemory, DEFAULT_MEMORY_FILE } = require('./memory');
+
+// Looked up in the working directory, first match wins
+const CONFIG_FILES = ['cascade.config.js', '.cascaderc.json'];
+
+// Fields an entry of agents may set; false instead of an entry removes the agent
+const AGENT_SCHEMA = {
+  name: { type: 'string' },
+  emoji: { type: 'string' },
+  role: { type: 'string' },
+  description: { type: 'string' },
+  capabilities: { type: 'string[]' },
+  systemPrompt: { type: 'string' },
+  temperature: { type: 'number', min: 0, max: 2 },
+  maxTokens: { type: 'integer', min: 1 },
+  // Agent pool: panels kept for the agent, and the most it scales to
+  instances: { type: 'integer', min: 0 },
+  maxInstances: { type: 'integer', min: 1 }
+};
+
+// Sections hold fields; a field has a type, a default and optionally the environment variable that sets it
+const SCHEMA = {
+  connection: {
+    port: { type: 'integer', min: 1, max: 65535, default: 9333, env: 'CASCADE_PORT' },
+    target: { type: 'string', default: null, env: 'CASCADE_TARGET' },
+    autoReconnect: { type: 'boolean', default: true },
+    reconnect: {
+      retries: { type: 'integer', min: 0, default: 8 },
+      minDelay: { type: 'integer', min: 0, default: 500 },
+      maxDelay: { type: 'integer', min: 0, default: 10000 }
+    }
+  },
+  input: {
+    mode: { type: 'string', values: ['type', 'insert', 'paste'], default: 'type', env: 'CASCADE_INPUT_MODE' },
+    typingDelay: { type: 'integer', min: 0, default: 15, env: 'CASCADE_TYPING_DELAY' }
+  },
+  timeouts: {
+    response: { type: 'integer', min: 1, default: 60000, env: 'CASCADE_RESPONSE_TIMEOUT' },
+    task: { type: 'integer', min: 1, default: 300000, env: 'CASCADE_TASK_TIMEOUT' }
+  },
+  selectors: { type: 'map', keys: Object.keys(ACTIVITY_SELECTORS), of: { type: 'string' }, default: {} },
+  shortcuts: { type: 'map', keys: Object.keys(DEFAULT_SHORTCUTS), of: { type: 'string' }, default: {} },
+  orchestrator: {
+    maxConcurrentAgents: { type: 'integer', min: 1, default: 4, env: 'CASCADE_MAX_AGENTS' },
+    defaultTimeout: { type: 'integer', min: 1, default: 300000 },
+    retryAttempts: { type: 'integer', min: 0, default: 1 },
+    inputMode: { type: 'string', values: ['type', 'insert', 'paste'], default: 'paste' },
+    plannerPanel: { type: 'string', default: 'planner' }
+  },
+  safety: {
+    allowedPaths: { type: 'string[]', default: ['.'] },
+    blockedPaths: { type: 'string[]', default: ['node_modules', '.git', '.env'] },
+    requireApproval: { type: 'string[]', values: CATEGORIES, default: ['delete', 'external', 'install'] },
+    maxFileSize: { type: 'size', default: '1MB' },
+    maxPromptChars: { type: 'integer', min: 1, default: 100000 },
+    approvalTimeoutMs: { type: 'integer', min: 1, default: 60000 }
+  },
+  pool: {
+    maxPanels: { type: 'integer', min: 1, default: 8, env: 'CASCADE_MAX_PANELS' },
+    idleTimeoutMs: { type: 'integer', min: 0, default: 300000 },
+    intervalMs: { type: 'integer', min: 100, default: 5000 }
+  },
+  agentsDir: { type: 'string', default: null },
+  agents: { type: 'map', of: AGENT_SCHEMA, removable: true, default: {} },
+  memory: {
+    persistence: { type: 'string', values: ['none', 'memory', 'file'], default: 'none' },
+    path: { type: 'string', default: DEFAULT_MEMORY_FILE }
+  }
+};
+
+const isField = (spec) => typeof spec.type === 'string';
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Why a value does not fit a field, or null if it does
+ * @param {*} value
+ * @param {object} spec - Field from SCHEMA
+ */
+function fieldError(value, spec) {
+  if (value === null && spec.default === null) return null;
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || Number.isNaN(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        return `must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`;
+      }
+      if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        return spec.max === undefined ? `must be at least ${spec.min}` : `must be from ${spec.min} to ${spec.max}`;
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false';
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      return spec.values && !spec.values.includes(value) ? `must be one of: ${spec.values.join(', ')}` : null;
+    case 'string[]': {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) return 'must be an array of strings';
+      const unknown = spec.values && value.find(item => !spec.values.includes(item));
+      return unknown ? `has unknown value "${unknown}"; use: ${spec.values.join(', ')}` : null;
+    }
+    case 'size':
+      try {
+        parseSize(value);
+        return null;
+      } catch (e) {
+        return 'must be a number of bytes or a size like 512KB, 1MB';
+      }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check a (partial) configuration against a schema
+ * @param {object} config - Configuration layer
+ * @param {object} schema - SCHEMA or one of its sections
+ * @param {string} prefix - Path of the section, for messages
+ * @returns {string[]} Problems, e.g. 'connection.port must be from 1 to 65535'
+ */
+function validateConfig(config, schema = SCHEMA, prefix = '') {
+  if (!isPlainObject(config)) {
+    return [`${prefix.replace(/\.$/, '') || 'config'} must be an object`];
+  }
+
+  const errors = [];
+  Object.entries(config).forEach(([key, value]) => {
+    const name = `${prefix}${key}`;
+    const spec = schema[key];
+    if (value === undefined) return;
+    if (!spec) {
+      errors.push(`${name} is not a known setting`);
+    } else if (spec.type === 'map') {
+      errors.push(...validateMap(value, spec, name));
+    } else if (isField(spec)) {
+      const error = fieldError(value, spec);
+      if (error) errors.push(`${name} ${error}`);
+    } else {
+      errors.push(...validateConfig(value, spec, `${name}.`));
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check a map setting such as selectors or agents
+ * @param {*} value
+ * @param {object} spec - Map field from SCHEMA
+ * @param {string} name - Path of the setting
+ */
+function validateMap(value, spec, name) {
+  if (!isPlainObject(value)) return [`${name} must be an object`];
+
+  return Object.entries(value).flatMap(([key, entry]) => {
+    if (spec.keys && !spec.keys.includes(key)) {
+      return [`${name}.${key} is not a known setting; use: ${spec.keys.join(', ')}`];
+    }
+    if (spec.removable && (entry === false || entry === null)) return [];
+    if (isField(spec.of)) {
+      const error = fieldError(entry, spec.of);
+      return error ? [`${name}.${key} ${error}`] : [];
+    }
+    return validateConfig(entry, spec.of, `${name}.${key}.`);
+  });
+}
+
+/**
+ * Check settings that depend on each other, once every layer is merged
+ * @param {object} config - Merged configuration
+ * @returns {string[]} Problems, e.g. 'agents.coder.maxInstances (1) is below instances (2)'
+ */
+function crossFieldErrors(config) {
+  return Object.entries(config.agents || {}).flatMap(([key, agent]) => {
+    if (!agent || agent.instances === undefined || agent.maxInstances === undefined) return [];
+    return agent.maxInstances < agent.instances
+      ? [`agents.${key}.maxInstances (${agent.maxInstances}) is below instances (${agent.instances})`]
+      : [];
+  });
+}
+
+/**
+ * Configuration with every default filled in
+ * @param {object} schema - SCHEMA or one of its sections
+ */
+function defaultConfig(schema = SCHEMA) {
+  return Object.fromEntries(Object.entries(schema).map(([key, spec]) => {
+    if (!isField(spec)) return [key, defaultConfig(spec)];
+    const value = spec.default ?? null;
+    return [key, value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value];
+  }));
+}
+
+/**
+ * Merge a configuration layer into another; objects merge key by key,
+ * everything else (arrays included) replaces, and undefined is skipped
+ * @param {object} target - Modified in place
+ * @param {object} layer
+ */
+function mergeConfig(target, layer) {
+  Object.entries(layer).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeConfig(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+/**
+ * Fields that can be set from the environment
+ * @returns {Array<{ env, path, spec }>}
+ */
+function environmentFields(schema = SCHEMA, prefix = []) {
+  return Object.entries(schema).flatMap(([key, spec]) => {
+    if (!isField(spec)) return environmentFields(spec, [...prefix, key]);
+    return spec.env ? [{ env: spec.env, path: [...prefix, key], spec }] : [];
+  });
+}
+
+/**
+ * Configuration layer from CASCADE_* environment variables
+ * @param {object} env - Defaults to process.env
+ */
+function environmentConfig(env = process.env) {
+  const config = {};
+  environmentFields().forEach(({ env: name, path: keys, spec }) => {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return;
+
+    // Numbers that do not parse stay strings and fail validation
+    const value = spec.type === 'integer' && /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+    const section = keys.slice(0, -1).reduce((node, key) => (node[key] = node[key] || {}), config);
+    section[keys[keys.length - 1]] = value;
+  });
+  return config;
+}
+
+/**
+ * The config file in a directory
+ * @param {string} dir - Defaults to the working directory
+ * @returns {string|null} Absolute path
+ */
+function findConfigFile(dir = process.cwd()) {
+  const file = CONFIG_FILES.map(name => path.join(dir, name)).find(candidate => fs.existsSync(candidate));
+  return file ? path.resolve(file) : null;
+}
+
+/**
+ * Read a config file: a module exporting the configuration, or JSON
+ * @param {string} file
+ */
+function readConfigFile(file) {
+  const resolved = path.resolve(file);
+  let config;
+  try {
+    if (resolved.endsWith('.js') || resolved.endsWith('.cjs')) {
+      // Re-read the file on every load
+      delete require.cache[resolved];
+      config = require(resolved);
+    } else {
+      config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    }
+  } catch (e) {
+    throw new Error(`Cannot read config file ${file}: ${e.message}`);
+  }
+  return config;
+}
+
+/**
+ * Load the configuration
+ * @param {object} options - { cwd, file, env, overrides }
+ *   file defaults to $CASCADE_CONFIG, else cascade.config.js or .cascaderc.json in cwd;
+ *   env defaults to process.env; overrides (e.g. CLI flags) win over everything else.
+ * @returns {object} Configuration in the shape of SCHEMA, plus file: the config file read, or null
+ * @throws {Error} If the file cannot be read or a layer does not fit the schema
+ */
+function loadConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const env = options.env || process.env;
+  const explicit = options.file || env.CASCADE_CONFIG;
+  const file = explicit ? path.resolve(cwd, explicit) : findConfigFile(cwd);
+  if (explicit && !fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${explicit}`);
+  }
+
+  // Setting → variable, so environment errors name the variable
+  const variables = Object.fromEntries(environmentFields().map(({ env: name, path: keys }) => [keys.join('.'), name]));
+  const layers = [];
+  if (file) layers.push({ source: path.relative(cwd, file) || file, config: readConfigFile(file) });
+  layers.push({ source: 'environment', config: environmentConfig(env), names: variables });
+  if (options.overrides) layers.push({ source: 'options', config: options.overrides });
+
+  const config = defaultConfig();
+  layers.forEach(({ source, config: layer, names = {} }) => {
+    const errors = validateConfig(layer)
+      .map(error => error.replace(/^\S+/, name => names[name] ? `${names[name]} (${name})` : name));
+    if (errors.length > 0) {
+      throw new Error(`Invalid config in ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    mergeConfig(config, layer);
+  });
+
+  // instances and maxInstances may come from different layers
+  const errors = crossFieldErrors(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+
+  config.file = file;
+  return config;
+}
+
+/**
+ * Copy the defined options over a base
+ * @param {object} base
+ * @param {object} options
+ */
+function overlay(base, options) {
+  const defined = Object.entries(options).filter(([key, value]) => key !== 'config' && value !== undefined);
+  return { ...base, ...Object.fromEntries(defined) };
+}
+
+/**
+ * CascadeController options from a configuration
+ * @param {object} config - From loadConfig()
+ * @param {object} options - Explicit options; defined ones win
+ */
+function controllerOptions(config, options = {}) {
+  return overlay({
+    port: config.connection.port,
+    target: config.connection.target,
+    autoReconnect: config.connection.autoReconnect,
+    reconnect: config.connection.reconnect,
+    inputMode: config.input.mode,
+    typingDelay: config.input.typingDelay,
+    responseTimeout: config.timeouts.response,
+    activitySelectors: config.selectors,
+    shortcuts: config.shortcuts,
+    agents: config.agents,
+    agentsDir: config.agentsDir
+  }, options);
+}
+
+/**
+ * Orchestrator options from a configuration. Unless options has its own
+ * memory, a memory persistence of 'file' loads the memory file.
+ * @param {object} config - From loadConfig()
+ * @param {object} options - Explicit options; defined ones win
+ */
+function orchestratorOptions(config, options = {}) {
+  const base = { ...config.orchestrator };
+  if (options.memory === undefined) {
+    const { persistence, path: memoryFile } = config.memory;
+    base.memory = persistence === 'file' ? SharedMemory.load(memoryFile)
+      : persistence === 'memory' ? new SharedMemory() : null;
+  }
+  return overlay(base, options);
+}
+
+/**
+ * AgentPool options from a configuration: a role for every agent with
+ * instances, and the pool section
+ * @param {object} config - From loadConfig()
+ * @param {object} options - Explicit options; defined ones win
+ */
+function poolOptions(config, options = {}) {
+  const roles = Object.fromEntries(Object.entries(config.agents)
+    .filter(([, agent]) => agent && agent.instances !== undefined)
+    .map(([key, agent]) => [key.toLowerCase(), { instances: agent.instances, max: agent.maxInstances }]));
+  return overlay({ ...config.pool, roles }, options);
+}
+
+/**
+ * WorkflowRunner options from a configuration: the task timeout and the
+ * orchestrator's input mode for steps that set neither
+ * @param {object} config - From loadConfig()
+ * @param {object} options - Explicit options; defined ones win
+ */
+function workflowOptions(config, options = {}) {
+  return overlay({
+    timeoutMs: config.timeouts.task,
+    mode: config.orchestrator.inputMode
+  }, options);
+}
+
+module.exports = {
+  CONFIG_FILES,
+  SCHEMA,
+  loadConfig,
+  validateConfig,
+  defaultConfig,
+  mergeConfig,
+  environmentConfig,
+  findConfigFile,
+  controllerOptions,
+  orchestratorOptions,
+  poolOptions,
+  workflowOptions
+};
@@ -0,0 +1,303 @@
+/**
+ * Conflicts
+ *
+ * Detects two agents editing the same file. Edits come from the edit cards
+ * of each panel; a card only proposes a change, so while the workspace is
+ * watched a conflict is raised when the file changes on disk after cards
+ * from two panels, and the newest card is credited with the write. Without
+ * a watcher, a card from another panel within windowMs of the previous card
+ * for the file is the conflict. 'conflict' carries both edits and their diffs.
+ *
+ * The later agent is the one to act on: pause it, or send it
+ * remergePrompt(conflict) so it redoes its change on top of the other one.
+ *
+ * Usage:
+ *   const detector = new ConflictDetector({ root: '/path/to/workspace' });
+ *   detector.on('conflict', (c) => console.log(`${c.file}: ${c.first.label} then ${c.second.label}`));
+ *   detector.watch();
+ *   detector.recordEdit({ panelId: 'cp-1', label: 'builder-1', path: 'src/App.tsx', patch });
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_IGNORED = ['.git', 'node_modules', '.cascade'];
+const CONFLICT_ACTIONS = ['ask', 'pause', 'remerge', 'ignore'];
+
+// Directory watchers opened when recursive fs.watch() is not available
+const MAX_DIRECTORY_WATCHERS = 2000;
+
+/**
+ * Whether two workspace paths name the same file. Cards may show only
+ * "App.tsx" for "src/App.tsx".
+ * @param {string} a
+ * @param {string} b
+ */
+function samePath(a, b) {
+  return a === b || a.endsWith(`/${b}`) || b.endsWith(`/${a}`);
+}
+
+/**
+ * Prompt asking the later agent of a conflict to merge its change into the file as it is now
+ * @param {object} conflict - From ConflictDetector
+ * @returns {string}
+ */
+function remergePrompt(conflict) {
+  const { file, first, second } = conflict;
+  const other = first.label || first.agent || first.panelId;
+  const lines = [
+    `Conflict: the ${other} agent also changed ${file} while you were working on it, so one of the two changes may have overwritten the other.`
+  ];
+
+  if (first.patch) {
+    lines.push('', `Their change (${other}):`, '```diff', first.patch.trimEnd(), '```');
+  }
+  if (second.patch) {
+    lines.push('', 'Your change:', '```diff', second.patch.trimEnd(), '```');
+  }
+
+  lines.push(
+    '',
+    `Re-read ${file} as it is now and make sure it contains both changes. Keep their change; redo yours on top of it where it was lost.`,
+    'Finish with a short summary of what you merged.'
+  );
+  return lines.join('\n');
+}
+
+class ConflictDetector extends EventEmitter {
+  /**
+   * @param {object} options - { root: cwd, windowMs: 600000, cardLagMs: 5000, ignore: ['.git', 'node_modules', '.cascade'] }
+   *   Edits of one file by two panels less than windowMs apart conflict. Cards are read on
+   *   a timer, so a write up to cardLagMs before a card may be that card's.
+   */
+  constructor(options = {}) {
+    super();
+    this.root = path.resolve(options.root || process.cwd());
+    this.windowMs = options.windowMs || 600000;
+    this.cardLagMs = options.cardLagMs || 5000;
+    this.ignore = options.ignore || DEFAULT_IGNORED;
+    this.files = new Map();      // File → last card { panelId, label, agent, path, patch, source, at }, without a watcher
+    this.cards = new Map();      // File → Map of panel ID → that panel's newest card
+    this.changes = new Map();    // File → time of the last change on disk
+    this.raised = new Map();     // File → { first, second } cards of its last disk conflict
+    this.conflicts = [];
+    this.watchers = [];
+    this.watching = null;        // 'recursive', 'directories' or null
+    this.pending = new Map();    // File → debounce timer
+    this.nextId = 1;
+  }
+
+  /**
+   * Workspace-relative path with forward slashes
+   * @param {string} file - Absolute or relative path
+   */
+  relative(file) {
+    const relative = path.isAbsolute(file) ? path.relative(this.root, file) : file;
+    return relative.split(path.sep).join('/').replace(/^\.\//, '');
+  }
+
+  /**
+   * Key a file is tracked under, reusing a known key that names the same file
+   * @param {Map} map - files or cards
+   * @param {string} file - Workspace-relative path
+   */
+  keyFor(map, file) {
+    if (map.has(file)) return file;
+    return [...map.keys()].find(key => samePath(key, file)) || file;
+  }
+
+  /**
+   * Record an edit card
+   * @param {object} edit - { panelId, label, agent, path, patch, turnIndex }
+   * @returns {object|null} The conflict it caused, if any
+   */
+  recordEdit(edit) {
+    const file = this.relative(edit.path);
+    const entry = { ...edit, path: file, source: 'card', at: Date.now() };
+    const key = this.keyFor(this.cards, file);
+    if (!this.cards.has(key)) this.cards.set(key, new Map());
+    this.cards.get(key).set(entry.panelId, entry);
+
+    // Files the watcher cannot see are compared card to card
+    if (!this.watching || this.isIgnored(file) || file.startsWith('../')) {
+      return this.record(entry);
+    }
+    // The write may have been seen before its card
+    const changedAt = this.changes.get(this.keyFor(this.changes, file));
+    return changedAt && entry.at - changedAt <= this.cardLagMs ? this.compare(key, changedAt) : null;
+  }
+
+  /**
+   * Record a change on disk. It conflicts when cards from two panels are
+   * within the window; the newest card is credited with the write. Changes
+   * with no card from a second panel, e.g. your own, are ignored.
+   * @param {string} file - Absolute or workspace-relative path
+   * @returns {object|null} The conflict it caused, if any
+   */
+  recordChange(file) {
+    const relative = this.relative(file);
+    const at = Date.now();
+    this.changes.set(this.keyFor(this.changes, relative), at);
+
+    const key = this.keyFor(this.cards, relative);
+    return this.cards.has(key) ? this.compare(key, at) : null;
+  }
+
+  /**
+   * Compare the cards of a file that changed on disk
+   * @param {string} key - File key in cards
+   * @param {number} at - Time of the change
+   */
+  compare(key, at) {
+    const cards = [...this.cards.get(key).values()]
+      .filter(card => at - card.at <= this.windowMs)
+      .sort((a, b) => a.at - b.at);
+    if (cards.length < 2) return null;
+
+    const [first, second] = cards.slice(-2);
+    // Later writes of the same two cards are the same conflict
+    const last = this.raised.get(key);
+    if (last && last.first === first && last.second === second) return null;
+    this.raised.set(key, { first, second });
+
+    return this.raise(key, first, { ...second, source: 'fs', at });
+  }
+
+  /**
+   * Compare a card with the previous card for its file (no watcher)
+   * @param {object} entry - Card with at
+   */
+  record(entry) {
+    const key = this.keyFor(this.files, entry.path);
+    const previous = this.files.get(key);
+    this.files.set(key, entry);
+
+    if (!previous || previous.panelId === entry.panelId) return null;
+    if (entry.at - previous.at > this.windowMs) return null;
+    return this.raise(key, previous, entry);
+  }
+
+  /**
+   * Store and emit a conflict
+   * @param {string} key - File key
+   * @param {object} first - Earlier edit
+   * @param {object} second - Later edit
+   */
+  raise(key, first, second) {
+    const conflict = {
+      id: `conflict-${this.nextId++}`,
+      file: key.length >= second.path.length ? key : second.path,
+      first,
+      second,
+      detectedAt: second.at
+    };
+    this.conflicts.push(conflict);
+    this.emit('conflict', conflict);
+    return conflict;
+  }
+
+  /**
+   * Whether a workspace-relative path is in an ignored directory
+   * @param {string} file
+   */
+  isIgnored(file) {
+    return file.split('/').some(part => this.ignore.includes(part));
+  }
+
+  /**
+   * Note a change reported by a watcher
+   * @param {string} file - Absolute or root-relative path
+   */
+  changed(file) {
+    const relative = this.relative(file);
+    if (this.isIgnored(relative)) return;
+
+    // Editors write in bursts; record the change once it settles
+    clearTimeout(this.pending.get(relative));
+    this.pending.set(relative, setTimeout(() => {
+      this.pending.delete(relative);
+      this.recordChange(relative);
+    }, 200));
+  }
+
+  /**
+   * Open a watcher; an error stops all watching
+   * @param {string} dir
+   * @param {object} options - fs.watch() options
+   */
+  openWatcher(dir, options) {
+    const watcher = fs.watch(dir, { ...options, persistent: false }, (type, filename) => {
+      if (filename) this.changed(path.join(dir, filename.toString()));
+    });
+    watcher.on('error', (error) => {
+      this.unwatch();
+      this.emit('watch-error', error);
+    });
+    this.watchers.push(watcher);
+  }
+
+  /**
+   * Watch the workspace root for changes to files: with one recursive
+   * watcher where the platform has it (macOS, Windows, Linux on Node 20+),
+   * else one watcher per directory that exists now
+   * @returns {string|null} 'recursive', 'directories', or null when nothing is watched
+   */
+  watch() {
+    if (this.watching) return this.watching;
+    try {
+      this.openWatcher(this.root, { recursive: true });
+      this.watching = 'recursive';
+      return this.watching;
+    } catch (error) {
+      this.unwatch();
+    }
+
+    try {
+      const visit = (dir) => {
+        if (this.watchers.length >= MAX_DIRECTORY_WATCHERS) {
+          throw new Error(`More than ${MAX_DIRECTORY_WATCHERS} directories under ${this.root}`);
+        }
+        this.openWatcher(dir, {});
+        fs.readdirSync(dir, { withFileTypes: true })
+          .filter(entry => entry.isDirectory() && !this.ignore.includes(entry.name))
+          .forEach(entry => visit(path.join(dir, entry.name)));
+      };
+      visit(this.root);
+      this.watching = 'directories';
+      return this.watching;
+    } catch (error) {
+      this.unwatch();
+      this.emit('watch-error', error);
+      return null;
+    }
+  }
+
+  /**
+   * Stop watching the workspace
+   */
+  unwatch() {
+    this.pending.forEach(timer => clearTimeout(timer));
+    this.pending.clear();
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    this.watching = null;
+  }
+
+  /**
+   * Conflicts detected so far, oldest first
+   * @param {object} filter - { file, panelId } panelId matches either side
+   */
+  getConflicts(filter = {}) {
+    return this.conflicts.filter(conflict =>
+      (!filter.file || samePath(conflict.file, this.relative(filter.file))) &&
+      (!filter.panelId || conflict.first.panelId === filter.panelId || conflict.second.panelId === filter.panelId));
+  }
+}
+
+module.exports = {
+  CONFLICT_ACTIONS,
+  ConflictDetector,
+  remergePrompt,
+  samePath
+};
@@ -0,0 +1,343 @@
+/**
+ * Consensus
+ *
+ * Best-of-N answers for risky questions: the same prompt goes to N panels at
+ * once and the replies are combined with a strategy.
+ *
+ *   vote    - majority vote on the answer each reply ends with ("ANSWER: ...")
+ *   judge   - another panel reads the replies and picks the best one
+ *   compare - no pick; the replies side by side
+ *
+ * Panels are labelled consensus-1 ... consensus-N (the judge consensus-judge)
+ * and spawned when missing, so later questions reuse them.
+ *
+ * Usage:
+ *   const result = await consensus(hub, 'Is this migration reversible?', { n: 3 });
+ *   console.log(result.answer, result.agreement);
+ */
+
+const { truncate } = require('./synthesizer');
+
+const STRATEGIES = ['vote', 'judge', 'compare'];
+
+const DEFAULT_PREFIX = 'consensus';
+
+const ANSWER_INSTRUCTION = 'End your reply with one line of the form "ANSWER: <your answer in a few words>".';
+
+// "ANSWER: yes", "**Final answer:** yes", "> Answer: yes"
+const ANSWER_LINE = /^[\s>*_#-]*(?:final\s+)?answer[*_\s]*[:：][*_\s]*(.+)$/gim;
+
+/**
+ * The answer a reply ends with: its last ANSWER line, else its last line
+ * @param {string} text - Reply text
+ * @returns {string|null}
+ */
+function extractAnswer(text) {
+  if (!text || !text.trim()) return null;
+
+  const matches = [...text.matchAll(ANSWER_LINE)];
+  if (matches.length > 0) {
+    return matches[matches.length - 1][1].replace(/[*_`]+$/, '').trim() || null;
+  }
+
+  const lines = text.trim().split('\n').map(line => line.trim()).filter(Boolean);
+  return lines[lines.length - 1];
+}
+
+/**
+ * Key under which two answers count as the same vote
+ * @param {string} answer
+ */
+function normalizeAnswer(answer) {
+  return String(answer)
+    .toLowerCase()
+    .replace(/[*_`"'“”‘’]/g, '')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s.!;:,]+$/, '')
+    .trim();
+}
+
+/**
+ * Group completed replies by answer, most votes first
+ * @param {Array} replies - Reply records from consensus()
+ * @returns {Array<{answer, count, panels}>} panels are the labels that voted for it
+ */
+function tallyVotes(replies) {
+  const groups = new Map();
+  replies.forEach(reply => {
+    if (reply.status !== 'completed' || !reply.answer) return;
+    const key = normalizeAnswer(reply.answer);
+    if (!groups.has(key)) groups.set(key, { answer: reply.answer, count: 0, panels: [] });
+    const group = groups.get(key);
+    group.count++;
+    group.panels.push(reply.label || reply.panelId);
+  });
+  // Stable sort: equal counts keep the order the panels are numbered in
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Build the prompt asking the judge panel to pick a reply
+ * @param {string} prompt - The question
+ * @param {Array} candidates - Completed replies, numbered from 1 in the prompt
+ */
+function judgePrompt(prompt, candidates) {
+  const sections = candidates.map((reply, i) => `### Answer ${i + 1}\n${truncate(reply.response)}`);
+
+  return [
+    `${candidates.length} assistants answered this question independently:`,
+    prompt,
+    '',
+    sections.join('\n\n'),
+    '',
+    'Pick the answer that is most correct and complete. Reply with "CHOICE: <number>" on the',
+    'first line, then one short paragraph on why. Do not make any changes.'
+  ].join('\n');
+}
+
+/**
+ * Read the judge's pick
+ * @param {string} text - Judge reply
+ * @param {number} count - Number of candidates
+ * @returns {{choice: number|null, reason: string|null}} choice is 1-based
+ */
+function parseChoice(text, count) {
+  const match = /choice[*_\s]*[:：]?[*_\s]*#?(\d+)/i.exec(text || '') || /\banswer\s+#?(\d+)/i.exec(text || '');
+  const choice = match ? parseInt(match[1], 10) : null;
+  if (choice === null || choice < 1 || choice > count) {
+    return { choice: null, reason: text?.trim() || null };
+  }
+
+  const reason = text.replace(/^.*choice[*_\s]*[:：]?[*_\s]*#?\d+.*$/im, '').trim();
+  return { choice, reason: reason || null };
+}
+
+/**
+ * Markdown of the replies side by side, with the vote count
+ * @param {string} prompt - The question
+ * @param {Array} replies - Reply records
+ * @param {Array} votes - tallyVotes() result
+ */
+function formatComparison(prompt, replies, votes) {
+  const lines = [`# ${prompt.split('\n')[0]}`, ''];
+
+  if (votes.length > 0) {
+    votes.forEach(vote => lines.push(`- ${vote.count}× ${vote.answer} (${vote.panels.join(', ')})`));
+    lines.push('');
+  }
+
+  replies.forEach((reply, i) => {
+    const seconds = reply.waitedMs ? `, ${(reply.waitedMs / 1000).toFixed(1)}s` : '';
+    lines.push(`## ${i + 1}. ${reply.label || reply.panelId} (${reply.status}${seconds})`);
+    lines.push('');
+    lines.push(reply.response || (reply.error ? `Error: ${reply.error}` : '(no reply)'));
+    lines.push('');
+  });
+
+  return lines.join('\n').trim() + '\n';
+}
+
+/**
+ * Find a labelled panel, or spawn it
+ * @param {object} hub - Connected CascadeController
+ * @param {string} label
+ * @returns {Promise<{panelId, label}>}
+ */
+async function labelledPanel(hub, label) {
+  const found = await hub.resolvePanel(label);
+  if (found) return { panelId: found.id, label: found.label };
+
+  const spawned = await hub.spawnCascade({ label });
+  if (!spawned.panelId) {
+    throw new Error(`Could not spawn panel ${label}`);
+  }
+  return { panelId: spawned.panelId, label };
+}
+
+/**
+ * The panels that answer: options.panels, else <prefix>-1 ... <prefix>-n
+ * @param {object} hub - Connected CascadeController
+ * @param {number} n
+ * @param {object} options - { panels, prefix }
+ */
+async function answerPanels(hub, n, options = {}) {
+  const panels = [];
+  if (options.panels) {
+    for (const ref of options.panels) {
+      const target = await hub.resolvePanel(ref);
+      if (!target) throw new Error(`Panel ${ref} not found`);
+      panels.push({ panelId: target.id, label: target.label });
+    }
+  } else {
+    // One at a time: spawning drives the command palette
+    for (let i = 1; i <= n; i++) {
+      panels.push(await labelledPanel(hub, `${options.prefix || DEFAULT_PREFIX}-${i}`));
+    }
+  }
+
+  const ids = new Set(panels.map(panel => panel.panelId));
+  if (ids.size < panels.length) {
+    throw new Error('Consensus panels must be different panels');
+  }
+  return panels;
+}
+
+/**
+ * Send a prompt to n panels at once and combine the replies
+ * @param {object} hub - Connected CascadeController
+ * @param {string} prompt - The question
+ * @param {object} options - { n: 3, strategy: 'vote', panels, prefix: 'consensus', judge,
+ *   answerLine: true, timeoutMs: 120000, mode, onReply }
+ * @returns {Promise<object>} { prompt, strategy, n, answer, response, winner, agreement, answered,
+ *   tie, votes, judge, comparison, replies, error }
+ */
+async function consensus(hub, prompt, options = {}) {
+  const {
+    strategy = 'vote',
+    prefix = DEFAULT_PREFIX,
+    answerLine = true,
+    timeoutMs = 120000,
+    mode,
+    onReply
+  } = options;
+  const n = options.panels ? options.panels.length : (options.n ?? 3);
+
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown strategy "${strategy}". Use one of: ${STRATEGIES.join(', ')}`);
+  }
+  if (!Number.isInteger(n) || n < 2) {
+    throw new Error(`Consensus needs at least 2 panels, got ${n}`);
+  }
+
+  const panels = await answerPanels(hub, n, { panels: options.panels, prefix });
+  const message = answerLine ? `${prompt}\n\n${ANSWER_INSTRUCTION}` : prompt;
+
+  const replies = await Promise.all(panels.map(async ({ panelId, label }) => {
+    let reply;
+    try {
+      reply = await hub.ask(panelId, message, { timeoutMs, mode });
+    } catch (e) {
+      reply = { status: 'errored', response: '', error: e.message };
+    }
+    if (reply.status === 'timeout') {
+      // Left running it would still be busy when the next question arrives
+      await hub.cancel(panelId).catch(() => {});
+    }
+
+    const record = {
+      panelId,
+      label,
+      status: reply.status,
+      response: reply.response || '',
+      answer: reply.status === 'completed' ? extractAnswer(reply.response) : null,
+      error: reply.error || null,
+      waitedMs: reply.waitedMs || null
+    };
+    onReply?.(record);
+    return record;
+  }));
+
+  const votes = tallyVotes(replies);
+  const answered = votes.reduce((sum, vote) => sum + vote.count, 0);
+  const result = {
+    prompt,
+    strategy,
+    n,
+    answer: null,
+    response: null,
+    winner: null,
+    // Over every panel asked: one vote of three is not agreement because two timed out
+    agreement: answered > 0 ? votes[0].count / n : 0,
+    answered,
+    tie: votes.length > 1 && votes[0].count === votes[1].count,
+    votes,
+    judge: null,
+    comparison: formatComparison(prompt, replies, votes),
+    replies
+  };
+
+  const completed = replies.filter(reply => reply.status === 'completed' && reply.response);
+  if (completed.length === 0) {
+    result.error = 'No panel answered';
+    return result;
+  }
+
+  const pick = (reply) => {
+    result.winner = reply;
+    result.answer = reply.answer;
+    result.response = reply.response;
+  };
+
+  if (strategy === 'vote' && !result.tie) {
+    // The first panel that gave the winning answer speaks for it
+    const key = normalizeAnswer(votes[0].answer);
+    pick(completed.find(reply => reply.answer && normalizeAnswer(reply.answer) === key));
+  } else if (strategy === 'vote') {
+    result.error = `Tie between ${votes.filter(vote => vote.count === votes[0].count).map(vote => `"${vote.answer}"`).join(', ')}`;
+  } else if (strategy === 'judge' && completed.length === 1) {
+    pick(completed[0]);
+  } else if (strategy === 'judge') {
+    result.judge = await runJudge(hub, prompt, completed, { ...options, prefix, timeoutMs });
+    if (result.judge.choice) {
+      pick(completed[result.judge.choice - 1]);
+    } else {
+      result.error = result.judge.error || 'The judge did not pick an answer';
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Ask the judge panel to pick one of the completed replies
+ * @param {object} hub - Connected CascadeController
+ * @param {string} prompt - The question
+ * @param {Array} candidates - Completed replies
+ * @param {object} options - { judge, prefix, timeoutMs }
+ * @returns {Promise<{panelId, label, status, choice, reason, response, error}>}
+ */
+async function runJudge(hub, prompt, candidates, options) {
+  let judge;
+  if (options.judge !== undefined) {
+    const target = await hub.resolvePanel(options.judge);
+    if (!target) throw new Error(`Judge panel ${options.judge} not found`);
+    judge = { panelId: target.id, label: target.label };
+  } else {
+    judge = await labelledPanel(hub, `${options.prefix}-judge`);
+  }
+  if (candidates.some(reply => reply.panelId === judge.panelId)) {
+    throw new Error('The judge panel cannot be one of the answering panels');
+  }
+
+  let reply;
+  try {
+    reply = await hub.ask(judge.panelId, judgePrompt(prompt, candidates), {
+      timeoutMs: options.timeoutMs,
+      mode: 'paste'
+    });
+  } catch (e) {
+    reply = { status: 'errored', response: '', error: e.message };
+  }
+
+  const parsed = reply.status === 'completed' ? parseChoice(reply.response, candidates.length) : { choice: null, reason: null };
+  return {
+    ...judge,
+    status: reply.status,
+    choice: parsed.choice,
+    reason: parsed.reason,
+    response: reply.response || '',
+    error: reply.status === 'completed' ? null : (reply.error || `Judge ${reply.status}`)
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  ANSWER_INSTRUCTION,
+  consensus,
+  extractAnswer,
+  normalizeAnswer,
+  tallyVotes,
+  judgePrompt,
+  parseChoice,
+  formatComparison
+};
@@ -0,0 +1,236 @@
+/**
+ * Conversation Parser
+ *
+ * Splits a Cascade scroll area into ordered conversation turns.
+ * Runs in the browser context: either loaded as a module next to
+ * handler-extractor.js, or passed directly to page.evaluate(), so
+ * parseConversation() must stay self-contained.
+ */
+
+/**
+ * Parse a Cascade conversation into turns
+ * @param {number|string|Element} source - Panel index, stable panel ID, .chat-client-root or .cascade-scrollbar element
+ * @param {object} options - { selectors } to override the default DOM selectors
+ * @returns {Array<{index, role, text, codeBlocks, steps, fileEdits}>} Turns, oldest first.
+ *   fileEdits carry hunks: [{ oldStart, newStart, lines: [{ type: 'add'|'remove'|'context', text }] }]
+ */
+function parseConversation(source, options = {}) {
+  const selectors = Object.assign({
+    panel: '.chat-client-root',
+    scrollArea: '.cascade-scrollbar',
+    turn: '[data-message-role], [data-role], [class*="message"], [class*="turn"]',
+    // Role attributes, else message/turn container classes; a bare "user" substring also
+    // matches utility and avatar classes (user-select-none, user-avatar) inside assistant turns
+    userTurn: '[data-message-role="user"], [data-role="user"], [class*="user-message"], [class*="userMessage"], ' +
+      '[class*="user-turn"], [class*="userTurn"], [class*="human-message"], [class*="humanMessage"]',
+    assistantTurn: '[data-message-role="assistant"], [data-role="assistant"]',
+    codeBlock: 'pre',
+    step: '[class*="tool-call"], [class*="step"], [class*="command"], [class*="terminal"]',
+    fileEdit: '[class*="file-edit"], [class*="edit-card"], [class*="code-edit"], [class*="diff"]',
+    diffLine: '[class*="diff-line"], [class*="line-added"], [class*="line-removed"], [class*="line-insert"], [class*="line-delete"], [data-line-type]',
+    lineNumber: '[class*="line-number"], [class*="lineNumber"], [data-line-number]'
+  }, options.selectors);
+
+  let root = source;
+  if (typeof source === 'number') {
+    root = document.querySelectorAll(selectors.panel)[source];
+  } else if (typeof source === 'string') {
+    root = document.querySelector(`${selectors.panel}[data-cascade-panel-id="${source}"]`);
+  }
+  if (root && !root.matches(selectors.scrollArea)) {
+    root = root.querySelector(selectors.scrollArea);
+  }
+  if (!root) return [];
+
+  // Keep only elements not nested inside another match
+  const outermost = (elements) =>
+    elements.filter(el => !elements.some(other => other !== el && other.contains(el)));
+
+  const findTurns = () => {
+    let turns = outermost([...root.querySelectorAll(selectors.turn)]);
+
+    // A single match is usually the message list wrapper, not a turn
+    while (turns.length === 1) {
+      const inner = outermost([...turns[0].querySelectorAll(selectors.turn)]);
+      if (inner.length === 0) break;
+      turns = inner;
+    }
+
+    if (turns.length > 0) return turns;
+
+    // No recognizable markup: treat the children of the innermost wrapper as turns
+    let container = root;
+    while (container.children.length === 1) {
+      container = container.children[0];
+    }
+    return [...container.children];
+  };
+
+  const firstLine = (text) => (text || '').trim().split('\n')[0] || '';
+
+  const readStatus = (el) => {
+    if (el.dataset.status) return el.dataset.status;
+    const match = (el.innerText || '').match(/\b(running|pending|completed|succeeded|failed|canceled|cancelled|accepted|rejected|applied)\b/i);
+    return match ? match[1].toLowerCase() : null;
+  };
+
+  const readLanguage = (pre) => {
+    const code = pre.querySelector('code');
+    const className = `${code?.className || ''} ${pre.className || ''}`;
+    const match = className.match(/(?:language|lang)-([\w+#.-]+)/);
+    if (match) return match[1];
+    return pre.dataset.language || code?.dataset.language || null;
+  };
+
+  const parseStep = (el) => {
+    const pre = el.querySelector('pre, code');
+    const isCommand = /command|terminal/i.test(el.className) || /^\s*\$ /m.test(el.innerText || '');
+    return {
+      kind: isCommand ? 'command' : 'tool',
+      title: firstLine(el.innerText),
+      command: isCommand ? (pre?.innerText || '').replace(/^\s*\$ /, '').trim() : null,
+      status: readStatus(el)
+    };
+  };
+
+  const lineType = (line) => {
+    const marker = `${line.getAttribute('class') || ''} ${line.dataset.lineType || ''}`;
+    if (/add|insert/i.test(marker)) return 'add';
+    if (/remov|delet/i.test(marker)) return 'remove';
+    return 'context';
+  };
+
+  // Diff rows rendered as elements, with line numbers when the card shows them
+  const readDiffRows = (el) => outermost([...el.querySelectorAll(selectors.diffLine)]).map(line => {
+    const numberEls = [...line.querySelectorAll(selectors.lineNumber)];
+    const numbers = numberEls
+      .map(n => parseInt(n.dataset.lineNumber || n.innerText, 10))
+      .filter(n => !isNaN(n));
+    const type = lineType(line);
+
+    let text = line.innerText || '';
+    numberEls.forEach(n => {
+      if (n.innerText) text = text.replace(n.innerText, '');
+    });
+    text = text.replace(/\n$/, '');
+    if ((type === 'add' && text.startsWith('+')) || (type === 'remove' && text.startsWith('-'))) {
+      text = text.slice(1);
+    }
+
+    const oldAttr = parseInt(line.dataset.oldLine, 10);
+    const newAttr = parseInt(line.dataset.newLine, 10);
+    let oldLine = isNaN(oldAttr) ? null : oldAttr;
+    let newLine = isNaN(newAttr) ? null : newAttr;
+    if (oldLine === null && newLine === null && numbers.length > 0) {
+      if (numbers.length >= 2) [oldLine, newLine] = numbers;
+      else if (type === 'remove') oldLine = numbers[0];
+      else newLine = numbers[0];
+    }
+    return { type, text, oldLine, newLine };
+  });
+
+  // Unified diff text in a code block
+  const readUnifiedRows = (el) => {
+    const source = [...el.querySelectorAll('pre, code')]
+      .map(block => block.innerText || '')
+      .find(text => /^@@ /m.test(text) || (/^\+(?!\+\+)/m.test(text) && /^-(?!--)/m.test(text)));
+    if (!source) return [];
+
+    return source.split('\n').map(line => {
+      const header = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      if (header) return { header: { oldStart: parseInt(header[1], 10), newStart: parseInt(header[2], 10) } };
+      if (/^(\+\+\+|---) /.test(line)) return null;
+      if (line.startsWith('+')) return { type: 'add', text: line.slice(1) };
+      if (line.startsWith('-')) return { type: 'remove', text: line.slice(1) };
+      return { type: 'context', text: line.startsWith(' ') ? line.slice(1) : line };
+    }).filter(Boolean);
+  };
+
+  // Group rows into hunks at headers and line number gaps
+  const buildHunks = (rows) => {
+    const hunks = [];
+    let hunk = null;
+    let header = null;
+    let lastOld = null;
+    let lastNew = null;
+
+    rows.forEach(row => {
+      if (row.header) {
+        header = row.header;
+        hunk = null;
+        return;
+      }
+      const gap = (row.oldLine != null && lastOld != null && row.oldLine > lastOld + 1) ||
+                  (row.newLine != null && lastNew != null && row.newLine > lastNew + 1);
+      if (!hunk || gap) {
+        hunk = {
+          oldStart: header ? header.oldStart : (row.oldLine ?? null),
+          newStart: header ? header.newStart : (row.newLine ?? null),
+          lines: []
+        };
+        hunks.push(hunk);
+        header = null;
+      }
+      if (hunk.oldStart === null && row.oldLine != null) hunk.oldStart = row.oldLine;
+      if (hunk.newStart === null && row.newLine != null) hunk.newStart = row.newLine;
+      hunk.lines.push({ type: row.type, text: row.text });
+      if (row.oldLine != null) lastOld = row.oldLine;
+      if (row.newLine != null) lastNew = row.newLine;
+    });
+
+    return hunks;
+  };
+
+  const parseFileEdit = (el) => {
+    const text = el.innerText || '';
+    const labelled = el.querySelector('[title]')?.getAttribute('title');
+    const pathMatch = (labelled || text).match(/[\w@~.-]*(?:\/[\w@~.-]+)*\.[\w]+/);
+    const added = text.match(/\+(\d+)/);
+    const removed = text.match(/-(\d+)/);
+    const diffRows = readDiffRows(el);
+    return {
+      path: pathMatch ? pathMatch[0] : firstLine(text),
+      added: added ? parseInt(added[1], 10) : null,
+      removed: removed ? parseInt(removed[1], 10) : null,
+      status: readStatus(el),
+      // Empty when the card is collapsed and shows no diff
+      hunks: buildHunks(diffRows.length > 0 ? diffRows : readUnifiedRows(el))
+    };
+  };
+
+  return findTurns().map((el, index) => {
+    const fileEditEls = outermost([...el.querySelectorAll(selectors.fileEdit)]);
+    const stepEls = outermost([...el.querySelectorAll(selectors.step)])
+      .filter(step => !fileEditEls.some(edit => edit.contains(step)));
+    const cards = [...stepEls, ...fileEditEls];
+
+    const codeBlocks = [...el.querySelectorAll(selectors.codeBlock)]
+      .filter(pre => !cards.some(card => card.contains(pre)))
+      .map(pre => ({ language: readLanguage(pre), code: pre.innerText }));
+
+    // Plain text without the step and edit cards
+    let text = el.innerText || '';
+    cards.forEach(card => {
+      const cardText = card.innerText;
+      if (cardText) text = text.replace(cardText, '');
+    });
+
+    // An explicit assistant role wins over user-looking classes inside the turn
+    const isUser = !el.matches(selectors.assistantTurn) &&
+                   (el.matches(selectors.userTurn) ||
+                    [...el.children].some(child => child.matches(selectors.userTurn)));
+
+    return {
+      index,
+      role: isUser ? 'user' : 'assistant',
+      text: text.replace(/\n{3,}/g, '\n\n').trim(),
+      codeBlocks,
+      steps: stepEls.map(parseStep),
+      fileEdits: fileEditEls.map(parseFileEdit)
+    };
+  });
+}
+
+module.exports = {
+  parseConversation
+};
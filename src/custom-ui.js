@@ -5,12 +5,15 @@
  * with full multi-agent support and Agent Hub.
  */
 
+const { syncPanels } = require('./panel-registry');
+
 /**
  * Create the custom UI shell
  * @param {object} extraction - Extracted handlers from handler-extractor
+ * @param {object} options - { agents } Agent Hub slots: [{ key, name, emoji, status }]
  * @returns {object} Custom UI elements
  */
-function createUI(extraction) {
+function createUI(extraction, options = {}) {
   const customUI = {
     root: null,
     agentHub: null,
@@ -44,7 +47,7 @@ function createUI(extraction) {
   customUI.toolbar = toolbar;
 
   // Create Agent Hub
-  const agentHub = createAgentHub(extraction);
+  const agentHub = createAgentHub(extraction, options.agents);
   root.appendChild(agentHub);
   customUI.agentHub = agentHub;
 
@@ -146,10 +149,240 @@ function createToolbar(extraction) {
   return toolbar;
 }
 
+// Agent Hub slots when the controller passes no agent definitions
+const DEFAULT_AGENT_SLOTS = [
+  { key: 'scout', name: 'Scout', emoji: '🔍', status: 'inactive' },
+  { key: 'builder', name: 'Builder', emoji: '🔨', status: 'inactive' },
+  { key: 'reviewer', name: 'Reviewer', emoji: '✅', status: 'inactive' },
+  { key: 'debugger', name: 'Debugger', emoji: '🐛', status: 'inactive' },
+  { key: 'optimizer', name: 'Optimizer', emoji: '⚡', status: 'inactive' },
+  { key: 'tester', name: 'Tester', emoji: '🧪', status: 'inactive' }
+];
+
+/**
+ * Style an Agent Hub slot for an agent status (runs in browser context).
+ * Passed directly to page.evaluate(), so it must stay self-contained.
+ * @param {string} key - Agent key
+ * @param {string} status - 'active', 'spawning', 'priming' or 'inactive'
+ * @returns {boolean} Whether the slot exists
+ */
+function setAgentSlotStatus(key, status) {
+  const slot = document.querySelector(`#agent-hub .agent-slot[data-agent-key="${key}"]`);
+  if (!slot) return false;
+
+  const active = status === 'active';
+  const pending = status === 'spawning' || status === 'priming';
+  slot.dataset.status = status;
+  slot.title = pending ? `${status}...` : status;
+  slot.style.background = active ? 'rgba(0,212,255,0.2)' : 'rgba(255,255,255,0.05)';
+  slot.style.borderColor = active ? '#00d4ff' : (pending ? '#ffb020' : 'rgba(255,255,255,0.1)');
+  slot.style.opacity = pending ? '0.7' : '1';
+
+  const name = slot.querySelector('.agent-name');
+  if (name) name.style.color = active ? '#00d4ff' : '#888';
+  return true;
+}
+
+/**
+ * Show a safety approval prompt in the Agent Hub (runs in browser context).
+ * Passed directly to page.evaluate(), so it must stay self-contained.
+ * Approve and Deny dispatch cascade-safety-decision with { id, approved }.
+ * @param {object} request - { id, title, reason, timeoutMs }
+ * @returns {boolean} Whether the prompt was shown
+ */
+function showSafetyPrompt(request) {
+  const host = document.getElementById('agent-hub') || document.getElementById('cascade-hub-ui');
+  if (!host) return false;
+  if (document.querySelector(`.safety-prompt[data-request-id="${request.id}"]`)) return true;
+
+  const prompt = document.createElement('div');
+  prompt.className = 'safety-prompt';
+  prompt.dataset.requestId = request.id;
+  prompt.style.cssText = `
+    margin-top: 12px;
+    padding: 10px 12px;
+    border: 1px solid #ffb020;
+    border-radius: 6px;
+    background: rgba(255,176,32,0.1);
+    font-size: 12px;
+    color: #e0e0e0;
+  `;
+
+  const title = document.createElement('div');
+  title.textContent = `⚠ ${request.title}`;
+  title.style.cssText = 'font-weight: 600; margin-bottom: 4px; word-break: break-all;';
+  prompt.appendChild(title);
+
+  const reason = document.createElement('div');
+  reason.textContent = `${request.reason} · blocked in ${Math.round(request.timeoutMs / 1000)}s without an answer`;
+  reason.style.cssText = 'color: #aaa; margin-bottom: 8px;';
+  prompt.appendChild(reason);
+
+  const decide = (approved) => {
+    prompt.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+    window.dispatchEvent(new CustomEvent('cascade-safety-decision', {
+      detail: { id: request.id, approved }
+    }));
+  };
+
+  [['Approve', true, '#00d4ff'], ['Deny', false, '#ff4d4f']].forEach(([label, approved, color]) => {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.style.cssText = `
+      margin-right: 8px;
+      padding: 4px 12px;
+      border: 1px solid ${color};
+      border-radius: 4px;
+      background: transparent;
+      color: ${color};
+      cursor: pointer;
+    `;
+    btn.onclick = () => decide(approved);
+    prompt.appendChild(btn);
+  });
+
+  host.appendChild(prompt);
+  return true;
+}
+
+/**
+ * Remove a safety approval prompt (runs in browser context)
+ * @param {string} id - Request ID
+ */
+function hideSafetyPrompt(id) {
+  document.querySelector(`.safety-prompt[data-request-id="${id}"]`)?.remove();
+}
+
+/**
+ * Show a file conflict in the Agent Hub (runs in browser context).
+ * Passed directly to page.evaluate(), so it must stay self-contained.
+ * Pause, Re-merge and Ignore dispatch cascade-conflict-decision with { id, action }.
+ * @param {object} conflict - { id, file, first, second } first and second are agent or panel names
+ * @returns {boolean} Whether the prompt was shown
+ */
+function showConflictPrompt(conflict) {
+  const host = document.getElementById('agent-hub') || document.getElementById('cascade-hub-ui');
+  if (!host) return false;
+  if (document.querySelector(`.conflict-prompt[data-conflict-id="${conflict.id}"]`)) return true;
+
+  const prompt = document.createElement('div');
+  prompt.className = 'conflict-prompt';
+  prompt.dataset.conflictId = conflict.id;
+  prompt.style.cssText = `
+    margin-top: 12px;
+    padding: 10px 12px;
+    border: 1px solid #ff4d4f;
+    border-radius: 6px;
+    background: rgba(255,77,79,0.1);
+    font-size: 12px;
+    color: #e0e0e0;
+  `;
+
+  const title = document.createElement('div');
+  title.textContent = `⇄ ${conflict.file}`;
+  title.style.cssText = 'font-weight: 600; margin-bottom: 4px; word-break: break-all;';
+  prompt.appendChild(title);
+
+  const reason = document.createElement('div');
+  reason.textContent = `Edited by ${conflict.first}, then by ${conflict.second}`;
+  reason.style.cssText = 'color: #aaa; margin-bottom: 8px;';
+  prompt.appendChild(reason);
+
+  const decide = (action) => {
+    prompt.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+    window.dispatchEvent(new CustomEvent('cascade-conflict-decision', {
+      detail: { id: conflict.id, action }
+    }));
+  };
+
+  [
+    [`Pause ${conflict.second}`, 'pause', '#ffb020'],
+    ['Re-merge', 'remerge', '#00d4ff'],
+    ['Ignore', 'ignore', '#888']
+  ].forEach(([label, action, color]) => {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.style.cssText = `
+      margin-right: 8px;
+      padding: 4px 12px;
+      border: 1px solid ${color};
+      border-radius: 4px;
+      background: transparent;
+      color: ${color};
+      cursor: pointer;
+    `;
+    btn.onclick = () => decide(action);
+    prompt.appendChild(btn);
+  });
+
+  host.appendChild(prompt);
+  return true;
+}
+
+/**
+ * Remove a conflict prompt (runs in browser context)
+ * @param {string} id - Conflict ID
+ */
+function hideConflictPrompt(id) {
+  document.querySelector(`.conflict-prompt[data-conflict-id="${id}"]`)?.remove();
+}
+
+/**
+ * Show an agent pool's size and load in the Agent Hub (runs in browser context).
+ * Passed directly to page.evaluate(), so it must stay self-contained.
+ * Each pooled role's slot gets its panel count; a summary lists every panel.
+ * @param {object|null} stats - AgentPool.stats(); null removes the pool display
+ * @returns {boolean} Whether the hub exists
+ */
+function showPoolStatus(stats) {
+  const hub = document.getElementById('agent-hub');
+  if (!hub) return false;
+
+  hub.querySelectorAll('.agent-pool').forEach(badge => badge.remove());
+  hub.querySelector('.pool-status')?.remove();
+  if (!stats) return true;
+
+  Object.entries(stats.roles).forEach(([role, info]) => {
+    const slot = hub.querySelector(`.agent-slot[data-agent-key="${role}"]`);
+    if (!slot) return;
+    const badge = document.createElement('div');
+    badge.className = 'agent-pool';
+    badge.textContent = `${info.busy}/${info.size} busy${info.waiting ? ` · ${info.waiting} waiting` : ''}`;
+    badge.style.cssText = `font-size: 10px; margin-top: 2px; color: ${info.waiting ? '#ffb020' : '#888'};`;
+    slot.appendChild(badge);
+  });
+
+  const summary = document.createElement('div');
+  summary.className = 'pool-status';
+  summary.style.cssText = 'margin-top: 12px; font-size: 11px; color: #aaa;';
+
+  const title = document.createElement('div');
+  title.textContent = `Pool: ${stats.size} panel${stats.size === 1 ? '' : 's'} (max ${stats.maxPanels}) · ` +
+    `${Math.round(stats.utilization * 100)}% busy${stats.waiting ? ` · ${stats.waiting} waiting` : ''}`;
+  title.style.cssText = 'font-weight: 600; margin-bottom: 4px; color: #e0e0e0;';
+  summary.appendChild(title);
+
+  stats.panels.forEach(panel => {
+    const row = document.createElement('div');
+    row.className = 'pool-panel';
+    row.dataset.panelId = panel.panelId;
+    row.textContent = `${panel.status === 'busy' ? '●' : '○'} ${panel.label} · ${panel.status} · ` +
+      `${panel.completed} done · ${Math.round(panel.utilization * 100)}% load`;
+    row.style.color = panel.status === 'busy' ? '#00d4ff' : '#888';
+    summary.appendChild(row);
+  });
+
+  // Above any safety or conflict prompts
+  hub.insertBefore(summary, hub.querySelector('.safety-prompt, .conflict-prompt'));
+  return true;
+}
+
 /**
  * Create Agent Hub panel
+ * @param {object} extraction - Extracted handlers
+ * @param {Array} agents - Slots to show: [{ key, name, emoji, status }]
  */
-function createAgentHub(extraction) {
+function createAgentHub(extraction, agents = DEFAULT_AGENT_SLOTS) {
   const hub = document.createElement('div');
   hub.id = 'agent-hub';
   hub.style.cssText = `
@@ -177,19 +410,12 @@ function createAgentHub(extraction) {
     gap: 8px;
   `;
 
-  const agents = [
-    { name: 'Scout', emoji: '🔍', status: 'active' },
-    { name: 'Builder', emoji: '🔨', status: 'idle' },
-    { name: 'Reviewer', emoji: '✅', status: 'idle' },
-    { name: 'Debugger', emoji: '🐛', status: 'idle' },
-    { name: 'Optimizer', emoji: '⚡', status: 'idle' },
-    { name: 'Tester', emoji: '🧪', status: 'idle' }
-  ];
-
   agents.forEach(agent => {
     const slot = document.createElement('div');
     slot.className = 'agent-slot';
+    slot.dataset.agentKey = agent.key;
     slot.dataset.status = agent.status;
+    slot.title = agent.status;
     slot.style.cssText = `
       background: ${agent.status === 'active' ? 'rgba(0,212,255,0.2)' : 'rgba(255,255,255,0.05)'};
       border: 1px solid ${agent.status === 'active' ? '#00d4ff' : 'rgba(255,255,255,0.1)'};
@@ -206,6 +432,7 @@ function createAgentHub(extraction) {
     slot.appendChild(emoji);
 
     const name = document.createElement('div');
+    name.className = 'agent-name';
     name.textContent = agent.name;
     name.style.cssText = `
       font-size: 11px;
@@ -221,12 +448,12 @@ function createAgentHub(extraction) {
 
     slot.addEventListener('mouseleave', () => {
       slot.style.transform = 'scale(1)';
-      slot.style.borderColor = agent.status === 'active' ? '#00d4ff' : 'rgba(255,255,255,0.1)';
+      slot.style.borderColor = slot.dataset.status === 'active' ? '#00d4ff' : 'rgba(255,255,255,0.1)';
     });
 
     slot.addEventListener('click', () => {
       window.dispatchEvent(new CustomEvent('cascade-agent-toggle', {
-        detail: { agent: agent.name }
+        detail: { agent: agent.name, key: agent.key }
       }));
     });
 
@@ -241,9 +468,14 @@ function createAgentHub(extraction) {
  * Create a Cascade panel
  */
 function createPanel(conversation, index, extraction) {
+  const originalPanel = extraction.panels?.[index]?.element || null;
+
   const panel = document.createElement('div');
   panel.className = 'cascade-panel';
   panel.dataset.index = index;
+  if (conversation.panelId) {
+    panel.dataset.panelId = conversation.panelId;
+  }
   panel.style.cssText = `
     background: rgba(0,0,0,0.2);
     display: flex;
@@ -265,7 +497,9 @@ function createPanel(conversation, index, extraction) {
   `;
 
   const panelTitle = document.createElement('div');
-  panelTitle.textContent = `Panel ${index}`;
+  panelTitle.className = 'cascade-panel-title';
+  panelTitle.textContent = conversation.label || conversation.panelId || `Panel ${index}`;
+  panelTitle.title = conversation.panelId || '';
   panelTitle.style.cssText = `
     flex: 1;
     font-size: 12px;
@@ -369,8 +603,10 @@ function createPanel(conversation, index, extraction) {
   const sendButton = createButton('Send', () => {
     const message = input.innerText.trim();
     if (message) {
+      // Hub order differs from DOM order once panels are spawned, so send by ID
+      const panelId = panel._cascadeRefs.originalPanel?.dataset.cascadePanelId || conversation.panelId;
       window.dispatchEvent(new CustomEvent('cascade-send', {
-        detail: { panelIndex: index, message }
+        detail: { panelId, panelIndex: index, message }
       }));
       input.innerText = '';
     }
@@ -379,14 +615,25 @@ function createPanel(conversation, index, extraction) {
   sendButton.dataset.panelIndex = index;
   inputContainer.appendChild(sendButton);
 
+  const stopButton = createButton('Stop', () => {
+    const panelId = panel._cascadeRefs.originalPanel?.dataset.cascadePanelId || conversation.panelId;
+    window.dispatchEvent(new CustomEvent('cascade-stop', {
+      detail: { panelId, panelIndex: index }
+    }));
+  }, 'danger');
+  stopButton.className = 'cascade-stop-button';
+  stopButton.dataset.panelIndex = index;
+  inputContainer.appendChild(stopButton);
+
   panel.appendChild(inputContainer);
 
   // Store references
   panel._cascadeRefs = {
     input,
     sendButton,
+    stopButton,
     conversationArea,
-    originalPanel: extraction.panels?.[index]?.element || null
+    originalPanel
   };
 
   return panel;
@@ -554,10 +801,15 @@ function addPanelToUI(nativePanel) {
     // Extract content from native panel
     const conversation = extractPanelContent(nativePanel);
     console.log('[Cascade Hub] Extracted conversation:', conversation.messages?.length || 0, 'messages');
+
+    // Tag the new panel so the hub can address it by ID
+    syncPanels();
+    conversation.panelId = nativePanel.dataset.cascadePanelId || null;
+    conversation.label = nativePanel.dataset.cascadePanelLabel || null;
     
     // Create new panel
     const newIndex = panelCount++;
-    const panel = createPanel(conversation, newIndex, {});
+    const panel = createPanel(conversation, newIndex, { panels: { [newIndex]: { element: nativePanel } } });
     console.log('[Cascade Hub] Created panel element');
     
     // Add to container
@@ -715,6 +967,12 @@ function restoreOriginalUI() {
 
 module.exports = {
   createUI,
+  setAgentSlotStatus,
+  showPoolStatus,
+  showSafetyPrompt,
+  hideSafetyPrompt,
+  showConflictPrompt,
+  hideConflictPrompt,
   mount,
   destroyOriginalUI,
   restoreOriginalUI,
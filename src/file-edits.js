@@ -0,0 +1,105 @@
+/**
+ * File Edits
+ *
+ * Turns the file-edit proposals parsed from a Cascade conversation into
+ * unified diffs, and accepts or rejects them per file.
+ *
+ * clickFileEditButton() runs in the browser context and is passed directly
+ * to page.evaluate() with ACTIVITY_SELECTORS, so it must stay self-contained.
+ */
+
+/**
+ * Press Accept or Reject for one file of an edit proposal (runs in browser context).
+ * Multi-file cards have buttons per file row; single-file cards on the card.
+ * @param {string} panelId - Stable panel ID
+ * @param {string} filePath - Path as shown on the card
+ * @param {string} decision - 'accept' or 'reject'
+ * @param {object} selectors - ACTIVITY_SELECTORS, possibly overridden
+ * @returns {{found, clicked, button, error}}
+ */
+function clickFileEditButton(panelId, filePath, decision, selectors) {
+  const panel = document.querySelector(`${selectors.panel}[data-cascade-panel-id="${panelId}"]`);
+  if (!panel) return { found: false, clicked: false, button: null };
+
+  const text = (el) => (el.innerText || el.textContent || '').trim();
+  const pattern = new RegExp(decision === 'accept' ? selectors.approveButton : selectors.rejectButton, 'i');
+  const buttonsIn = (el) => [...el.querySelectorAll('button, [role="button"]')]
+    .filter(btn => !btn.disabled && pattern.test(text(btn)));
+
+  const fileName = filePath.split('/').pop();
+  const mentions = (el) => {
+    const title = el.getAttribute('title') || '';
+    return title === filePath || title.endsWith(`/${filePath}`) || filePath.endsWith(`/${title}`) ||
+           (el.children.length === 0 && (text(el) === filePath || text(el) === fileName));
+  };
+
+  // Newest proposals are last; prefer them over older cards for the same file
+  const cards = [...panel.querySelectorAll(selectors.editCard)].reverse();
+  for (const card of cards) {
+    const label = [card, ...card.querySelectorAll('*')].find(mentions);
+    if (!label) continue;
+
+    // Smallest ancestor of the file label that has its own buttons
+    let scope = label;
+    while (scope !== card && buttonsIn(scope).length === 0) {
+      scope = scope.parentElement;
+    }
+    const button = buttonsIn(scope)[0];
+    if (!button) continue;
+
+    // Card-level buttons on a multi-file card would decide every file at once
+    const fileCount = new Set([...card.querySelectorAll('[title]')]
+      .map(el => el.getAttribute('title'))
+      .filter(title => /\.\w+$/.test(title))).size;
+    if (scope === card && fileCount > 1) {
+      return { found: true, clicked: false, button: null, error: 'Card only has buttons for all files' };
+    }
+
+    const buttonLabel = text(button);
+    button.click();
+    return { found: true, clicked: true, button: buttonLabel };
+  }
+
+  return { found: false, clicked: false, button: null };
+}
+
+/**
+ * Format a parsed file edit as a unified diff
+ * @param {object} edit - { path, hunks } from parseConversation()
+ * @returns {string|null} Patch text, or null if the edit has no hunks
+ */
+function formatPatch(edit) {
+  if (!edit.hunks || edit.hunks.length === 0) return null;
+
+  const lines = [`--- a/${edit.path}`, `+++ b/${edit.path}`];
+  edit.hunks.forEach(hunk => {
+    const oldCount = hunk.lines.filter(line => line.type !== 'add').length;
+    const newCount = hunk.lines.filter(line => line.type !== 'remove').length;
+    // Cards without line numbers give no start; 1 lets `git apply --recount`/`patch` search for the context
+    const oldStart = hunk.oldStart ?? hunk.newStart ?? 1;
+    const newStart = hunk.newStart ?? hunk.oldStart ?? 1;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.lines.forEach(line => {
+      const prefix = line.type === 'add' ? '+' : (line.type === 'remove' ? '-' : ' ');
+      lines.push(prefix + line.text);
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * File name for a saved patch: turn index plus the flattened path
+ * @param {object} edit - { path, turnIndex }
+ */
+function patchFileName(edit) {
+  const flat = edit.path.replace(/^[/\\]+/, '').replace(/[/\\:]+/g, '_');
+  return `turn${edit.turnIndex}-${flat}.patch`;
+}
+
+module.exports = {
+  clickFileEditButton,
+  formatPatch,
+  patchFileName
+};
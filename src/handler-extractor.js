@@ -5,6 +5,9 @@
  * before we replace it with our custom UI.
  */
 
+const { parseConversation } = require('./conversation-parser');
+const { syncPanels } = require('./panel-registry');
+
 /**
  * Extract all handlers and functions from Windsurf Cascade
  * @returns {object} Extracted handlers and data
@@ -18,6 +21,9 @@ function extract() {
     metadata: {}
   };
 
+  // Tag panels with stable IDs before reading them
+  const panelIds = syncPanels();
+
   // Extract panel data and conversation history
   const panels = document.querySelectorAll('.chat-client-root');
 
@@ -35,18 +41,20 @@ function extract() {
     const conversationText = scrollArea?.innerText || '';
     const conversationHTML = scrollArea?.innerHTML || '';
 
-    // Extract all message elements
-    const messages = [...panel.querySelectorAll('[class*="message"], [class*="chat-message"]')]
-      .map(msg => ({
-        role: msg.classList.contains('user') || msg.getAttribute('role') === 'user' ? 'user' : 'assistant',
-        content: msg.innerText,
-        html: msg.innerHTML,
-        timestamp: msg.dataset.timestamp || Date.now()
-      }));
+    // Split the conversation into structured turns
+    const messages = parseConversation(panel).map(turn => ({
+      ...turn,
+      content: turn.text,
+      timestamp: Date.now()
+    }));
+
+    const { id: panelId = null, label = null } = panelIds[index] || {};
 
     // Store panel data
     extraction.panels.push({
       index,
+      panelId,
+      label,
       element: panel,
       input,
       sendButton,
@@ -58,6 +66,8 @@ function extract() {
     // Store conversation
     extraction.conversations.push({
       index,
+      panelId,
+      label,
       messages,
       fullText: conversationText,
       fullHTML: conversationHTML,
@@ -0,0 +1,59 @@
+/**
+ * Input Lock
+ *
+ * Serializes keyboard input to Cascade panels. CDP key events go to
+ * whichever element has focus, so only one operation may own the focus
+ * at a time, and messages to the same panel must not overtake each other.
+ */
+
+/**
+ * FIFO mutex: run() calls execute one at a time in call order
+ */
+class Mutex {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Run fn once every earlier call has settled
+   * @param {Function} fn - Async function to run exclusively
+   */
+  run(fn) {
+    const result = this.tail.then(() => fn());
+    this.tail = result.catch(() => {});
+    return result;
+  }
+}
+
+/**
+ * One FIFO queue per key (panel ID)
+ */
+class KeyedQueue {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  /**
+   * Run fn once every earlier call for the same key has settled
+   * @param {string} key - Queue key
+   * @param {Function} fn - Async function to run
+   */
+  run(key, fn) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    const result = previous.then(() => fn());
+    const tail = result.catch(() => {});
+    this.tails.set(key, tail);
+
+    // Drop idle queues so closed panels do not accumulate
+    tail.then(() => {
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    });
+
+    return result;
+  }
+}
+
+module.exports = {
+  Mutex,
+  KeyedQueue
+};
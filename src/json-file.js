@@ -0,0 +1,42 @@
+/**
+ * JSON File
+ *
+ * Crash-safe writes for the JSON state files under .cascade/, and reads
+ * that name the file when it does not parse.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Write data as JSON, creating the directory. The data goes to a temporary
+ * file that is then renamed, so a crash never leaves a half-written file.
+ * @param {string} file
+ * @param {*} data - JSON-serializable data
+ */
+function writeJsonAtomic(file, data) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Read a JSON state file
+ * @param {string} file
+ * @param {string} kind - What the file holds, for the error: 'queue', 'memory'
+ * @returns {*} Parsed data
+ */
+function readJsonFile(file, kind) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    const name = kind.charAt(0).toUpperCase() + kind.slice(1);
+    throw new Error(`${name} file ${file} is not valid JSON (${e.message}). Fix or delete it to start an empty ${kind}`);
+  }
+}
+
+module.exports = {
+  writeJsonAtomic,
+  readJsonFile
+};
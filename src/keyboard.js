@@ -0,0 +1,177 @@
+/**
+ * Keyboard
+ *
+ * Platform-aware key handling for CDP input. Shortcuts are written as
+ * "mod+shift+i": "mod" is Cmd on macOS and Ctrl elsewhere, so the same
+ * shortcut works against every Windsurf host.
+ */
+
+// CDP Input.dispatchKeyEvent modifier bits
+const MODIFIER_BITS = { alt: 1, ctrl: 2, meta: 4, shift: 8 };
+
+const MODIFIER_KEYS = {
+  alt: { key: 'Alt', code: 'AltLeft', windowsVirtualKeyCode: 18 },
+  ctrl: { key: 'Control', code: 'ControlLeft', windowsVirtualKeyCode: 17 },
+  meta: { key: 'Meta', code: 'MetaLeft', windowsVirtualKeyCode: 91 },
+  shift: { key: 'Shift', code: 'ShiftLeft', windowsVirtualKeyCode: 16 }
+};
+
+const MODIFIER_ALIASES = {
+  alt: 'alt', option: 'alt', opt: 'alt',
+  ctrl: 'ctrl', control: 'ctrl',
+  meta: 'meta', cmd: 'meta', command: 'meta', win: 'meta', super: 'meta',
+  shift: 'shift'
+};
+
+const NAMED_KEYS = {
+  enter: { key: 'Enter', code: 'Enter', windowsVirtualKeyCode: 13 },
+  escape: { key: 'Escape', code: 'Escape', windowsVirtualKeyCode: 27 },
+  esc: { key: 'Escape', code: 'Escape', windowsVirtualKeyCode: 27 },
+  backspace: { key: 'Backspace', code: 'Backspace', windowsVirtualKeyCode: 8 },
+  delete: { key: 'Delete', code: 'Delete', windowsVirtualKeyCode: 46 },
+  tab: { key: 'Tab', code: 'Tab', windowsVirtualKeyCode: 9 },
+  space: { key: ' ', code: 'Space', windowsVirtualKeyCode: 32 },
+  up: { key: 'ArrowUp', code: 'ArrowUp', windowsVirtualKeyCode: 38 },
+  down: { key: 'ArrowDown', code: 'ArrowDown', windowsVirtualKeyCode: 40 },
+  left: { key: 'ArrowLeft', code: 'ArrowLeft', windowsVirtualKeyCode: 37 },
+  right: { key: 'ArrowRight', code: 'ArrowRight', windowsVirtualKeyCode: 39 },
+  home: { key: 'Home', code: 'Home', windowsVirtualKeyCode: 36 },
+  end: { key: 'End', code: 'End', windowsVirtualKeyCode: 35 }
+};
+
+const PUNCTUATION_CODES = {
+  '`': ['Backquote', 192], '-': ['Minus', 189], '=': ['Equal', 187],
+  '[': ['BracketLeft', 219], ']': ['BracketRight', 221], '\\': ['Backslash', 220],
+  ';': ['Semicolon', 186], "'": ['Quote', 222], ',': ['Comma', 188],
+  '.': ['Period', 190], '/': ['Slash', 191]
+};
+
+// Chromium on macOS does not run editing commands for synthetic key
+// events, so they have to be named explicitly
+const MAC_EDIT_COMMANDS = {
+  'meta+a': 'selectAll',
+  'meta+c': 'copy',
+  'meta+x': 'cut',
+  'meta+v': 'paste',
+  'meta+z': 'undo',
+  'meta+shift+z': 'redo'
+};
+
+// Shortcuts the controller relies on, overridable per controller
+const DEFAULT_SHORTCUTS = {
+  selectAll: 'mod+a',
+  paste: 'mod+v',
+  lineBreak: 'shift+enter',
+  commandPalette: 'f1',
+  dismiss: 'escape'
+};
+
+/**
+ * Detect the operating system of the page (runs in browser context)
+ * @returns {string} 'mac', 'windows' or 'linux'
+ */
+function detectPlatform() {
+  const platform = navigator.userAgentData?.platform || navigator.platform || navigator.userAgent || '';
+  if (/mac/i.test(platform)) return 'mac';
+  if (/win/i.test(platform)) return 'windows';
+  return 'linux';
+}
+
+/**
+ * Describe a single non-modifier key
+ * @param {string} name - Key name ("a", "enter", "f1", "/")
+ */
+function describeKey(name) {
+  const lower = name.toLowerCase();
+  if (NAMED_KEYS[lower]) return { ...NAMED_KEYS[lower] };
+
+  const fn = lower.match(/^f(\d{1,2})$/);
+  if (fn && fn[1] >= 1 && fn[1] <= 12) {
+    return { key: `F${fn[1]}`, code: `F${fn[1]}`, windowsVirtualKeyCode: 111 + Number(fn[1]) };
+  }
+
+  if (/^[a-z]$/.test(lower)) {
+    return { key: lower, code: `Key${lower.toUpperCase()}`, windowsVirtualKeyCode: lower.toUpperCase().charCodeAt(0), text: lower };
+  }
+  if (/^[0-9]$/.test(lower)) {
+    return { key: lower, code: `Digit${lower}`, windowsVirtualKeyCode: lower.charCodeAt(0), text: lower };
+  }
+  if (PUNCTUATION_CODES[name]) {
+    const [code, windowsVirtualKeyCode] = PUNCTUATION_CODES[name];
+    return { key: name, code, windowsVirtualKeyCode, text: name };
+  }
+
+  throw new Error(`Unknown key "${name}"`);
+}
+
+/**
+ * Parse a shortcut string for a platform
+ * @param {string} shortcut - e.g. "mod+shift+i", "escape", "ctrl+enter"
+ * @param {string} platform - 'mac', 'windows' or 'linux'
+ * @returns {{modifiers: string[], key: object, command: string|null}}
+ */
+function parseShortcut(shortcut, platform) {
+  const parts = String(shortcut).trim().split('+').map(part => part.trim());
+  const keyName = parts.pop();
+  if (!keyName) throw new Error(`Invalid shortcut "${shortcut}"`);
+
+  const modifiers = new Set();
+  parts.forEach(part => {
+    const lower = part.toLowerCase();
+    if (lower === 'mod') {
+      modifiers.add(platform === 'mac' ? 'meta' : 'ctrl');
+    } else if (MODIFIER_ALIASES[lower]) {
+      modifiers.add(MODIFIER_ALIASES[lower]);
+    } else {
+      throw new Error(`Unknown modifier "${part}" in shortcut "${shortcut}"`);
+    }
+  });
+
+  const ordered = Object.keys(MODIFIER_BITS).filter(name => modifiers.has(name));
+  const key = describeKey(keyName);
+  const combo = [...ordered, key.key.toLowerCase()].join('+');
+
+  return {
+    modifiers: ordered,
+    key,
+    command: platform === 'mac' ? MAC_EDIT_COMMANDS[combo] || null : null
+  };
+}
+
+/**
+ * Press a shortcut through a CDP session: modifiers down, key, modifiers up
+ * @param {object} cdpClient - CDP session
+ * @param {string} shortcut - e.g. "mod+a"
+ * @param {string} platform - 'mac', 'windows' or 'linux'
+ */
+async function dispatchShortcut(cdpClient, shortcut, platform) {
+  const { modifiers, key, command } = parseShortcut(shortcut, platform);
+  let bits = 0;
+
+  for (const name of modifiers) {
+    bits |= MODIFIER_BITS[name];
+    await cdpClient.send('Input.dispatchKeyEvent', { type: 'rawKeyDown', ...MODIFIER_KEYS[name], modifiers: bits });
+  }
+
+  // Printable text only when no command modifier is held
+  const { text, ...keyInfo } = key;
+  const typesText = text && !modifiers.some(name => name !== 'shift');
+  const down = { type: typesText ? 'keyDown' : 'rawKeyDown', ...keyInfo, modifiers: bits };
+  if (typesText) down.text = modifiers.includes('shift') ? text.toUpperCase() : text;
+  if (command) down.commands = [command];
+
+  await cdpClient.send('Input.dispatchKeyEvent', down);
+  await cdpClient.send('Input.dispatchKeyEvent', { type: 'keyUp', ...keyInfo, modifiers: bits });
+
+  for (const name of [...modifiers].reverse()) {
+    bits &= ~MODIFIER_BITS[name];
+    await cdpClient.send('Input.dispatchKeyEvent', { type: 'keyUp', ...MODIFIER_KEYS[name], modifiers: bits });
+  }
+}
+
+module.exports = {
+  DEFAULT_SHORTCUTS,
+  detectPlatform,
+  parseShortcut,
+  dispatchShortcut
+};
@@ -0,0 +1,264 @@
+/**
+ * Shared Memory
+ *
+ * Context shared between agents: task states, the file changes each agent
+ * made, a decision log and project-level context. Saved as JSON after every
+ * change, so it persists across sessions.
+ *
+ * formatContext() renders a compact summary for one agent and task; with a
+ * controller's setContextProvider() it is prepended to outgoing messages.
+ *
+ * Usage:
+ *   const memory = SharedMemory.load('.cascade/memory.json');
+ *   memory.setContext('framework', 'React 18');
+ *   memory.recordChange('builder', 'src/Settings.tsx', { added: 12, removed: 3 }, 'run-1:s2');
+ *   cascade.setContextProvider(({ agent, taskId }) => memory.formatContext(agent, taskId));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic, readJsonFile } = require('./json-file');
+
+const DEFAULT_MEMORY_FILE = path.join('.cascade', 'memory.json');
+
+/**
+ * Age of a timestamp as "5m ago"
+ * @param {number} timestamp
+ */
+function formatAge(timestamp) {
+  const seconds = Math.max(0, Math.round((Date.now() - timestamp) / 1000));
+  if (seconds < 60) return `${seconds}s ago`;
+  if (seconds < 3600) return `${Math.round(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.round(seconds / 3600)}h ago`;
+  return `${Math.round(seconds / 86400)}d ago`;
+}
+
+class SharedMemory {
+  /**
+   * @param {object} options - { file, maxChanges: 500, maxDecisions: 500 }; without a file memory is not persisted
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.maxChanges = options.maxChanges || 500;
+    this.maxDecisions = options.maxDecisions || 500;
+    this.tasks = new Map();        // Task ID → state
+    this.files = new Map();        // File → changes history
+    this.decisions = [];           // Decision log
+    this.context = {};             // Project-level context
+  }
+
+  /**
+   * Load memory from its file, or start empty if the file does not exist.
+   * Throws, naming the file, if it is not valid JSON.
+   * @param {string} file - Memory file
+   * @param {object} options - Constructor options
+   */
+  static load(file = DEFAULT_MEMORY_FILE, options = {}) {
+    const memory = new SharedMemory({ ...options, file });
+    if (!fs.existsSync(file)) return memory;
+
+    const state = readJsonFile(file, 'memory') || {};
+    memory.tasks = new Map(Object.entries(state.tasks || {}));
+    memory.files = new Map(Object.entries(state.files || {}));
+    memory.decisions = state.decisions || [];
+    memory.context = state.context || {};
+    return memory;
+  }
+
+  /**
+   * Create or update a task's state
+   * @param {string} taskId - Task ID
+   * @param {object} state - Fields to merge, e.g. { description, status, agent, summary }
+   */
+  setTask(taskId, state) {
+    const task = { id: taskId, ...this.tasks.get(taskId), ...state, updatedAt: Date.now() };
+    this.tasks.set(taskId, task);
+    this.save();
+    return task;
+  }
+
+  /**
+   * Get a task's state
+   * @param {string} taskId - Task ID
+   */
+  getTask(taskId) {
+    return this.tasks.get(taskId) || null;
+  }
+
+  /**
+   * Record a file change
+   * @param {string} agentId - Agent that made the change
+   * @param {string} file - Workspace-relative path
+   * @param {object|string} change - e.g. { added, removed, status } or a description
+   * @param {string} taskId - Task the change belongs to
+   */
+  recordChange(agentId, file, change, taskId = null) {
+    if (!this.files.has(file)) {
+      this.files.set(file, []);
+    }
+    this.files.get(file).push({
+      agent: agentId,
+      timestamp: Date.now(),
+      taskId,
+      change
+    });
+
+    // Keep the newest maxChanges entries across all files
+    const all = this.getRecentChanges({ limit: Infinity });
+    if (all.length > this.maxChanges) {
+      const cutoff = all[this.maxChanges - 1].timestamp;
+      for (const [name, history] of this.files) {
+        const kept = history.filter(entry => entry.timestamp >= cutoff);
+        if (kept.length > 0) this.files.set(name, kept);
+        else this.files.delete(name);
+      }
+    }
+
+    this.save();
+  }
+
+  /**
+   * Record a decision
+   * @param {string} agentId - Agent or component that decided
+   * @param {string} decision - What was decided
+   * @param {string} taskId - Task the decision belongs to
+   */
+  recordDecision(agentId, decision, taskId = null) {
+    this.decisions.push({ agent: agentId, timestamp: Date.now(), taskId, decision });
+    if (this.decisions.length > this.maxDecisions) this.decisions.shift();
+    this.save();
+  }
+
+  /**
+   * Set a project-level context value; undefined removes it
+   * @param {string} key
+   * @param {*} value - JSON-serializable value
+   */
+  setContext(key, value) {
+    if (value === undefined) delete this.context[key];
+    else this.context[key] = value;
+    this.save();
+  }
+
+  /**
+   * Newest file changes first
+   * @param {object} options - { limit: 20, agent, since }
+   * @returns {Array<{file, agent, timestamp, taskId, change}>}
+   */
+  getRecentChanges(options = {}) {
+    const { limit = 20, agent, since = 0 } = options;
+    return [...this.files.entries()]
+      .flatMap(([file, history]) => history.map(entry => ({ file, ...entry })))
+      .filter(entry => entry.timestamp >= since && (!agent || entry.agent === agent))
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit);
+  }
+
+  /**
+   * File changes made by one agent, newest first
+   * @param {string} agentId
+   */
+  getChangesBy(agentId) {
+    return this.getRecentChanges({ agent: agentId, limit: Infinity });
+  }
+
+  /**
+   * Decisions for a task, plus the ones with no task
+   * @param {string} taskId
+   */
+  getDecisionsFor(taskId) {
+    return this.decisions.filter(entry => !entry.taskId || entry.taskId === taskId ||
+      (taskId && taskId.startsWith(`${entry.taskId}:`)));
+  }
+
+  /**
+   * Get context for an agent
+   * @param {string} agentId - Agent key
+   * @param {string} taskId - Task ID
+   */
+  getContextFor(agentId, taskId) {
+    // A subtask ID "run-1:s2" also sees its run "run-1"
+    const parentId = taskId && taskId.includes(':') ? taskId.split(':')[0] : null;
+    return {
+      task: this.getTask(taskId),
+      parentTask: parentId ? this.getTask(parentId) : null,
+      recentChanges: this.getRecentChanges(),
+      relevantDecisions: this.getDecisionsFor(taskId),
+      projectContext: this.context
+    };
+  }
+
+  /**
+   * Compact text summary of getContextFor(), for prepending to a message
+   * @param {string} agentId - Agent key, or null for panels without an agent
+   * @param {string} taskId - Task ID, or null
+   * @param {object} options - { maxChars: 1500, changes: 8, decisions: 5 }
+   * @returns {string|null} null when there is nothing to share
+   */
+  formatContext(agentId, taskId, options = {}) {
+    const { maxChars = 1500, changes = 8, decisions = 5 } = options;
+    const context = this.getContextFor(agentId, taskId);
+    const lines = [];
+
+    const projectEntries = Object.entries(context.projectContext);
+    if (projectEntries.length > 0) {
+      lines.push('Project:');
+      projectEntries.forEach(([key, value]) => {
+        lines.push(`- ${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+      });
+    }
+
+    const task = context.parentTask || context.task;
+    if (task?.description) {
+      lines.push(`Overall task: ${task.description}${task.status ? ` (${task.status})` : ''}`);
+    }
+    if (context.parentTask && context.task?.description) {
+      lines.push(`Current subtask: ${context.task.description}`);
+    }
+
+    const recent = context.recentChanges.slice(0, changes);
+    if (recent.length > 0) {
+      lines.push('Recent file changes:');
+      recent.forEach(entry => {
+        const mine = entry.agent === agentId ? ', by you' : '';
+        lines.push(`- ${entry.file} (${entry.agent}${mine}, ${formatAge(entry.timestamp)})`);
+      });
+    }
+
+    const relevant = context.relevantDecisions.slice(-decisions);
+    if (relevant.length > 0) {
+      lines.push('Decisions so far:');
+      relevant.forEach(entry => lines.push(`- ${entry.agent}: ${entry.decision}`));
+    }
+
+    if (lines.length === 0) return null;
+
+    let text = ['[Shared context]', ...lines, '[End of shared context]'].join('\n');
+    if (text.length > maxChars) {
+      text = `${text.slice(0, maxChars - 30).replace(/\n[^\n]*$/, '')}\n[...]\n[End of shared context]`;
+    }
+    return text;
+  }
+
+  /**
+   * Write the memory file, if there is one
+   */
+  save() {
+    if (!this.file) return;
+    writeJsonAtomic(this.file, this.toJSON());
+  }
+
+  toJSON() {
+    return {
+      tasks: Object.fromEntries(this.tasks),
+      files: Object.fromEntries(this.files),
+      decisions: this.decisions,
+      context: this.context
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_MEMORY_FILE,
+  SharedMemory
+};
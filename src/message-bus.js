@@ -0,0 +1,300 @@
+/**
+ * Message Bus
+ *
+ * Carries inter-agent messages in process. A message is
+ * { id, from, to, type, taskId, payload, replyTo, timestamp }, where type is
+ * handoff, request, response or status, and to is an agent, 'orchestrator'
+ * or 'broadcast' (every subscriber but the sender).
+ *
+ * handoff() also delivers a handoff to the receiving agent's panel: the
+ * payload is rendered into a prompt, and the panel's reply comes back on the
+ * bus as a response to the sender. Messages are kept per run ("run-1" holds
+ * "run-1:s2"), so the full trace of a task can be read back with getTrace();
+ * when too many runs are kept, the oldest run's trace goes as a whole.
+ *
+ * Usage:
+ *   const bus = new MessageBus({ hub: cascade.defaultController });
+ *   bus.subscribe('orchestrator', (message) => console.log(message.from, message.type));
+ *   const response = await bus.handoff({
+ *     from: 'scout', to: 'builder', taskId: 'run-1:s2',
+ *     payload: { findings: ['Settings live in src/Settings.tsx'] }
+ *   });
+ *   bus.getTrace('run-1');
+ */
+
+const { EventEmitter } = require('events');
+const { truncate } = require('./synthesizer');
+
+const MESSAGE_TYPES = ['handoff', 'request', 'response', 'status'];
+const BROADCAST = 'broadcast';
+const ORCHESTRATOR = 'orchestrator';
+
+/**
+ * "suggestedFiles" → "Suggested files"
+ * @param {string} key - Payload key
+ */
+function titleCase(key) {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Render one payload value as prompt text
+ * @param {*} value
+ */
+function renderValue(value) {
+  if (typeof value === 'string') return truncate(value);
+  if (Array.isArray(value) && value.every(item => typeof item !== 'object' || item === null)) {
+    return value.map(item => `- ${item}`).join('\n');
+  }
+  return `\`\`\`json\n${truncate(JSON.stringify(value, null, 2))}\n\`\`\``;
+}
+
+/**
+ * Render a handoff message into a prompt for the receiving agent
+ * @param {object} message - Handoff message
+ * @returns {string}
+ */
+function renderHandoff(message) {
+  const lines = [`Handoff from the ${message.from} agent${message.taskId ? ` (task ${message.taskId})` : ''}.`];
+  const { payload } = message;
+
+  if (typeof payload === 'string') {
+    lines.push('', truncate(payload));
+  } else if (payload && typeof payload === 'object') {
+    Object.entries(payload)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .forEach(([key, value]) => lines.push('', `### ${titleCase(key)}`, renderValue(value)));
+  }
+
+  lines.push('', 'Continue from this handoff. Finish with a short summary of what you did, found or changed.');
+  return lines.join('\n');
+}
+
+/**
+ * Run a task ID belongs to: "run-1:s2" → "run-1"
+ * @param {string} taskId
+ */
+function rootTask(taskId) {
+  return taskId.split(':')[0];
+}
+
+/**
+ * One-line description of a message, for logs and traces
+ * @param {object} message
+ */
+function describeMessage(message) {
+  const time = new Date(message.timestamp).toISOString().slice(11, 19);
+  const { payload } = message;
+  const text = typeof payload === 'string' ? payload
+    : payload?.message || payload?.summary || payload?.response || payload?.error || payload?.description ||
+      (payload ? JSON.stringify(payload) : '');
+  const detail = text.split('\n')[0].slice(0, 100);
+  return `${time} ${message.from} → ${message.to} ${message.type}${detail ? `: ${detail}` : ''}`;
+}
+
+class MessageBus extends EventEmitter {
+  /**
+   * @param {object} options - { hub, maxMessages: 1000, maxTasks: 100, timeoutMs: 300000, inputMode: 'paste' }
+   *   hub is the CascadeController handoff() delivers to panels through; without one
+   *   only publish() works. maxMessages caps each run's trace and the messages without
+   *   a task; maxTasks caps the number of runs kept.
+   */
+  constructor(options = {}) {
+    super();
+    this.hub = options.hub || null;
+    this.maxMessages = options.maxMessages || 1000;
+    this.maxTasks = options.maxTasks || 100;
+    this.timeoutMs = options.timeoutMs || 300000;
+    this.inputMode = options.inputMode || 'paste';
+    this.traces = new Map();  // Run ID → its messages, oldest run first
+    this.untracked = [];      // Messages without a task
+    this.subscribers = new Map();  // Address → Set of handlers
+    this.nextId = 1;
+  }
+
+  /**
+   * Receive the messages sent to an address, and broadcasts from others
+   * @param {string} address - Agent key or 'orchestrator'
+   * @param {Function} handler - Called with each message; may be async
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(address, handler) {
+    if (!this.subscribers.has(address)) {
+      this.subscribers.set(address, new Set());
+    }
+    this.subscribers.get(address).add(handler);
+
+    return () => {
+      const handlers = this.subscribers.get(address);
+      if (!handlers) return;
+      handlers.delete(handler);
+      if (handlers.size === 0) this.subscribers.delete(address);
+    };
+  }
+
+  /**
+   * Put a message on the bus and deliver it to its subscribers.
+   * Emits 'message'; handler errors are emitted as 'handler-error'.
+   * @param {object} message - { from, to, type, taskId, payload, replyTo }
+   * @returns {object} The stored message, with id and timestamp
+   */
+  publish(message) {
+    const { from, to, type } = message;
+    if (!from || !to) {
+      throw new Error('Message needs from and to');
+    }
+    if (!MESSAGE_TYPES.includes(type)) {
+      throw new Error(`Unknown message type "${type}". Expected one of: ${MESSAGE_TYPES.join(', ')}`);
+    }
+
+    const stored = {
+      id: `msg-${this.nextId++}`,
+      from,
+      to,
+      type,
+      taskId: message.taskId || null,
+      payload: message.payload ?? null,
+      replyTo: message.replyTo || null,
+      timestamp: Date.now()
+    };
+    this.store(stored);
+
+    this.emit('message', stored);
+    this.recipients(stored).forEach(handler => {
+      Promise.resolve()
+        .then(() => handler(stored))
+        .catch(error => this.emit('handler-error', { message: stored, error }));
+    });
+    return stored;
+  }
+
+  /**
+   * Keep a message in its run's trace. Traffic of one run never pushes out
+   * another run's messages; the oldest run goes once maxTasks are kept.
+   * @param {object} message
+   */
+  store(message) {
+    let list = this.untracked;
+    if (message.taskId) {
+      const root = rootTask(message.taskId);
+      if (!this.traces.has(root)) {
+        this.traces.set(root, []);
+        if (this.traces.size > this.maxTasks) {
+          this.traces.delete(this.traces.keys().next().value);
+        }
+      }
+      list = this.traces.get(root);
+    }
+    list.push(message);
+    if (list.length > this.maxMessages) list.shift();
+  }
+
+  /**
+   * Handlers a message goes to
+   * @param {object} message
+   */
+  recipients(message) {
+    if (message.to !== BROADCAST) {
+      return [...(this.subscribers.get(message.to) || [])];
+    }
+    return [...this.subscribers.entries()]
+      .filter(([address]) => address !== message.from)
+      .flatMap(([, handlers]) => [...handlers]);
+  }
+
+  /**
+   * Answer a message with a response to its sender
+   * @param {object} message - Message being answered
+   * @param {*} payload - Response payload
+   * @param {string} from - Responder; defaults to the message's recipient
+   */
+  reply(message, payload, from = message.to) {
+    return this.publish({
+      from,
+      to: message.from,
+      type: 'response',
+      taskId: message.taskId,
+      payload,
+      replyTo: message.id
+    });
+  }
+
+  /**
+   * Hand work over to another agent. The handoff is published, rendered
+   * into a prompt and sent to the receiving agent's panel; its reply is
+   * published as a response to the sender.
+   * @param {object} message - { from, to, taskId, payload }
+   * @param {object} options - { panel, timeoutMs, mode }; panel defaults to the agent named by to
+   * @returns {Promise<object>} The response message; payload { status, response, error }
+   */
+  async handoff(message, options = {}) {
+    if (!this.hub) {
+      throw new Error('Handoffs to panels need a hub: new MessageBus({ hub })');
+    }
+    const handoff = this.publish({ ...message, type: 'handoff' });
+
+    let reply;
+    try {
+      reply = await this.hub.ask(options.panel || handoff.to, renderHandoff(handoff), {
+        mode: options.mode || this.inputMode,
+        timeoutMs: options.timeoutMs || this.timeoutMs,
+        taskId: handoff.taskId
+      });
+    } catch (e) {
+      reply = { status: 'errored', response: '', error: e.message };
+    }
+
+    const payload = { status: reply.status, response: reply.response || '' };
+    if (reply.error) payload.error = reply.error;
+    if (reply.blocked) payload.blocked = true;
+    return this.reply(handoff, payload);
+  }
+
+  /**
+   * Messages of a task and its subtasks ("run-1" includes "run-1:s2"), oldest first
+   * @param {string} taskId
+   * @param {object} filter - { type, agent } agent matches from or to
+   */
+  getTrace(taskId, filter = {}) {
+    return (this.traces.get(rootTask(taskId)) || []).filter(message =>
+      (message.taskId === taskId || message.taskId.startsWith(`${taskId}:`)) &&
+      (!filter.type || message.type === filter.type) &&
+      (!filter.agent || message.from === filter.agent || message.to === filter.agent));
+  }
+
+  /**
+   * A task's trace as text, one line per message
+   * @param {string} taskId
+   * @param {object} filter - As for getTrace()
+   */
+  formatTrace(taskId, filter = {}) {
+    return this.getTrace(taskId, filter).map(describeMessage).join('\n');
+  }
+
+  /**
+   * Forget the messages of a task, or all messages
+   * @param {string} taskId - Task ID; omit to clear everything
+   */
+  clear(taskId) {
+    if (!taskId) {
+      this.traces.clear();
+      this.untracked = [];
+      return;
+    }
+    const trace = new Set(this.getTrace(taskId));
+    const root = rootTask(taskId);
+    const kept = (this.traces.get(root) || []).filter(message => !trace.has(message));
+    if (kept.length > 0) this.traces.set(root, kept);
+    else this.traces.delete(root);
+  }
+}
+
+module.exports = {
+  MESSAGE_TYPES,
+  BROADCAST,
+  ORCHESTRATOR,
+  MessageBus,
+  renderHandoff,
+  describeMessage
+};
@@ -0,0 +1,739 @@
+/**
+ * Orchestrator
+ *
+ * Runs a high-level task across role-bound Cascade panels: the Planner
+ * splits it into subtasks, the Scheduler assigns them to panels, subtasks
+ * run as soon as their dependencies are done, and the Synthesizer merges
+ * the results into a report.
+ *
+ * Roles are the controller's agents (src/agents). Agent panels are found by
+ * label: "builder" or "builder-2" belong to the builder role. A role without
+ * a panel is activated, which spawns and primes a panel labelled "<role>-1".
+ *
+ * With a SharedMemory, runs and subtasks are recorded there along with the
+ * plan and the files each agent edited, and every message the hub sends is
+ * prefixed with the memory's summary for the receiving agent.
+ *
+ * With checkpoints, a git-backed rollback point is taken before each
+ * subtask; rollback(id) restores the workspace to it.
+ *
+ * Every subtask runs as messages on the bus: a request from the orchestrator,
+ * handoffs from the subtasks it builds on, status updates and the agent's
+ * response. getTrace(runId) reads them back; handoff() passes work between
+ * agents outside a plan.
+ *
+ * With conflicts, the hub watches for two panels editing the same file. When
+ * the later one is running a subtask it is paused (the subtask fails) or,
+ * once its reply is in, asked to merge its change on top of the other one.
+ *
+ * Usage:
+ *   const { Orchestrator } = require('./orchestrator');
+ *   const orch = new Orchestrator({ port: 9333 });
+ *   orch.on('progress', (e) => console.log(`[${e.agent}] ${e.status}: ${e.message}`));
+ *   await orch.connect();
+ *   const result = await orch.execute('Add dark mode support to the settings page');
+ *   console.log(result.summary || result.report);
+ */
+
+const { EventEmitter } = require('events');
+const { CascadeController } = require('./cascade-controller');
+const { KeyedQueue } = require('./input-lock');
+const { describeRoles } = require('./agents');
+const { Planner } = require('./planner');
+const { Scheduler } = require('./scheduler');
+const { Synthesizer, truncate } = require('./synthesizer');
+const { SharedMemory } = require('./memory');
+const { CheckpointStore } = require('./checkpoints');
+const { MessageBus, ORCHESTRATOR } = require('./message-bus');
+const { remergePrompt } = require('./conflicts');
+const { orchestratorOptions } = require('./config');
+
+const ORCHESTRATOR_CONFLICT_ACTIONS = ['pause', 'remerge', 'ignore'];
+
+class Orchestrator extends EventEmitter {
+  /**
+   * @param {object} options - { config, hub, port, target, roles, plannerPanel: 'planner', synthesisPanel,
+   *   maxConcurrentAgents: 4, defaultTimeout: 300000, retryAttempts: 1, inputMode: 'paste',
+   *   memory, injectContext: true, checkpoints, bus, conflicts }
+   *   config is a configuration from loadConfig(); its orchestrator and memory sections are
+   *   the defaults of the other options.
+   *   hub is a connected CascadeController; without one a controller is created for port/target
+   *   (and config).
+   *   synthesisPanel defaults to the planner panel; null builds the report locally.
+   *   memory is a SharedMemory, or true to load .cascade/memory.json; injectContext: false
+   *   records to it without prefixing messages.
+   *   checkpoints is a CheckpointStore, its options, or true for the current directory's repo.
+   *   bus is a MessageBus to share; by default the orchestrator creates its own.
+   *   conflicts is 'pause', 'remerge' or 'ignore' (true is 'remerge'): what to do with a
+   *   subtask whose agent edits a file another agent just edited.
+   */
+  constructor(options = {}) {
+    super();
+    const { config } = options;
+    if (config) {
+      options = orchestratorOptions(config, options);
+    }
+    this.hub = options.hub || new CascadeController({ config, port: options.port, target: options.target });
+    // Role → description; defaults to the hub's agent definitions
+    this.roles = options.roles || describeRoles(this.hub.agentDefinitions);
+    this.plannerPanel = options.plannerPanel || 'planner';
+    this.maxConcurrentAgents = options.maxConcurrentAgents || 4;
+    this.defaultTimeout = options.defaultTimeout || 300000;
+    this.retryAttempts = options.retryAttempts ?? 1;
+    this.inputMode = options.inputMode || 'paste';
+    this.memory = options.memory === true ? SharedMemory.load() : (options.memory || null);
+    if (this.memory && options.injectContext !== false) {
+      this.hub.setContextProvider(({ agent, taskId }) => this.memory.formatContext(agent, taskId));
+    }
+    this.checkpoints = !options.checkpoints ? null
+      : options.checkpoints instanceof CheckpointStore ? options.checkpoints
+        : new CheckpointStore(options.checkpoints === true ? {} : options.checkpoints);
+    this.conflictAction = options.conflicts === true ? 'remerge' : (options.conflicts || null);
+    if (this.conflictAction && !ORCHESTRATOR_CONFLICT_ACTIONS.includes(this.conflictAction)) {
+      throw new Error(`Unknown conflicts action "${this.conflictAction}". Use one of: ${ORCHESTRATOR_CONFLICT_ACTIONS.join(', ')}`);
+    }
+    this.bus = options.bus || new MessageBus({
+      hub: this.hub,
+      timeoutMs: this.defaultTimeout,
+      inputMode: this.inputMode
+    });
+
+    // Role → panel IDs
+    this.agents = new Map();
+    // One subtask per panel at a time
+    this.panelQueue = new KeyedQueue();
+    // Panel ID → assignment of the subtask running on it
+    this.activeSubtasks = new Map();
+    // Panel ID → conflicts to act on when its reply is in
+    this.pendingConflicts = new Map();
+
+    this.planner = new Planner({ hub: this.hub, panel: this.plannerPanel, roles: this.roles });
+    this.scheduler = new Scheduler();
+    this.synthesizer = new Synthesizer({
+      hub: this.hub,
+      panel: options.synthesisPanel === undefined ? this.plannerPanel : options.synthesisPanel
+    });
+
+    // Agents activated or released elsewhere, e.g. from the Agent Hub
+    this.hub.on('agent-activated', ({ key, panelId }) => this.addPanel(key, panelId));
+    this.hub.on('agent-deactivated', ({ key }) => {
+      if (this.agents.has(key)) this.discoverAgents().catch(() => {});
+    });
+    if (this.conflictAction) {
+      this.hub.on('conflict', (conflict) => this.handleConflict(conflict));
+    }
+  }
+
+  /**
+   * Connect the hub if needed and find the planner and agent panels
+   */
+  async connect() {
+    if (!this.hub.page) {
+      await this.hub.connect();
+    }
+    await this.ensurePanel(this.plannerPanel);
+    await this.discoverAgents();
+    // The hub only reports conflicts; the orchestrator acts on its own subtasks
+    if (this.conflictAction && !this.hub.conflictDetector) {
+      this.hub.watchConflicts({ action: 'ignore' });
+    }
+    return { connected: true, agents: Object.fromEntries(this.agents) };
+  }
+
+  /**
+   * Rebuild the role → panel map from panel labels
+   */
+  async discoverAgents() {
+    const panels = await this.hub.listPanels();
+    this.agents = new Map();
+
+    panels.forEach(panel => {
+      const match = panel.label && panel.label.toLowerCase().match(/^([a-z]+)(?:-\d+)?$/);
+      if (!match || !this.roles[match[1]]) return;
+      if (!this.agents.has(match[1])) this.agents.set(match[1], []);
+      this.agents.get(match[1]).push(panel.id);
+    });
+
+    return this.agents;
+  }
+
+  /**
+   * Add a panel to a role
+   * @param {string} role - Agent role
+   * @param {string} panelId - Panel ID
+   */
+  addPanel(role, panelId) {
+    if (!this.roles[role] || !panelId) return;
+    const panels = this.agents.get(role) || [];
+    if (!panels.includes(panelId)) panels.push(panelId);
+    this.agents.set(role, panels);
+  }
+
+  /**
+   * Make sure a labelled panel exists, spawning it if not
+   * @param {string} label - Panel label
+   * @returns {Promise<string>} Panel ID
+   */
+  async ensurePanel(label) {
+    const existing = await this.hub.resolvePanel(label);
+    if (existing) return existing.id;
+
+    const spawned = await this.hub.spawnCascade({ label });
+    if (!spawned.panelId) {
+      throw new Error(`Could not spawn a panel for ${label}`);
+    }
+    return spawned.panelId;
+  }
+
+  /**
+   * Spawn another panel for a role, primed with the role's agent prompt
+   * @param {string} role - Agent role
+   * @returns {Promise<{role, label, panelId}>}
+   */
+  async spawnAgent(role) {
+    if (!this.roles[role]) {
+      throw new Error(`Unknown role "${role}". Known roles: ${Object.keys(this.roles).join(', ')}`);
+    }
+
+    const label = `${role}-${(this.agents.get(role) || []).length + 1}`;
+    const panelId = await this.ensurePanel(label);
+    await this.hub.getAgent(role)?.prime(panelId);
+
+    this.addPanel(role, panelId);
+    this.emit('agent', { role, label, panelId });
+    return { role, label, panelId };
+  }
+
+  /**
+   * Make sure every role has at least one panel. Roles with an agent
+   * definition are activated; other roles get a plain labelled panel.
+   * @param {string[]} roles - Roles that need a panel
+   */
+  async ensureAgents(roles) {
+    for (const role of new Set(roles)) {
+      if (this.agents.get(role)?.length) continue;
+
+      if (!this.hub.getAgent(role)) {
+        await this.spawnAgent(role);
+        continue;
+      }
+      const result = await this.hub.activateAgent(role);
+      if (!result.activated) {
+        throw new Error(`Could not activate ${role}: ${result.error}`);
+      }
+      this.addPanel(role, result.panelId);
+      this.emit('agent', { role, label: result.label, panelId: result.panelId });
+    }
+  }
+
+  /**
+   * Run a task end to end: plan, assign, execute, synthesize
+   * @param {string|object} task - Description, or { description, constraints }
+   * @param {object} context - Extra context for the planner
+   * @returns {Promise<object>} { runId, task, status, subtasks, results, summary, report, durationMs }
+   */
+  async execute(task, context = {}) {
+    const startTime = Date.now();
+    const runId = `run-${startTime.toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    this.emit('progress', { agent: 'planner', status: 'working', message: 'Planning' });
+
+    let plan;
+    try {
+      plan = await this.planner.decompose(task, context);
+    } catch (e) {
+      this.remember(runId, { description: typeof task === 'string' ? task : task.description, status: 'failed', error: e.message });
+      throw e;
+    }
+    this.remember(runId, { description: plan.task.description, status: 'running', subtasks: plan.subtasks.map(s => s.id) });
+    this.memory?.recordDecision('planner', `Split into ${plan.subtasks.map(s => `${s.id} (${s.role})`).join(', ')}`, runId);
+    this.emit('plan', plan);
+    this.emit('progress', {
+      agent: 'planner',
+      status: 'completed',
+      message: `${plan.subtasks.length} subtask${plan.subtasks.length === 1 ? '' : 's'}`
+    });
+
+    let results;
+    let merged;
+    try {
+      await this.ensureAgents(plan.subtasks.map(subtask => subtask.role));
+      const assignments = this.scheduler.assign(plan.subtasks, this.agents);
+      // Memory and context provider key: "<run>:<subtask>"
+      assignments.forEach(assignment => { assignment.taskId = `${runId}:${assignment.subtask.id}`; });
+      results = await this.runAgents(plan.task, assignments);
+
+      this.emit('progress', { agent: 'synthesizer', status: 'working', message: 'Merging results' });
+      merged = await this.synthesizer.merge(plan.task, results);
+    } catch (e) {
+      // The run must not stay 'running' in memory
+      this.remember(runId, { status: 'failed', error: e.message, durationMs: Date.now() - startTime });
+      throw e;
+    }
+
+    const completed = results.filter(result => result.status === 'completed').length;
+    const result = {
+      runId,
+      task: plan.task,
+      status: completed === results.length ? 'completed' : (completed > 0 ? 'partial' : 'failed'),
+      subtasks: plan.subtasks,
+      results,
+      summary: merged.summary,
+      report: merged.report,
+      durationMs: Date.now() - startTime
+    };
+    if (merged.error) result.synthesisError = merged.error;
+    this.remember(runId, { status: result.status, summary: truncate(merged.summary || '', 500), durationMs: result.durationMs });
+
+    this.emit('complete', result);
+    return result;
+  }
+
+  /**
+   * Run assignments as a dependency graph, at most maxConcurrentAgents at once.
+   * Subtasks whose dependencies did not complete are skipped.
+   * @param {object} task - Normalized task
+   * @param {Array} assignments - From Scheduler.assign()
+   * @returns {Promise<Array>} Results in plan order
+   */
+  async runAgents(task, assignments) {
+    const results = new Map();
+    const pending = [...assignments];
+    const running = new Map();
+
+    const settle = (assignment, result) => {
+      results.set(assignment.subtask.id, result);
+      running.delete(assignment.subtask.id);
+    };
+
+    while (pending.length > 0 || running.size > 0) {
+      for (const assignment of [...pending]) {
+        const { subtask } = assignment;
+        if (!subtask.dependsOn.every(dep => results.has(dep))) continue;
+
+        const failedDep = subtask.dependsOn.find(dep => results.get(dep).status !== 'completed');
+        if (failedDep) {
+          pending.splice(pending.indexOf(assignment), 1);
+          const skipped = this.describeResult(assignment, {
+            status: 'skipped',
+            error: `Dependency ${failedDep} did not complete`
+          });
+          results.set(subtask.id, skipped);
+          this.remember(assignment.taskId, { status: 'skipped', error: skipped.error });
+          this.report(assignment, 'skipped', skipped.error);
+          continue;
+        }
+
+        if (running.size >= this.maxConcurrentAgents) break;
+        pending.splice(pending.indexOf(assignment), 1);
+        const dependencies = subtask.dependsOn.map(dep => results.get(dep));
+        running.set(subtask.id, this.runSubtask(task, assignment, dependencies)
+          .catch(e => this.describeResult(assignment, { status: 'failed', error: e.message }))
+          .then(result => settle(assignment, result)));
+      }
+
+      if (running.size === 0) {
+        // Nothing can start; only possible with a plan that skipped validation
+        if (pending.length > 0) {
+          pending.splice(0).forEach(assignment => {
+            results.set(assignment.subtask.id, this.describeResult(assignment, {
+              status: 'skipped',
+              error: 'Dependencies never resolved'
+            }));
+          });
+        }
+        break;
+      }
+
+      await Promise.race(running.values());
+    }
+
+    return assignments.map(assignment => results.get(assignment.subtask.id));
+  }
+
+  /**
+   * Build the prompt for one subtask, with the results it depends on
+   * @param {object} task - Normalized task
+   * @param {object} subtask - Subtask to run
+   * @param {Array} dependencies - Results of its dependencies
+   */
+  buildSubtaskPrompt(task, subtask, dependencies) {
+    const lines = [
+      `You are the ${subtask.role} agent in a team working on: ${task.description}`,
+      `Your role: ${this.roles[subtask.role]}`,
+      '',
+      `Your subtask (${subtask.id}): ${subtask.description}`
+    ];
+
+    if (dependencies.length > 0) {
+      lines.push('', 'Results from the subtasks this one builds on:');
+      dependencies.forEach(dep => {
+        lines.push('', `### ${dep.id} (${dep.role})`, truncate(dep.response));
+      });
+    }
+
+    lines.push('', 'Only do your subtask. Finish with a short summary of what you did, found or changed.');
+    return lines.join('\n');
+  }
+
+  /**
+   * Run one subtask on its panel, retrying after errors and timeouts
+   * @param {object} task - Normalized task
+   * @param {object} assignment - { subtask, role, panelId }
+   * @param {Array} dependencies - Results of its dependencies
+   */
+  async runSubtask(task, assignment, dependencies) {
+    const prompt = this.buildSubtaskPrompt(task, assignment.subtask, dependencies);
+    const request = this.publishRequest(assignment, dependencies);
+    this.report(assignment, 'assigned', assignment.subtask.description);
+
+    return this.panelQueue.run(assignment.panelId, async () => {
+      const startTime = Date.now();
+      this.remember(assignment.taskId, {
+        description: assignment.subtask.description,
+        agent: assignment.role,
+        panelId: assignment.panelId,
+        status: 'running'
+      });
+      const checkpoint = await this.createCheckpoint(assignment);
+      this.activeSubtasks.set(assignment.panelId, assignment);
+      let reply = null;
+      let attempt = 0;
+
+      while (attempt <= this.retryAttempts) {
+        attempt++;
+        if (attempt > 1) {
+          this.report(assignment, 'retrying', `Attempt ${attempt}: ${reply.error || reply.status}`);
+          await this.hub.cancel(assignment.panelId).catch(() => {});
+        }
+
+        this.report(assignment, 'working', assignment.subtask.description);
+        try {
+          reply = await this.askAgent(assignment, prompt);
+        } catch (e) {
+          reply = { status: 'errored', response: '', error: e.message };
+        }
+        const paused = this.takeConflicts(assignment.panelId, 'pause')[0];
+        if (paused) {
+          reply = { status: 'paused', response: reply.response, error: `Paused after a conflict on ${paused.file}` };
+          break;
+        }
+        // A prompt the safety layer blocked would be blocked again
+        if (reply.status === 'completed' || reply.blocked) break;
+      }
+
+      if (reply.status === 'completed') {
+        reply = await this.remerge(assignment, reply);
+      }
+      this.activeSubtasks.delete(assignment.panelId);
+      this.pendingConflicts.delete(assignment.panelId);
+
+      const result = this.describeResult(assignment, {
+        status: reply.status === 'completed' ? 'completed' : 'failed',
+        response: reply.response || '',
+        attempts: attempt,
+        durationMs: Date.now() - startTime,
+        checkpoint
+      });
+      if (result.status === 'failed') result.error = reply.error || reply.status;
+      this.bus.reply(request, {
+        subtaskId: assignment.subtask.id,
+        status: result.status,
+        response: result.response,
+        error: result.error || null
+      });
+      this.remember(assignment.taskId, {
+        status: result.status,
+        summary: (reply.response || '').split('\n')[0].slice(0, 200),
+        error: result.error || null
+      });
+      if (result.status === 'completed') await this.recordEdits(assignment);
+      this.report(assignment, result.status, result.status === 'completed'
+        ? (reply.response || '').split('\n')[0].slice(0, 120)
+        : result.error);
+      return result;
+    });
+  }
+
+  /**
+   * Send a prompt to an agent panel and wait for its reply.
+   * Waiting for approval reports the agent as blocked and keeps waiting.
+   * @param {object} assignment - { subtask, role, panelId }
+   * @param {string} prompt - Subtask prompt
+   */
+  async askAgent(assignment, prompt) {
+    const deadline = Date.now() + this.defaultTimeout;
+    const since = (await this.hub.getConversation(assignment.panelId)).length;
+
+    const sent = await this.hub.send(assignment.panelId, prompt, { mode: this.inputMode, taskId: assignment.taskId });
+    if (!sent.sent) {
+      return { status: 'errored', response: '', error: sent.error || 'Message not sent', blocked: !!sent.blocked };
+    }
+
+    let reply;
+    let blocked = false;
+    do {
+      reply = await this.hub.getResponse(assignment.panelId, {
+        timeoutMs: Math.max(deadline - Date.now(), 0),
+        since
+      });
+      if (reply.status === 'awaiting-approval') {
+        if (!blocked) {
+          this.report(assignment, 'blocked', `Waiting for approval: ${(reply.pendingApprovals || []).join(', ')}`);
+          blocked = true;
+        }
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      } else if (blocked) {
+        blocked = false;
+        this.report(assignment, 'working', 'Approval resolved');
+      }
+    } while (reply.status === 'awaiting-approval' && Date.now() < deadline);
+
+    return reply;
+  }
+
+  /**
+   * Act on a conflict the hub detected, if its later agent is running one of
+   * this orchestrator's subtasks. Pausing stops the panel now; re-merging
+   * waits for its reply.
+   * @param {object} conflict - From the hub's 'conflict' event
+   */
+  handleConflict(conflict) {
+    const panelId = conflict.second.panelId;
+    const assignment = this.activeSubtasks.get(panelId);
+    if (!assignment) return;
+
+    const action = this.conflictAction;
+    const other = conflict.first.label || conflict.first.agent || conflict.first.panelId;
+    this.memory?.recordDecision('orchestrator', `${conflict.file} edited by ${other} and ${assignment.role}: ${action}`, assignment.taskId);
+    this.emit('conflict', { ...conflict, action, subtaskId: assignment.subtask.id });
+    if (action === 'ignore') return;
+
+    if (!this.pendingConflicts.has(panelId)) this.pendingConflicts.set(panelId, []);
+    this.pendingConflicts.get(panelId).push({ ...conflict, action });
+    this.report(assignment, 'blocked', `Conflict on ${conflict.file} with ${other}: ${action === 'pause' ? 'pausing' : 're-merging after this reply'}`);
+    if (action === 'pause') {
+      this.hub.cancel(panelId).catch(() => {});
+    }
+  }
+
+  /**
+   * Remove and return a panel's pending conflicts for one action
+   * @param {string} panelId
+   * @param {string} action - 'pause' or 'remerge'
+   */
+  takeConflicts(panelId, action) {
+    const pending = this.pendingConflicts.get(panelId) || [];
+    this.pendingConflicts.set(panelId, pending.filter(conflict => conflict.action !== action));
+    return pending.filter(conflict => conflict.action === action);
+  }
+
+  /**
+   * Ask an agent to merge its change into each file it conflicted on,
+   * including conflicts detected during the merge itself
+   * @param {object} assignment - { subtask, role, panelId, taskId }
+   * @param {object} reply - The subtask's completed reply
+   * @returns {Promise<object>} The reply, with the merge replies appended, or the failed merge
+   */
+  async remerge(assignment, reply) {
+    let conflicts;
+    while ((conflicts = this.takeConflicts(assignment.panelId, 'remerge')).length > 0) {
+      for (const conflict of conflicts) {
+        this.report(assignment, 'working', `Re-merging ${conflict.file}`);
+        this.bus.publish({
+          from: ORCHESTRATOR,
+          to: assignment.role,
+          type: 'request',
+          taskId: assignment.taskId,
+          payload: { subtaskId: assignment.subtask.id, description: `Re-merge ${conflict.file}`, conflictId: conflict.id }
+        });
+
+        let merged;
+        try {
+          merged = await this.askAgent(assignment, remergePrompt(conflict));
+        } catch (e) {
+          merged = { status: 'errored', response: '', error: e.message };
+        }
+        if (merged.status !== 'completed') {
+          return { ...merged, error: `Re-merge of ${conflict.file} failed: ${merged.error || merged.status}` };
+        }
+        reply = { ...reply, response: `${reply.response}\n\n${merged.response}` };
+      }
+    }
+    return reply;
+  }
+
+  /**
+   * Put a subtask on the bus: the results it builds on as handoffs from
+   * their agents, then the orchestrator's request
+   * @param {object} assignment - { subtask, role, panelId, taskId }
+   * @param {Array} dependencies - Results of its dependencies
+   * @returns {object} The request message
+   */
+  publishRequest(assignment, dependencies) {
+    dependencies.forEach(dep => {
+      this.bus.publish({
+        from: dep.role,
+        to: assignment.role,
+        type: 'handoff',
+        taskId: assignment.taskId,
+        payload: { subtaskId: dep.id, summary: dep.response.split('\n')[0].slice(0, 200), response: truncate(dep.response) }
+      });
+    });
+
+    return this.bus.publish({
+      from: ORCHESTRATOR,
+      to: assignment.role,
+      type: 'request',
+      taskId: assignment.taskId,
+      payload: {
+        subtaskId: assignment.subtask.id,
+        description: assignment.subtask.description,
+        panelId: assignment.panelId,
+        dependsOn: assignment.subtask.dependsOn
+      }
+    });
+  }
+
+  /**
+   * Hand work from one agent to another, outside a plan. The payload is
+   * rendered into a prompt for the receiving role's panel, and the reply
+   * comes back as a response message.
+   * @param {string} from - Sending role
+   * @param {string} to - Receiving role
+   * @param {object|string} payload - e.g. { findings, suggestedFiles, context }
+   * @param {object} options - { taskId, timeoutMs }
+   * @returns {Promise<object>} Response message; payload { status, response, error }
+   */
+  async handoff(from, to, payload, options = {}) {
+    await this.ensureAgents([to]);
+    const panelId = this.agents.get(to)[0];
+    return this.panelQueue.run(panelId, () => this.bus.handoff(
+      { from, to, taskId: options.taskId, payload },
+      { panel: panelId, timeoutMs: options.timeoutMs }
+    ));
+  }
+
+  /**
+   * Messages of a run or subtask, oldest first
+   * @param {string} taskId - Run ID or "<run>:<subtask>"
+   * @param {object} filter - { type, agent }
+   */
+  getTrace(taskId, filter = {}) {
+    return this.bus.getTrace(taskId, filter);
+  }
+
+  /**
+   * Take a rollback point before a subtask, if checkpoints are on.
+   * A failed checkpoint is reported and does not stop the subtask.
+   * @param {object} assignment - { subtask, role, panelId, taskId }
+   * @returns {Promise<string|null>} Checkpoint ID
+   */
+  async createCheckpoint(assignment) {
+    if (!this.checkpoints) return null;
+    try {
+      const checkpoint = await this.checkpoints.create({
+        task: assignment.taskId,
+        agent: assignment.role,
+        label: assignment.subtask.description
+      });
+      this.emit('checkpoint', { ...checkpoint, subtaskId: assignment.subtask.id, panelId: assignment.panelId });
+      return checkpoint.id;
+    } catch (e) {
+      this.report(assignment, 'working', `No checkpoint: ${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Checkpoints taken before subtasks, newest first
+   * @param {object} filter - { task, agent }
+   */
+  async listCheckpoints(filter = {}) {
+    if (!this.checkpoints) {
+      throw new Error('Checkpoints are off. Create the Orchestrator with checkpoints: true');
+    }
+    return this.checkpoints.list(filter);
+  }
+
+  /**
+   * Restore the workspace to a checkpoint, e.g. to undo a bad subtask.
+   * Everything changed since is undone, including other agents' work.
+   * @param {string} id - Checkpoint ID or unique prefix
+   * @returns {Promise<object>} { id, restored, removed, backup }
+   */
+  async rollback(id) {
+    if (!this.checkpoints) {
+      throw new Error('Checkpoints are off. Create the Orchestrator with checkpoints: true');
+    }
+    const result = await this.checkpoints.rollback(id);
+    this.memory?.recordDecision('orchestrator', `Rolled the workspace back to checkpoint ${result.id}`);
+    this.emit('rollback', result);
+    return result;
+  }
+
+  /**
+   * Update a task's state in shared memory, if there is one
+   * @param {string} taskId - Run ID or "<run>:<subtask>"
+   * @param {object} state - Fields to merge
+   */
+  remember(taskId, state) {
+    if (this.memory && taskId) this.memory.setTask(taskId, state);
+  }
+
+  /**
+   * Record the files edited in an agent's latest reply in shared memory
+   * @param {object} assignment - { subtask, role, panelId, taskId }
+   */
+  async recordEdits(assignment) {
+    if (!this.memory) return;
+    const edits = await this.hub.getFileEdits(assignment.panelId, { latest: true }).catch(() => []);
+    edits.forEach(edit => {
+      this.memory.recordChange(assignment.role, edit.path, {
+        added: edit.added,
+        removed: edit.removed,
+        status: edit.status
+      }, assignment.taskId);
+    });
+  }
+
+  /**
+   * Result record for a subtask
+   * @param {object} assignment - { subtask, role, panelId }
+   * @param {object} fields - status, response, error, attempts, durationMs
+   */
+  describeResult(assignment, fields) {
+    const { subtask, role, panelId } = assignment;
+    return {
+      id: subtask.id,
+      role,
+      description: subtask.description,
+      dependsOn: subtask.dependsOn,
+      panelId,
+      response: '',
+      attempts: 0,
+      ...fields
+    };
+  }
+
+  /**
+   * Emit a progress event for a subtask
+   * @param {object} assignment - { subtask, role, panelId }
+   * @param {string} status - assigned, working, blocked, retrying, completed, failed or skipped
+   * @param {string} message - Short description
+   */
+  report(assignment, status, message) {
+    const event = {
+      agent: assignment.role,
+      subtaskId: assignment.subtask.id,
+      panelId: assignment.panelId,
+      status,
+      message
+    };
+    this.emit('progress', event);
+    this.bus.publish({ from: assignment.role, to: ORCHESTRATOR, type: 'status', taskId: assignment.taskId, payload: event });
+  }
+}
+
+module.exports = {
+  Orchestrator
+};
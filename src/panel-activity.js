@@ -0,0 +1,133 @@
+/**
+ * Panel Activity
+ *
+ * Reads whether a Cascade panel is busy from the signals its DOM exposes:
+ * the stop control, spinners and "Generating" labels, step cards waiting
+ * for approval or still running, and error banners.
+ *
+ * readPanelActivity() and pressStopControl() run in the browser context and
+ * are passed directly to page.evaluate() with the selectors as an argument,
+ * so they must stay self-contained.
+ */
+
+const ACTIVITY_SELECTORS = {
+  panel: '.chat-client-root',
+  scrollArea: '.cascade-scrollbar',
+  sendButton: 'button.rounded-full',
+  // Labelled stop buttons, or the send button showing its square stop icon
+  stopControl: [
+    'button[aria-label*="stop" i]',
+    'button[title*="stop" i]',
+    '[role="button"][aria-label*="stop" i]',
+    'button.rounded-full:has(svg rect)',
+    'button.rounded-full:has(.lucide-square)',
+    'button.rounded-full:has(.codicon-debug-stop)'
+  ].join(', '),
+  spinner: '.codicon-loading, .codicon-modifier-spin, [class*="animate-spin"], [class*="spinner"], [aria-busy="true"]',
+  busyText: '^(generating|thinking|working|running)\\b',
+  step: '[class*="tool-call"], [class*="step"], [class*="command"], [class*="terminal"], [class*="file-edit"], [class*="edit-card"], [class*="code-edit"]',
+  approvalButton: '^(accept|accept all|run|approve|allow|reject|reject all|deny|skip)$',
+  approveButton: '^(accept|accept all|run|approve|allow)$',
+  rejectButton: '^(reject|reject all|deny|skip)$',
+  commandCard: '[class*="command"], [class*="terminal"]',
+  editCard: '[class*="file-edit"], [class*="edit-card"], [class*="code-edit"]',
+  runningStatus: '\\b(running|pending|in progress)\\b',
+  errorBanner: '[role="alert"], [class*="error-message"], [class*="errorMessage"], [class*="error-banner"]',
+  errorText: 'something went wrong|an error occurred|request failed|failed to generate|rate limit'
+};
+
+/**
+ * Read the busy signals of a panel (runs in browser context)
+ * @param {string} panelId - Stable panel ID
+ * @param {object} selectors - ACTIVITY_SELECTORS, possibly overridden
+ * @returns {object} { found, stopControl, spinner, busyText, pendingApprovals, runningSteps, error, sendEnabled }
+ */
+function readPanelActivity(panelId, selectors) {
+  const panel = document.querySelector(`${selectors.panel}[data-cascade-panel-id="${panelId}"]`);
+  if (!panel) return { found: false };
+
+  const scrollArea = panel.querySelector(selectors.scrollArea) || panel;
+  const text = (el) => (el.innerText || el.textContent || '').trim();
+  const busyText = new RegExp(selectors.busyText, 'i');
+  const approvalButton = new RegExp(selectors.approvalButton, 'i');
+  const runningStatus = new RegExp(selectors.runningStatus, 'i');
+  const errorText = new RegExp(selectors.errorText, 'i');
+
+  const sendButton = panel.querySelector(selectors.sendButton);
+  const stopControl = !!panel.querySelector(selectors.stopControl);
+  const spinner = !!panel.querySelector(selectors.spinner);
+
+  // Short leaf labels only, so conversation text mentioning "running" does not count
+  const leaves = [...panel.querySelectorAll('span, div, p')]
+    .filter(el => el.children.length === 0 && el.textContent.trim());
+  const statusLabel = leaves.find(el => el.textContent.trim().length < 40 && busyText.test(el.textContent.trim()));
+
+  const steps = [...scrollArea.querySelectorAll(selectors.step)];
+  const pendingApprovals = [];
+  let runningSteps = 0;
+  steps.forEach(step => {
+    const buttons = [...step.querySelectorAll('button, [role="button"]')]
+      .filter(btn => !btn.disabled && approvalButton.test(text(btn)));
+    if (buttons.length > 0) {
+      const title = text(step).split('\n')[0] || '';
+      if (!pendingApprovals.includes(title)) pendingApprovals.push(title);
+    } else if (step.dataset.status ? runningStatus.test(step.dataset.status) : runningStatus.test(text(step).split('\n')[0] || '')) {
+      runningSteps++;
+    }
+  });
+
+  // An error banner, or an error notice as the last thing in the conversation
+  const banner = [...panel.querySelectorAll(selectors.errorBanner)].pop();
+  const lastLeaf = leaves.filter(el => scrollArea.contains(el)).pop();
+  const lastText = lastLeaf ? lastLeaf.textContent.trim() : '';
+  const error = banner
+    ? text(banner) || 'Error'
+    : (lastText.length < 200 && errorText.test(lastText) ? lastText : null);
+
+  return {
+    found: true,
+    stopControl,
+    spinner,
+    busyText: statusLabel ? text(statusLabel) : null,
+    pendingApprovals,
+    runningSteps,
+    error,
+    sendEnabled: sendButton ? !sendButton.className.includes('cursor-not-allowed') : false
+  };
+}
+
+/**
+ * Press a panel's stop control if it has one (runs in browser context)
+ * @param {string} panelId - Stable panel ID
+ * @param {object} selectors - ACTIVITY_SELECTORS, possibly overridden
+ * @returns {object} { found, pressed }
+ */
+function pressStopControl(panelId, selectors) {
+  const panel = document.querySelector(`${selectors.panel}[data-cascade-panel-id="${panelId}"]`);
+  if (!panel) return { found: false, pressed: false };
+
+  const control = panel.querySelector(selectors.stopControl);
+  if (control) control.click();
+  return { found: true, pressed: !!control };
+}
+
+/**
+ * Reduce activity signals to one state
+ * @param {object} activity - Result of readPanelActivity()
+ * @returns {string} 'busy', 'awaiting-approval', 'errored' or 'idle'
+ */
+function classifyActivity(activity) {
+  if (activity.pendingApprovals.length > 0) return 'awaiting-approval';
+  if (activity.stopControl || activity.spinner || activity.busyText || activity.runningSteps > 0) {
+    return 'busy';
+  }
+  if (activity.error) return 'errored';
+  return 'idle';
+}
+
+module.exports = {
+  ACTIVITY_SELECTORS,
+  readPanelActivity,
+  pressStopControl,
+  classifyActivity
+};
@@ -0,0 +1,129 @@
+/**
+ * Panel Registry
+ *
+ * Gives every Cascade panel a stable ID that survives spawns, closes and
+ * window reloads. IDs are tagged on the .chat-client-root node as
+ * data-cascade-panel-id and kept in sessionStorage together with optional
+ * human labels ("builder-1").
+ *
+ * Runs in the browser context: loaded as a module by the mounted UI or
+ * passed directly to page.evaluate(), so syncPanels() must stay self-contained.
+ */
+
+/**
+ * Tag all panels with stable IDs and return them in DOM order
+ * @param {object} updates - { labels: { [panelId]: label | null } }
+ * @returns {Array<{index, id, label}>} Panels currently in the DOM
+ */
+function syncPanels(updates = {}) {
+  const STORAGE_KEY = 'cascade-panel-registry';
+  const MAX_CLOSED = 50;
+
+  let entries = [];
+  try {
+    entries = JSON.parse(sessionStorage.getItem(STORAGE_KEY))?.panels || [];
+  } catch (e) {
+    entries = [];
+  }
+  const byId = new Map(entries.map(entry => [entry.id, entry]));
+
+  // Conversation prefix identifies a panel again after a reload drops the tags
+  const fingerprint = (panel) => {
+    const scrollArea = panel.querySelector('.cascade-scrollbar');
+    return `${panel.id || ''}|${(scrollArea?.innerText || '').trim().slice(0, 200)}`;
+  };
+
+  const generateId = () =>
+    `cp-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+  const panels = [...document.querySelectorAll('.chat-client-root')];
+  const seen = new Set();
+
+  // Pass 1: panels that are still tagged
+  panels.forEach(panel => {
+    const id = panel.dataset.cascadePanelId;
+    if (!id) return;
+    if (!byId.has(id)) {
+      const entry = { id, label: null };
+      entries.push(entry);
+      byId.set(id, entry);
+    }
+    seen.add(id);
+  });
+
+  // Pass 2: untagged panels reclaim a closed entry with the same fingerprint.
+  // Empty panels all look alike, so those only reclaim entries from before a reload.
+  const pageLoad = performance.timeOrigin;
+  panels.forEach(panel => {
+    if (panel.dataset.cascadePanelId) return;
+
+    const print = fingerprint(panel);
+    const empty = print.endsWith('|');
+    const match = entries
+      .filter(entry => !seen.has(entry.id) && entry.fingerprint === print)
+      .filter(entry => !empty || entry.pageLoad !== pageLoad)
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))[0];
+
+    let entry = match;
+    if (!entry) {
+      entry = { id: generateId(), label: null };
+      entries.push(entry);
+      byId.set(entry.id, entry);
+    }
+    panel.dataset.cascadePanelId = entry.id;
+    seen.add(entry.id);
+  });
+
+  // Labels are unique: assigning one moves it away from its previous owner
+  Object.entries(updates.labels || {}).forEach(([id, label]) => {
+    const entry = byId.get(id);
+    if (!entry) return;
+    if (label) {
+      entries.forEach(other => {
+        if (other.label === label) other.label = null;
+      });
+    }
+    entry.label = label || null;
+  });
+
+  const now = Date.now();
+  panels.forEach((panel, index) => {
+    const entry = byId.get(panel.dataset.cascadePanelId);
+    entry.index = index;
+    entry.present = true;
+    entry.lastSeen = now;
+    entry.pageLoad = pageLoad;
+    entry.fingerprint = fingerprint(panel);
+    if (entry.label) {
+      panel.dataset.cascadePanelLabel = entry.label;
+    } else {
+      delete panel.dataset.cascadePanelLabel;
+    }
+  });
+
+  entries.forEach(entry => {
+    if (!seen.has(entry.id)) entry.present = false;
+  });
+
+  // Forget the oldest closed panels
+  const closed = entries
+    .filter(entry => !entry.present)
+    .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+  const forgotten = new Set(closed.slice(MAX_CLOSED).map(entry => entry.id));
+  entries = entries.filter(entry => !forgotten.has(entry.id));
+
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ panels: entries }));
+  } catch (e) {
+    console.warn('[Cascade Hub] Could not persist panel registry:', e.message);
+  }
+
+  return panels.map((panel, index) => {
+    const entry = byId.get(panel.dataset.cascadePanelId);
+    return { index, id: entry.id, label: entry.label };
+  });
+}
+
+module.exports = {
+  syncPanels
+};
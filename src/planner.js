@@ -0,0 +1,186 @@
+/**
+ * Planner
+ *
+ * Splits a high-level task into subtasks by asking a planning panel for a
+ * JSON plan, then checks the plan: known roles, known dependencies, no cycles.
+ */
+
+const { loadAgents, describeRoles } = require('./agents');
+
+// Roles the planner may assign, with the one-line description it is shown
+const DEFAULT_ROLES = describeRoles(loadAgents());
+
+/**
+ * Normalize a task given as a string or { description, constraints }
+ * @param {string|object} task
+ */
+function normalizeTask(task) {
+  if (typeof task === 'string') return { description: task, constraints: {} };
+  if (!task || !task.description) {
+    throw new Error('Task needs a description');
+  }
+  return { ...task, constraints: task.constraints || {} };
+}
+
+/**
+ * Pull the first JSON object out of a reply: a ```json block, or the outermost braces
+ * @param {string} text
+ */
+function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)```/);
+  const candidates = [];
+  if (fenced) candidates.push(fenced[1]);
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (e) {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a raw plan and fill in defaults
+ * @param {object} raw - { subtasks: [{ id, role, description, dependsOn }] }
+ * @param {string[]} roles - Allowed roles
+ * @param {string} defaultRole - Role for subtasks with an unknown role
+ * @returns {Array} Subtasks in dependency order
+ */
+function validatePlan(raw, roles, defaultRole) {
+  const list = Array.isArray(raw) ? raw : raw?.subtasks;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('Plan has no subtasks');
+  }
+
+  const subtasks = list.map((item, index) => {
+    const role = String(item.role || '').toLowerCase();
+    return {
+      id: String(item.id || `s${index + 1}`),
+      role: roles.includes(role) ? role : defaultRole,
+      description: String(item.description || item.task || '').trim(),
+      dependsOn: Array.isArray(item.dependsOn) ? item.dependsOn.map(String) : []
+    };
+  }).filter(subtask => subtask.description);
+
+  const ids = new Set(subtasks.map(subtask => subtask.id));
+  if (ids.size !== subtasks.length) {
+    throw new Error('Plan has duplicate subtask IDs');
+  }
+  subtasks.forEach(subtask => {
+    subtask.dependsOn = subtask.dependsOn.filter(dep => ids.has(dep) && dep !== subtask.id);
+  });
+
+  // Topological order; anything left over is part of a cycle
+  const ordered = [];
+  const placed = new Set();
+  while (ordered.length < subtasks.length) {
+    const next = subtasks.filter(subtask =>
+      !placed.has(subtask.id) && subtask.dependsOn.every(dep => placed.has(dep)));
+    if (next.length === 0) {
+      const cyclic = subtasks.filter(subtask => !placed.has(subtask.id)).map(subtask => subtask.id);
+      throw new Error(`Plan has a dependency cycle between ${cyclic.join(', ')}`);
+    }
+    next.forEach(subtask => {
+      placed.add(subtask.id);
+      ordered.push(subtask);
+    });
+  }
+
+  return ordered;
+}
+
+class Planner {
+  /**
+   * @param {object} options - { hub, panel: 'planner', roles, defaultRole, timeoutMs: 120000 }
+   *   defaultRole takes subtasks without a known role: builder if it is a role, else the first role
+   */
+  constructor(options = {}) {
+    this.hub = options.hub;
+    this.panel = options.panel || 'planner';
+    this.roles = options.roles || DEFAULT_ROLES;
+    const names = Object.keys(this.roles);
+    this.defaultRole = options.defaultRole || (names.includes('builder') ? 'builder' : names[0]);
+    if (!names.includes(this.defaultRole)) {
+      throw new Error(names.length === 0
+        ? 'Planner needs at least one role'
+        : `Planner default role "${this.defaultRole}" is not one of its roles: ${names.join(', ')}`);
+    }
+    this.timeoutMs = options.timeoutMs || 120000;
+  }
+
+  /**
+   * Build the planning prompt
+   * @param {object} task - Normalized task
+   * @param {object} context - Extra context for the planner, e.g. from shared memory
+   */
+  buildPrompt(task, context = {}) {
+    const roles = Object.entries(this.roles)
+      .map(([role, description]) => `- ${role}: ${description}`)
+      .join('\n');
+    const constraints = Object.entries(task.constraints)
+      .map(([key, value]) => `- ${key}: ${JSON.stringify(value)}`)
+      .join('\n');
+    const extra = Object.keys(context).length > 0
+      ? `\nContext:\n${JSON.stringify(context, null, 2)}\n`
+      : '';
+
+    return [
+      'You are the planner for a team of coding agents working in this workspace.',
+      'Do not do the work yourself. Split the task below into subtasks for these roles:',
+      roles,
+      '',
+      'Reply with only a JSON object in a ```json block, in this shape:',
+      '{"subtasks": [{"id": "s1", "role": "scout", "description": "...", "dependsOn": []}]}',
+      '',
+      'Each description must make sense on its own. List in dependsOn the IDs of subtasks whose',
+      'results a subtask needs; subtasks without dependencies between them run in parallel.',
+      '',
+      `Task: ${task.description}`,
+      constraints ? `Constraints:\n${constraints}` : '',
+      extra
+    ].join('\n').trim();
+  }
+
+  /**
+   * Decompose a task into subtasks using the planning panel
+   * @param {string|object} task - Task description or { description, constraints }
+   * @param {object} context - Extra context for the planner
+   * @returns {Promise<{task, subtasks, response}>}
+   */
+  async decompose(task, context = {}) {
+    const normalized = normalizeTask(task);
+    const result = await this.hub.ask(this.panel, this.buildPrompt(normalized, context), {
+      timeoutMs: this.timeoutMs,
+      mode: 'paste'
+    });
+
+    if (result.status !== 'completed') {
+      throw new Error(`Planner did not answer (${result.status}${result.error ? `: ${result.error}` : ''})`);
+    }
+
+    // Without a JSON plan the whole task goes to one agent
+    const raw = extractJson(result.response) || {
+      subtasks: [{ id: 's1', role: this.defaultRole, description: normalized.description }]
+    };
+
+    return {
+      task: normalized,
+      subtasks: validatePlan(raw, Object.keys(this.roles), this.defaultRole),
+      response: result.response
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_ROLES,
+  Planner,
+  normalizeTask,
+  extractJson,
+  validatePlan
+};
@@ -0,0 +1,479 @@
+/**
+ * Task Queue
+ *
+ * Priority queue of tasks for Cascade panels. Tasks may depend on other
+ * tasks; a task is ready once all its dependencies completed, and fails
+ * when one of them fails. State is saved to a JSON file after every change
+ * so a crashed session can pick up where it stopped: loaded with resume,
+ * tasks left active by a process that is no longer running go back to the
+ * front of their priority. Before
+ * every change the file is re-read if another process wrote it since, so a
+ * REPL and cli.js can work on the same queue.
+ *
+ * Usage:
+ *   const queue = TaskQueue.load('.cascade/queue.json', { resume: true });
+ *   const scout = queue.enqueue('Map the settings page', { role: 'scout' });
+ *   queue.enqueue('Add dark mode', { role: 'builder', priority: 'high', dependsOn: [scout] });
+ *   await queue.drain(cascade.defaultController);
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic, readJsonFile } = require('./json-file');
+
+const PRIORITIES = { low: 0, normal: 1, high: 2, critical: 3 };
+
+const DEFAULT_QUEUE_FILE = path.join('.cascade', 'queue.json');
+
+const LISTS = ['pending', 'active', 'completed', 'failed'];
+
+/**
+ * Numeric value of a priority name; higher runs first
+ * @param {string} priority
+ */
+function priorityValue(priority) {
+  if (!(priority in PRIORITIES)) {
+    throw new Error(`Unknown priority "${priority}". Use one of: ${Object.keys(PRIORITIES).join(', ')}`);
+  }
+  return PRIORITIES[priority];
+}
+
+/**
+ * Read a queue file
+ * @param {string} file
+ * @returns {object} Lists by name
+ */
+function readQueueFile(file) {
+  const state = readJsonFile(file, 'queue');
+  return Object.fromEntries(LISTS.map(list => [list, Array.isArray(state?.[list]) ? state[list] : []]));
+}
+
+/**
+ * Modification time of a file, or null if it does not exist
+ */
+function modifiedAt(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether a process is running
+ * @param {number} pid
+ */
+function processAlive(pid) {
+  if (!Number.isInteger(pid)) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // EPERM: it runs, as another user
+    return e.code === 'EPERM';
+  }
+}
+
+function generateId() {
+  return `task-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+class TaskQueue extends EventEmitter {
+  /**
+   * @param {object} options - { file, autoSave: true }; without a file the queue lives in memory
+   */
+  constructor(options = {}) {
+    super();
+    this.file = options.file || null;
+    this.autoSave = options.autoSave !== false;
+    this.pending = [];    // Waiting to start, highest priority first
+    this.active = [];     // Currently running
+    this.completed = [];  // Done
+    this.failed = [];     // Errored or cancelled
+    this.modifiedAt = null;  // File time of the last load or save
+  }
+
+  /**
+   * Load a queue from its file, or start an empty one if the file does not exist.
+   * Only with resume are tasks left active by a crashed process requeued;
+   * loading to list or add tasks never touches running work.
+   * @param {string} file - Queue file
+   * @param {object} options - Constructor options, and resume: false
+   */
+  static load(file = DEFAULT_QUEUE_FILE, options = {}) {
+    const { resume = false, ...rest } = options;
+    const queue = new TaskQueue({ ...rest, file });
+    if (!fs.existsSync(file)) return queue;
+
+    Object.assign(queue, readQueueFile(file));
+    queue.modifiedAt = modifiedAt(file);
+    if (resume) queue.resume();
+
+    return queue;
+  }
+
+  /**
+   * Requeue active tasks whose process is no longer running, ahead of tasks
+   * of the same priority. Tasks another live process runs stay active.
+   * @returns {Array} The requeued tasks
+   */
+  resume() {
+    this.refresh();
+    const interrupted = this.active.filter(item => item.owner !== process.pid && !processAlive(item.owner));
+    if (interrupted.length === 0) return [];
+
+    this.active = this.active.filter(item => !interrupted.includes(item));
+    [...interrupted].reverse().forEach(item => {
+      item.status = 'pending';
+      item.interrupted = true;
+      item.assignedTo = null;
+      item.startedAt = null;
+      item.owner = null;
+      this.insertPending(item, true);
+    });
+    this.save();
+    return interrupted;
+  }
+
+  /**
+   * Re-read the file if another process changed it since this queue last
+   * loaded or saved it. Active tasks stay active: they may still be running.
+   * @returns {boolean} Whether the queue was reloaded
+   */
+  refresh() {
+    if (!this.file || !this.autoSave) return false;
+    const time = modifiedAt(this.file);
+    if (time === null || time === this.modifiedAt) return false;
+
+    Object.assign(this, readQueueFile(this.file));
+    this.modifiedAt = time;
+    return true;
+  }
+
+  /**
+   * Insert into pending by priority
+   * @param {object} item - Queue item
+   * @param {boolean} front - Go before tasks of the same priority instead of after
+   */
+  insertPending(item, front = false) {
+    const value = priorityValue(item.priority);
+    const idx = this.pending.findIndex(t =>
+      front ? priorityValue(t.priority) <= value : priorityValue(t.priority) < value
+    );
+    this.pending.splice(idx === -1 ? this.pending.length : idx, 0, item);
+  }
+
+  /**
+   * Add a task
+   * @param {string|object} task - Task description, or any JSON-serializable task
+   * @param {object|string} options - { priority: 'normal', dependsOn: [], role, panel, id }, or a priority
+   *   role or panel says where the task runs; panel takes any panel reference
+   * @returns {string} Task ID
+   */
+  enqueue(task, options = {}) {
+    if (typeof options === 'string') options = { priority: options };
+    const { priority = 'normal', dependsOn = [], role = null, panel = null } = options;
+    priorityValue(priority);
+    this.refresh();
+
+    const id = options.id || generateId();
+    if (this.get(id)) {
+      throw new Error(`Task ${id} already exists`);
+    }
+    // Dependencies must already exist, so the graph cannot have cycles
+    const missing = dependsOn.find(dep => !this.get(dep));
+    if (missing) {
+      throw new Error(`Unknown dependency ${missing}`);
+    }
+
+    const item = {
+      id,
+      task,
+      priority,
+      status: 'pending',
+      dependsOn: [...dependsOn],
+      role,
+      panel,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      assignedTo: null,
+      owner: null,
+      attempts: 0,
+      result: null,
+      error: null
+    };
+
+    // A task depending on a failed task can never run
+    const failedDep = dependsOn.find(dep => this.get(dep).status === 'failed' || this.get(dep).status === 'cancelled');
+    if (failedDep) {
+      this.finish(item, 'failed', { error: `Dependency ${failedDep} failed` });
+      return id;
+    }
+
+    this.insertPending(item);
+    this.changed('enqueued', item);
+    return id;
+  }
+
+  /**
+   * Find a task in any list
+   * @param {string} id - Task ID
+   */
+  get(id) {
+    for (const list of LISTS) {
+      const item = this[list].find(t => t.id === id);
+      if (item) return item;
+    }
+    return null;
+  }
+
+  /**
+   * All tasks, or those with one status
+   * @param {string} status - pending, active, completed, failed or cancelled
+   */
+  list(status) {
+    const all = LISTS.flatMap(list => this[list]);
+    return status ? all.filter(item => item.status === status) : all;
+  }
+
+  /**
+   * Pending tasks whose dependencies all completed, in priority order
+   * @param {object} filter - { role } to only return tasks for one role
+   */
+  ready(filter = {}) {
+    return this.pending.filter(item =>
+      item.dependsOn.every(dep => this.get(dep)?.status === 'completed') &&
+      (!filter.role || item.role === filter.role)
+    );
+  }
+
+  /**
+   * Next ready task, without starting it
+   * @param {object} filter - { role }
+   */
+  next(filter = {}) {
+    return this.ready(filter)[0] || null;
+  }
+
+  /**
+   * Mark a pending task as running on a panel
+   * @param {string} id - Task ID
+   * @param {string} panelId - Panel the task is assigned to
+   */
+  start(id, panelId = null) {
+    this.refresh();
+    const item = this.take('pending', id);
+    item.status = 'active';
+    item.assignedTo = panelId;
+    item.startedAt = Date.now();
+    item.owner = process.pid;
+    item.attempts++;
+    this.active.push(item);
+    this.changed('started', item);
+    return item;
+  }
+
+  /**
+   * Mark an active task as done
+   * @param {string} id - Task ID
+   * @param {*} result - Result to keep with the task
+   */
+  complete(id, result = null) {
+    this.refresh();
+    const item = this.take('active', id);
+    return this.finish(item, 'completed', { result });
+  }
+
+  /**
+   * Mark a pending or active task as failed; tasks depending on it fail too
+   * @param {string} id - Task ID
+   * @param {string} error - Error message
+   */
+  fail(id, error) {
+    this.refresh();
+    const item = this.takeOpen(id);
+    return this.finish(item, 'failed', { error: error || 'Failed' });
+  }
+
+  /**
+   * Cancel a pending or active task; tasks depending on it fail.
+   * Stopping a running panel is up to the caller.
+   * @param {string} id - Task ID
+   */
+  cancel(id) {
+    this.refresh();
+    const item = this.takeOpen(id);
+    return this.finish(item, 'cancelled', { error: 'Cancelled' });
+  }
+
+  /**
+   * Put a failed or cancelled task back into pending, with its failed dependents
+   * @param {string} id - Task ID
+   */
+  retry(id) {
+    this.refresh();
+    const item = this.take('failed', id);
+    Object.assign(item, { status: 'pending', error: null, finishedAt: null, assignedTo: null, owner: null });
+    this.insertPending(item);
+    this.changed('enqueued', item);
+
+    this.failed
+      .filter(t => t.dependsOn.includes(id) && t.error === `Dependency ${id} failed`)
+      .forEach(t => this.retry(t.id));
+    return item;
+  }
+
+  /**
+   * Remove finished tasks
+   * @param {object} options - { failed: false } to also clear failed tasks
+   */
+  clear(options = {}) {
+    this.refresh();
+    const removed = this.completed.length + (options.failed ? this.failed.length : 0);
+    this.completed = [];
+    if (options.failed) this.failed = [];
+    this.save();
+    return removed;
+  }
+
+  /**
+   * Counts per list
+   */
+  stats() {
+    return Object.fromEntries(LISTS.map(list => [list, this[list].length]));
+  }
+
+  /**
+   * Run ready tasks on their panels until nothing is left to start.
+   * Each task is sent with ask() to its panel, else its role's agent, else panel 0.
+   * With a pool, tasks of a pooled role without a panel go to the pool instead,
+   * which spawns panels while tasks wait for one.
+   * @param {object} hub - Connected CascadeController
+   * @param {object} options - { concurrency: 2, timeoutMs: 300000, mode: 'paste', pool }
+   * @returns {Promise<object>} stats() after the run
+   */
+  async drain(hub, options = {}) {
+    const { concurrency = 2, timeoutMs = 300000, mode = 'paste', pool = null } = options;
+    const running = new Map();
+
+    const run = async (item, panelId) => {
+      try {
+        const task = typeof item.task === 'string' ? item.task : JSON.stringify(item.task);
+        const reply = panelId === null
+          ? await pool.ask(item.role, task, { timeoutMs, mode })
+          : await hub.ask(panelId, task, { timeoutMs, mode });
+        // The queue may have been reloaded since the task started
+        this.refresh();
+        if (panelId === null && this.get(item.id)) this.get(item.id).assignedTo = reply.panelId;
+        if (reply.status === 'completed') {
+          this.complete(item.id, reply.response);
+        } else {
+          this.fail(item.id, reply.error || reply.status);
+        }
+      } catch (e) {
+        if (this.get(item.id)?.status === 'active') this.fail(item.id, e.message);
+      }
+    };
+
+    for (;;) {
+      // Take in tasks added from another process while this one runs
+      this.refresh();
+      for (const item of this.ready()) {
+        if (running.size >= concurrency) break;
+
+        // The pool picks the panel once one is free
+        if (pool && item.panel === null && pool.roles.has(item.role)) {
+          this.start(item.id, `${item.role} pool`);
+          running.set(item.id, run(item, null).then(() => running.delete(item.id)));
+          continue;
+        }
+
+        const target = await hub.resolvePanel(item.panel ?? item.role ?? 0);
+        if (!target) {
+          this.fail(item.id, `Panel ${item.panel ?? item.role ?? 0} not found`);
+          continue;
+        }
+        // One task per panel at a time
+        if (running.has(target.id)) continue;
+
+        this.start(item.id, target.id);
+        running.set(target.id, run(item, target.id).then(() => running.delete(target.id)));
+      }
+
+      if (running.size === 0) break;
+      await Promise.race(running.values());
+    }
+
+    return this.stats();
+  }
+
+  /**
+   * Remove a task from a list
+   */
+  take(list, id) {
+    const idx = this[list].findIndex(t => t.id === id);
+    if (idx === -1) {
+      const item = this.get(id);
+      throw new Error(item ? `Task ${id} is ${item.status}, not ${list}` : `Unknown task ${id}`);
+    }
+    return this[list].splice(idx, 1)[0];
+  }
+
+  /**
+   * Remove a pending or active task
+   */
+  takeOpen(id) {
+    return this.get(id)?.status === 'active' ? this.take('active', id) : this.take('pending', id);
+  }
+
+  /**
+   * Move a task to completed or failed and fail its open dependents
+   */
+  finish(item, status, fields) {
+    Object.assign(item, fields, { status, finishedAt: Date.now(), owner: null });
+    (status === 'completed' ? this.completed : this.failed).push(item);
+    this.changed(status, item);
+
+    if (status !== 'completed') {
+      this.pending
+        .filter(t => t.dependsOn.includes(item.id))
+        .forEach(t => {
+          // An earlier dependent may already have failed this one
+          if (t.status !== 'pending') return;
+          this.finish(this.take('pending', t.id), 'failed', { error: `Dependency ${item.id} failed` });
+        });
+    }
+    return item;
+  }
+
+  /**
+   * Save and announce a change
+   */
+  changed(event, item) {
+    if (this.autoSave) this.save();
+    this.emit(event, item);
+    this.emit('change', { event, task: item });
+  }
+
+  /**
+   * Write the queue file, if the queue has one
+   */
+  save() {
+    if (!this.file) return;
+    writeJsonAtomic(this.file, this.toJSON());
+    this.modifiedAt = modifiedAt(this.file);
+  }
+
+  toJSON() {
+    return Object.fromEntries(LISTS.map(list => [list, this[list]]));
+  }
+}
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_QUEUE_FILE,
+  TaskQueue,
+  priorityValue
+};
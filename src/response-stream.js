@@ -0,0 +1,237 @@
+/**
+ * Response Stream
+ *
+ * Pushes incremental Cascade output from the page to Node.js.
+ * An in-page MutationObserver watches a panel's scroll area and reports
+ * changes to the newest assistant turn over a CDP binding; the Node side
+ * exposes them as an EventEmitter and an async iterator.
+ *
+ * Events:
+ *   start - first new content appeared in the panel
+ *   delta - { text, replace } new content since the last delta
+ *   done  - { text } panel went quiet, text is the full response
+ *   error - Error with the partial response on `error.text`
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * Stream of incremental assistant output for one panel
+ */
+class ResponseStream extends EventEmitter {
+  constructor(id, panelId) {
+    super();
+    this.id = id;
+    this.panelId = panelId;
+    this.text = '';
+    this.closed = false;
+    this.error = null;
+    this._queue = [];
+    this._waiters = [];
+  }
+
+  /**
+   * Handle an event reported by the in-page observer
+   * @param {object} event - { type, text, replace, message }
+   */
+  _push(event) {
+    if (this.closed) return;
+
+    switch (event.type) {
+      case 'start':
+        this.emit('start', { panelId: this.panelId });
+        break;
+
+      case 'delta':
+        this.text = event.replace ? event.text : this.text + event.text;
+        this._enqueue({ text: event.text, replace: !!event.replace });
+        this.emit('delta', { text: event.text, replace: !!event.replace });
+        break;
+
+      case 'done':
+        this.text = event.text ?? this.text;
+        this.emit('done', { text: this.text });
+        this.close();
+        break;
+
+      case 'error': {
+        const error = new Error(event.message || 'Stream failed');
+        error.text = event.text ?? this.text;
+        this.error = error;
+        // EventEmitter throws on unhandled 'error'; iterator consumers get it instead
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', error);
+        }
+        this.close();
+        break;
+      }
+    }
+  }
+
+  _enqueue(chunk) {
+    const waiter = this._waiters.shift();
+    if (waiter) {
+      waiter.resolve({ value: chunk, done: false });
+    } else {
+      this._queue.push(chunk);
+    }
+  }
+
+  /**
+   * Stop observing and release the stream
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    for (const waiter of this._waiters.splice(0)) {
+      if (this.error) {
+        waiter.reject(this.error);
+      } else {
+        waiter.resolve({ value: undefined, done: true });
+      }
+    }
+
+    this.emit('close');
+  }
+
+  /**
+   * Resolve with the full response once the stream is done
+   * @returns {Promise<string>}
+   */
+  finished() {
+    if (this.closed) {
+      return this.error ? Promise.reject(this.error) : Promise.resolve(this.text);
+    }
+    return new Promise((resolve, reject) => {
+      this.once('close', () => {
+        if (this.error) reject(this.error);
+        else resolve(this.text);
+      });
+    });
+  }
+
+  /**
+   * Iterate over { text, replace } deltas until the response is done
+   */
+  [Symbol.asyncIterator]() {
+    return {
+      next: () => {
+        if (this._queue.length > 0) {
+          return Promise.resolve({ value: this._queue.shift(), done: false });
+        }
+        if (this.closed) {
+          return this.error
+            ? Promise.reject(this.error)
+            : Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => {
+          this._waiters.push({ resolve, reject });
+        });
+      },
+      return: () => {
+        this.close();
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+  }
+}
+
+/**
+ * Install a response observer on a panel (runs in browser context)
+ * Turns present when it starts are the baseline; the response is the
+ * newest assistant turn after them, so the user's own message never streams.
+ * @param {object} options - { streamId, panelId, bindingName, idleMs, timeoutMs, parserSource }
+ *   parserSource is the source of conversation-parser's parseConversation()
+ */
+function observeResponse({ streamId, panelId, bindingName, idleMs, timeoutMs, parserSource }) {
+  const emit = (type, data = {}) => {
+    window[bindingName](JSON.stringify({ streamId, type, ...data }));
+  };
+
+  const panel = document.querySelector(`.chat-client-root[data-cascade-panel-id="${panelId}"]`);
+  const scrollArea = panel?.querySelector('.cascade-scrollbar');
+  if (!scrollArea) {
+    emit('error', { message: `Panel ${panelId} not found` });
+    return { observing: false };
+  }
+
+  // Same parser getResponse() uses in Node, compiled from its source
+  const parseConversation = new Function(`return (${parserSource})`)();
+
+  const registry = window.__cascadeStreams || (window.__cascadeStreams = {});
+  const baseline = parseConversation(scrollArea).length;
+  let emitted = '';
+  let started = false;
+  let idleTimer = null;
+  let timeoutTimer = null;
+  let pending = null;
+
+  const check = () => {
+    pending = null;
+    const replies = parseConversation(scrollArea)
+      .filter(turn => turn.role === 'assistant' && turn.index >= baseline);
+    const fresh = replies.length > 0 ? replies[replies.length - 1].text : '';
+    if (fresh === emitted) return;
+
+    if (!started) {
+      started = true;
+      emit('start');
+    }
+
+    // Cascade re-renders markdown blocks in place, so the new text is not
+    // always an extension of what we already sent
+    if (fresh.startsWith(emitted)) {
+      emit('delta', { text: fresh.slice(emitted.length) });
+    } else {
+      emit('delta', { text: fresh, replace: true });
+    }
+    emitted = fresh;
+
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      stop();
+      emit('done', { text: emitted });
+    }, idleMs);
+  };
+
+  // Parsing the whole conversation on every mutation is too slow while
+  // tokens arrive: check at most every 100ms
+  const observer = new MutationObserver(() => {
+    if (!pending) pending = setTimeout(check, 100);
+  });
+
+  const stop = () => {
+    observer.disconnect();
+    clearTimeout(pending);
+    clearTimeout(idleTimer);
+    clearTimeout(timeoutTimer);
+    delete registry[streamId];
+  };
+
+  observer.observe(scrollArea, { childList: true, subtree: true, characterData: true });
+
+  timeoutTimer = setTimeout(() => {
+    stop();
+    emit('error', { message: `No completed response within ${timeoutMs}ms`, text: emitted });
+  }, timeoutMs);
+
+  registry[streamId] = { stop };
+  return { observing: true };
+}
+
+/**
+ * Remove a response observer (runs in browser context)
+ * @param {string} streamId
+ */
+function stopObserving(streamId) {
+  const entry = window.__cascadeStreams?.[streamId];
+  if (entry) entry.stop();
+  return { stopped: !!entry };
+}
+
+module.exports = {
+  ResponseStream,
+  observeResponse,
+  stopObserving
+};
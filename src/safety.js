@@ -0,0 +1,398 @@
+/**
+ * Safety Layer
+ *
+ * Screens outgoing prompts and the actions Cascade proposes (commands, file
+ * edits, deletes, package installs) against a policy:
+ *
+ * - Sandbox: files must be inside allowedPaths and outside blockedPaths
+ * - Approval gates: categories in requireApproval go to a person
+ * - Resource limits: prompt length, size of edited files
+ *
+ * An action that breaks the sandbox or a limit is blocked. A prompt that
+ * mentions a path outside the sandbox is only gated: the prompt itself
+ * changes nothing, and the actions it leads to are screened again.
+ *
+ * Approval goes through the approver callback (terminal, Agent Hub); no
+ * answer within approvalTimeoutMs blocks the operation.
+ *
+ * Usage:
+ *   const safety = new SafetyLayer({ blockedPaths: ['node_modules', '.git', '.env'] });
+ *   safety.approver = async (request) => confirm(request.reason);
+ *   cascade.defaultController.setSafety(safety);
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { matchesPath, splitCommand } = require('./approvals');
+
+const CATEGORIES = ['command', 'edit', 'delete', 'install', 'external'];
+
+// Checked against each part of a command and against commands quoted in prompts
+const CATEGORY_PATTERNS = {
+  delete: /(?:^|[\s(])(?:rm|rmdir|unlink|shred|del|rd)\s|\bgit\s+(?:rm|clean)\b|\bgit\s+reset\s+--hard\b|\s-delete\b/,
+  install: /\b(?:npm|pnpm|yarn|bun)\s+(?:i|install|add)\b|\bnpx\s|\bpip3?\s+install\b|\b(?:apt|apt-get|brew|dnf|yum)\s+install\b|\bcargo\s+(?:add|install)\b|\bgo\s+(?:get|install)\b|\bgem\s+install\b/,
+  external: /\b(?:curl|wget|ssh|scp|rsync|ftp|telnet|nc)\s|\bgit\s+(?:push|pull|fetch|clone)\b|\b(?:npm|pnpm|yarn)\s+publish\b|\bhttps?:\/\//
+};
+
+// Device files commands may redirect to
+const DEVICE_PATHS = ['/dev/null', '/dev/stdout', '/dev/stderr'];
+
+class SafetyError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} verdict - check() result
+   */
+  constructor(message, verdict = null) {
+    super(message);
+    this.name = 'SafetyError';
+    this.verdict = verdict;
+  }
+}
+
+/**
+ * Size in bytes from a number or "512KB" / "1MB" / "2GB"
+ * @param {number|string} size
+ */
+function parseSize(size) {
+  if (typeof size === 'number') return size;
+  const match = String(size).trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/i);
+  if (!match) {
+    throw new Error(`Invalid size "${size}". Use bytes or a value like 512KB, 1MB`);
+  }
+  const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3 };
+  return Math.round(parseFloat(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+}
+
+/**
+ * Words of a command or prompt that may name a file: everything but flags and URLs
+ * @param {string} text
+ */
+function fileTokens(text) {
+  return text.split(/\s+/)
+    .map(token => token.replace(/^\d*[<>]+&?/, '').replace(/^[`'"(]+|[`'"),;:]+$/g, ''))
+    .filter(token => token && !token.startsWith('-') && !/^\w+:\/\//.test(token));
+}
+
+/**
+ * Arguments of a command that look like paths
+ * @param {string} command
+ */
+function commandPaths(command) {
+  return fileTokens(command)
+    .filter(token => /^[~/]|^\.\.?(?:\/|$)/.test(token) || /^[\w@.-]+\/[\w@./-]*$/.test(token));
+}
+
+/**
+ * Paths mentioned in prompt text: absolute, home-relative, parent-relative or dir/file
+ * @param {string} text
+ */
+function promptPaths(text) {
+  const pattern = /(?:^|[\s`'"(])(~?\/[^\s`'"),]+|\.\.\/[^\s`'"),]+|[\w@.-]+(?:\/[\w@.-]+)+)/g;
+  return [...text.matchAll(pattern)].map(match => match[1].replace(/[.:;]+$/, ''));
+}
+
+/**
+ * Commands quoted in prompt text: inline code, code blocks and "$ " lines
+ * @param {string} text
+ */
+function promptCommands(text) {
+  const commands = [];
+  for (const match of text.matchAll(/```[\w-]*\n([\s\S]*?)```/g)) {
+    commands.push(...match[1].split('\n').map(line => line.replace(/^\s*\$\s*/, '').trim()).filter(Boolean));
+  }
+  const rest = text.replace(/```[\s\S]*?```/g, '');
+  for (const match of rest.matchAll(/`([^`\n]+)`/g)) commands.push(match[1].trim());
+  for (const match of rest.matchAll(/^\s*\$\s+(.+)$/gm)) commands.push(match[1].trim());
+  return commands;
+}
+
+class SafetyLayer extends EventEmitter {
+  /**
+   * @param {object} config - { root, allowedPaths: ['.'], blockedPaths: ['node_modules', '.git', '.env'],
+   *   requireApproval: ['delete', 'external', 'install'], maxFileSize: '1MB', maxPromptChars: 100000,
+   *   approvalTimeoutMs: 60000, approver }
+   *   root is the workspace directory relative paths resolve against (default: cwd)
+   */
+  constructor(config = {}) {
+    super();
+    this.root = path.resolve(config.root || process.cwd());
+    this.allowedPaths = config.allowedPaths || ['.'];
+    this.blockedPaths = config.blockedPaths || ['node_modules', '.git', '.env'];
+    this.requireApproval = config.requireApproval || ['delete', 'external', 'install'];
+    this.maxFileSize = parseSize(config.maxFileSize ?? '1MB');
+    this.maxPromptChars = config.maxPromptChars || 100000;
+    this.approvalTimeoutMs = config.approvalTimeoutMs || 60000;
+    // (request) => boolean | Promise<boolean>; without one, gated operations are blocked
+    this.approver = config.approver || null;
+    this.log = [];
+    this.requestCounter = 0;
+
+    const unknown = this.requireApproval.find(category => !CATEGORIES.includes(category));
+    if (unknown) {
+      throw new Error(`Unknown approval category "${unknown}". Use: ${CATEGORIES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Why a path breaks the sandbox, or null if it is allowed
+   * @param {string} file - Absolute, ~/ or workspace-relative path
+   */
+  pathViolation(file) {
+    if (DEVICE_PATHS.includes(file)) return null;
+
+    const expanded = file.startsWith('~') ? path.join(os.homedir(), file.slice(1)) : file;
+    const absolute = path.resolve(this.root, expanded);
+    const inside = this.allowedPaths.some(allowed => {
+      const base = path.resolve(this.root, allowed);
+      return absolute === base || absolute.startsWith(base + path.sep);
+    });
+    if (!inside) return `${file} is outside the allowed paths`;
+
+    return this.blockedViolation(file);
+  }
+
+  /**
+   * Why a path or bare name is in blockedPaths, or null. Unlike pathViolation()
+   * it skips allowedPaths, so any word can be checked: `cat .env` names no
+   * directory, yet reads a blocked file.
+   * @param {string} file - Path or name, workspace-relative
+   */
+  blockedViolation(file) {
+    if (DEVICE_PATHS.includes(file)) return null;
+
+    const expanded = file.startsWith('~') ? path.join(os.homedir(), file.slice(1)) : file;
+    const relative = path.relative(this.root, path.resolve(this.root, expanded)).replace(/\\/g, '/');
+    const segments = relative.split('/');
+    // Plain names match any path segment; globs and paths match from the root
+    const blocked = this.blockedPaths.find(pattern => (/[*?]/.test(pattern) || pattern.includes('/'))
+      ? matchesPath(relative, pattern) || relative.startsWith(`${pattern.replace(/\/$/, '')}/`)
+      : segments.includes(pattern));
+    if (blocked) return `${file} is in blocked path ${blocked}`;
+
+    return null;
+  }
+
+  /**
+   * Whether a path is inside the sandbox
+   * @param {string} file
+   */
+  isPathAllowed(file) {
+    return this.pathViolation(file) === null;
+  }
+
+  /**
+   * Categories of an operation
+   * @param {object} operation - { type: 'prompt' | 'command' | 'edit' | 'tool', command, files, title, text }
+   * @returns {string[]}
+   */
+  categorize(operation) {
+    const categories = new Set();
+    const commands = operation.type === 'prompt'
+      ? promptCommands(operation.text || '')
+      : (operation.command ? [operation.command] : []);
+
+    if (operation.type === 'command') categories.add('command');
+    if (operation.type === 'edit') categories.add('edit');
+    if (operation.type === 'edit' && /\b(?:delet|remov)/i.test(operation.title || '')) categories.add('delete');
+
+    commands.forEach(command => {
+      const parts = splitCommand(command);
+      Object.entries(CATEGORY_PATTERNS).forEach(([category, pattern]) => {
+        if (parts.some(part => pattern.test(part))) categories.add(category);
+      });
+    });
+
+    return [...categories];
+  }
+
+  /**
+   * Screen an operation without asking anyone
+   * @param {object} operation - See categorize()
+   * @returns {{categories, violations, gated}} violations block actions; gated categories need approval
+   */
+  inspect(operation) {
+    const categories = this.categorize(operation);
+    const violations = [];
+
+    if (operation.type === 'prompt') {
+      if ((operation.text || '').length > this.maxPromptChars) {
+        violations.push(`prompt is ${operation.text.length} characters, the limit is ${this.maxPromptChars}`);
+      }
+    } else {
+      const files = [...(operation.files || []), ...(operation.command ? commandPaths(operation.command) : [])];
+      files.forEach(file => {
+        const violation = this.pathViolation(file);
+        if (violation) violations.push(violation);
+      });
+      // Bare names such as .env or node_modules are not shaped like paths
+      fileTokens(operation.command || '')
+        .filter(token => !files.includes(token))
+        .forEach(token => {
+          const violation = this.blockedViolation(token);
+          if (violation) violations.push(violation);
+        });
+
+      if (operation.type === 'edit') {
+        (operation.files || []).forEach(file => {
+          const absolute = path.resolve(this.root, file);
+          const size = fs.existsSync(absolute) ? fs.statSync(absolute).size : 0;
+          if (size > this.maxFileSize) {
+            violations.push(`${file} is ${size} bytes, the limit is ${this.maxFileSize}`);
+          }
+        });
+      }
+    }
+
+    const gated = categories.filter(category => this.requireApproval.includes(category));
+    // Paths a prompt points outside the sandbox need a person to look at it
+    if (operation.type === 'prompt') {
+      const files = promptPaths(operation.text || '');
+      files.forEach(file => {
+        const violation = this.pathViolation(file);
+        if (violation) gated.push(violation);
+      });
+      // Prose ends words with a full stop
+      fileTokens(operation.text || '')
+        .map(token => token.replace(/\.+$/, ''))
+        .filter(token => token && !files.includes(token))
+        .forEach(token => {
+          const violation = this.blockedViolation(token);
+          if (violation) gated.push(violation);
+        });
+    }
+
+    return { categories, violations, gated };
+  }
+
+  /**
+   * Screen an operation and ask for approval when it is gated
+   * @param {object} operation - See categorize(); may carry panelId and label
+   * @returns {Promise<object>} { allowed, decision: 'allow' | 'block' | 'approved' | 'denied' | 'timeout', reason, categories }
+   */
+  async check(operation) {
+    const { categories, violations, gated } = this.inspect(operation);
+    let verdict;
+
+    if (violations.length > 0) {
+      verdict = { allowed: false, decision: 'block', reason: violations.join('; ') };
+    } else if (gated.length > 0) {
+      const reason = `needs approval: ${[...new Set(gated)].join(', ')}`;
+      const answer = await this.requestApproval(operation, reason, categories);
+      verdict = { allowed: answer.approved, decision: answer.decision, reason: answer.reason || reason };
+    } else {
+      verdict = { allowed: true, decision: 'allow', reason: null };
+    }
+
+    verdict.categories = categories;
+    const entry = {
+      at: new Date().toISOString(),
+      type: operation.type,
+      panelId: operation.panelId || null,
+      label: operation.label || null,
+      command: operation.command || null,
+      files: operation.files || [],
+      ...verdict
+    };
+    this.log.push(entry);
+    if (this.log.length > 1000) this.log.shift();
+    this.emit('check', entry);
+    return verdict;
+  }
+
+  /**
+   * check(), throwing a SafetyError when the operation is not allowed
+   * @param {object} operation - See categorize()
+   */
+  async checkOperation(operation) {
+    const verdict = await this.check(operation);
+    if (!verdict.allowed) {
+      throw new SafetyError(`Operation not allowed: ${verdict.reason}`, verdict);
+    }
+    return true;
+  }
+
+  /**
+   * Ask the approver, blocking when it does not answer in time.
+   * The approver gets { id, operation, reason, categories, timeoutMs, signal };
+   * signal aborts when the request times out, so it can close its prompt.
+   * @param {object} operation - Gated operation
+   * @param {string} reason - Why it needs approval
+   * @param {string[]} categories - Its categories
+   * @returns {Promise<{approved, decision, reason}>}
+   */
+  async requestApproval(operation, reason, categories = []) {
+    if (!this.approver) {
+      return { approved: false, decision: 'denied', reason: `${reason} (no approver configured)` };
+    }
+
+    const controller = new AbortController();
+    const request = {
+      id: `safety-${++this.requestCounter}`,
+      operation,
+      reason,
+      categories,
+      timeoutMs: this.approvalTimeoutMs,
+      signal: controller.signal
+    };
+    this.emit('approval-request', request);
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), this.approvalTimeoutMs);
+    });
+    const answer = await Promise.race([
+      Promise.resolve().then(() => this.approver(request)).catch(() => false),
+      timeout
+    ]);
+    clearTimeout(timer);
+    controller.abort();
+
+    if (answer === null || answer === undefined) {
+      return { approved: false, decision: 'timeout', reason: `${reason} (no approval within ${this.approvalTimeoutMs}ms)` };
+    }
+    return answer === true
+      ? { approved: true, decision: 'approved', reason }
+      : { approved: false, decision: 'denied', reason: `${reason} (denied)` };
+  }
+
+  /**
+   * Operation for an approval card from readApprovalCards()
+   * @param {object} approval - { kind, title, command, files, panelId, label }
+   */
+  static fromApproval(approval) {
+    return {
+      type: approval.kind,
+      title: approval.title,
+      command: approval.command,
+      files: approval.files || [],
+      panelId: approval.panelId,
+      label: approval.label
+    };
+  }
+
+  /**
+   * One-line description of an operation, for prompts and logs
+   * @param {object} operation
+   */
+  static describe(operation) {
+    const where = operation.label || operation.panelId;
+    const prefix = where ? `[${where}] ` : '';
+    if (operation.type === 'command') return `${prefix}run: ${operation.command}`;
+    if (operation.type === 'edit') return `${prefix}edit: ${(operation.files || []).join(', ') || operation.title}`;
+    if (operation.type === 'prompt') return `${prefix}prompt: ${(operation.text || '').split('\n')[0].slice(0, 120)}`;
+    return `${prefix}${operation.title || operation.type}`;
+  }
+}
+
+module.exports = {
+  CATEGORIES,
+  SafetyError,
+  SafetyLayer,
+  parseSize,
+  fileTokens,
+  commandPaths,
+  promptPaths,
+  promptCommands
+};
@@ -0,0 +1,37 @@
+/**
+ * Scheduler
+ *
+ * Assigns planned subtasks to the panels bound to their role. Each subtask
+ * goes to the panel of its role with the fewest assignments so far, so
+ * independent subtasks of one role spread over that role's panels.
+ */
+
+class Scheduler {
+  /**
+   * Assign subtasks to agent panels
+   * @param {Array} subtasks - Validated subtasks from Planner.decompose()
+   * @param {Map<string, string[]>} agents - Role → panel IDs
+   * @returns {Array<{subtask, role, panelId}>} One assignment per subtask, in plan order
+   */
+  assign(subtasks, agents) {
+    const load = new Map();
+
+    return subtasks.map(subtask => {
+      const panels = agents.get(subtask.role) || [];
+      if (panels.length === 0) {
+        throw new Error(`No agent panel for role "${subtask.role}"`);
+      }
+
+      // Least loaded first; ties go to the earlier panel
+      const panelId = panels.reduce((best, id) =>
+        (load.get(id) || 0) < (load.get(best) || 0) ? id : best);
+      load.set(panelId, (load.get(panelId) || 0) + 1);
+
+      return { subtask, role: subtask.role, panelId };
+    });
+  }
+}
+
+module.exports = {
+  Scheduler
+};
@@ -0,0 +1,127 @@
+/**
+ * Synthesizer
+ *
+ * Merges the results of a run into one report. With a panel it asks Cascade
+ * to write the summary; the markdown report built here is the fallback and
+ * is always returned alongside.
+ */
+
+// Longest agent reply passed on to another prompt
+const MAX_RESULT_CHARS = 4000;
+
+/**
+ * Shorten a reply for use in another prompt
+ * @param {string} text
+ * @param {number} max - Maximum length
+ */
+function truncate(text, max = MAX_RESULT_CHARS) {
+  if (!text || text.length <= max) return text || '';
+  return `${text.slice(0, max)}\n[... ${text.length - max} more characters]`;
+}
+
+/**
+ * Build a markdown report of a run without Cascade
+ * @param {object} task - Normalized task { description }
+ * @param {Array} results - Subtask results from Orchestrator.runAgents()
+ */
+function formatReport(task, results) {
+  const counts = {};
+  results.forEach(result => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+  });
+
+  const lines = [
+    `# ${task.description}`,
+    '',
+    Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', '),
+    ''
+  ];
+
+  results.forEach(result => {
+    lines.push(`## ${result.id} [${result.role}] ${result.status}`);
+    lines.push('');
+    lines.push(result.description);
+    lines.push('');
+    if (result.response) {
+      lines.push(result.response);
+      lines.push('');
+    }
+    if (result.error) {
+      lines.push(`Error: ${result.error}`);
+      lines.push('');
+    }
+  });
+
+  return lines.join('\n').trim() + '\n';
+}
+
+class Synthesizer {
+  /**
+   * @param {object} options - { hub, panel, timeoutMs: 120000 }; without a panel only formatReport() is used
+   */
+  constructor(options = {}) {
+    this.hub = options.hub;
+    this.panel = options.panel || null;
+    this.timeoutMs = options.timeoutMs || 120000;
+  }
+
+  /**
+   * Build the prompt asking Cascade to merge the results
+   * @param {object} task - Normalized task
+   * @param {Array} results - Subtask results
+   */
+  buildPrompt(task, results) {
+    const sections = results.map(result => [
+      `### ${result.id} (${result.role}, ${result.status})`,
+      result.description,
+      '',
+      truncate(result.response) || (result.error ? `Error: ${result.error}` : '(no reply)')
+    ].join('\n'));
+
+    return [
+      'Your team of agents has finished working on this task:',
+      task.description,
+      '',
+      'Their results:',
+      '',
+      sections.join('\n\n'),
+      '',
+      'Write the final report for the user: what was done, which files changed, where the',
+      'agents disagreed and how that is resolved, and anything that failed or is left to do.',
+      'Do not make further changes.'
+    ].join('\n');
+  }
+
+  /**
+   * Merge the results of a run
+   * @param {object} task - Normalized task
+   * @param {Array} results - Subtask results
+   * @returns {Promise<{summary, report, error}>} summary is Cascade's report, or null
+   */
+  async merge(task, results) {
+    const report = formatReport(task, results);
+    if (!this.panel || !this.hub) {
+      return { summary: null, report };
+    }
+
+    try {
+      const reply = await this.hub.ask(this.panel, this.buildPrompt(task, results), {
+        timeoutMs: this.timeoutMs,
+        mode: 'paste'
+      });
+      if (reply.status === 'completed' && reply.response) {
+        return { summary: reply.response, report };
+      }
+      return { summary: null, report, error: reply.error || `Synthesis ${reply.status}` };
+    } catch (e) {
+      return { summary: null, report, error: e.message };
+    }
+  }
+}
+
+module.exports = {
+  MAX_RESULT_CHARS,
+  Synthesizer,
+  formatReport,
+  truncate
+};
@@ -0,0 +1,500 @@
+/**
+ * Workflows
+ *
+ * Declarative multi-agent pipelines. A workflow file (YAML or JSON) lists
+ * steps; each names the role or panel it runs on, a prompt template, the
+ * conditions its reply must meet and how often to retry it. A step runs once
+ * the steps it depends on completed, by default the step before it, so a
+ * plain list is a pipeline and dependsOn: [] starts a parallel branch.
+ *
+ * Templates use {{name}} for workflow variables and {{steps.<id>.output}}
+ * for the replies of earlier steps.
+ *
+ * Usage:
+ *   const workflow = loadWorkflow('workflows/dark-mode.yml');
+ *   const runner = new WorkflowRunner({ hub: cascade.defaultController, variables: { page: 'settings' } });
+ *   runner.on('progress', (e) => console.log(`[${e.step}] ${e.status}: ${e.message}`));
+ *   const report = await runner.run(workflow);
+ *   writeReport(report, '.cascade/runs/dark-mode.json');
+ *
+ * Example workflow:
+ *   name: dark-mode
+ *   variables:
+ *     feature: a dark mode toggle on the settings page
+ *   steps:
+ *     - id: scout
+ *       role: scout
+ *       prompt: Find the components and theme code involved in {{feature}}.
+ *     - id: build
+ *       role: builder
+ *       prompt: |
+ *         Implement {{feature}}. What the scout found:
+ *         {{steps.scout.output}}
+ *       retries: 1
+ *     - id: test
+ *       role: tester
+ *       prompt: Test {{feature}}. Reply PASS or FAIL on the last line.
+ *       success:
+ *         contains: PASS
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { KeyedQueue } = require('./input-lock');
+const { workflowOptions } = require('./config');
+
+const DEFAULT_RUNS_DIR = path.join('.cascade', 'runs');
+const TEMPLATE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Parse workflow source
+ * @param {string} source - File contents
+ * @param {string} format - 'yaml' or 'json'; YAML also reads JSON
+ * @returns {object} Raw definition
+ */
+function parseWorkflow(source, format = 'yaml') {
+  return format === 'json' ? JSON.parse(source) : YAML.parse(source);
+}
+
+/**
+ * Read, parse and validate a workflow file
+ * @param {string} file - .yml, .yaml or .json file
+ * @returns {object} Normalized workflow, see normalizeWorkflow()
+ */
+function loadWorkflow(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  let definition;
+  try {
+    definition = parseWorkflow(source, path.extname(file).toLowerCase() === '.json' ? 'json' : 'yaml');
+  } catch (error) {
+    throw new Error(`${file}: ${error.message.split('\n')[0]}`);
+  }
+  return normalizeWorkflow(definition, { file, name: path.basename(file, path.extname(file)) });
+}
+
+/**
+ * Step IDs a template refers to through {{steps.<id>...}}
+ * @param {string} template
+ */
+function stepReferences(template) {
+  return [...template.matchAll(TEMPLATE_PATTERN)]
+    .map(match => match[1].split('.'))
+    .filter(parts => parts[0] === 'steps' && parts[1])
+    .map(parts => parts[1]);
+}
+
+/**
+ * Turn a string or list option into a list
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+/**
+ * Whether a value is a whole number above 0
+ */
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Validate a workflow definition and fill in defaults
+ * @param {object} definition - { name, description, variables, defaults, steps }
+ *   Each step is { id, role | panel, prompt, dependsOn, success, retries, timeoutMs }.
+ *   defaults holds retries (0) and timeoutMs for steps without their own; without
+ *   either, timeoutMs is null and the runner's timeout applies.
+ * @param {object} options - { file, name } name is used when the definition has none
+ * @returns {object} { name, description, file, variables, steps }
+ */
+function normalizeWorkflow(definition, options = {}) {
+  const where = options.file || 'workflow';
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`${where}: expected an object with a steps list`);
+  }
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new Error(`${where}: steps must be a non-empty list`);
+  }
+
+  const defaults = { retries: 0, timeoutMs: null, ...definition.defaults };
+  if (defaults.timeoutMs !== null && !isPositiveInteger(defaults.timeoutMs)) {
+    throw new Error(`${where}: defaults.timeoutMs must be a positive whole number of milliseconds`);
+  }
+  const seen = new Set();
+
+  const steps = definition.steps.map((raw, index) => {
+    const id = String(raw?.id ?? `step-${index + 1}`);
+    const at = `${where}: step ${id}`;
+    if (!raw || typeof raw !== 'object') throw new Error(`${where}: step ${index + 1} must be an object`);
+    if (seen.has(id)) throw new Error(`${at}: duplicate step ID`);
+    if (!raw.role && raw.panel === undefined) throw new Error(`${at}: needs a role or a panel`);
+    if (typeof raw.prompt !== 'string' || !raw.prompt.trim()) throw new Error(`${at}: needs a prompt`);
+
+    // By default each step follows the one before it
+    const explicit = raw.dependsOn === undefined
+      ? (index > 0 ? [String(definition.steps[index - 1]?.id ?? `step-${index}`)] : [])
+      : toList(raw.dependsOn);
+    const dependsOn = [...new Set([...explicit, ...stepReferences(raw.prompt)])];
+    dependsOn.forEach(dep => {
+      if (!seen.has(dep)) throw new Error(`${at}: depends on "${dep}", which is not an earlier step`);
+    });
+
+    const success = raw.success || {};
+    const matches = toList(success.matches);
+    matches.forEach(pattern => {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`${at}: invalid success.matches pattern: ${error.message}`);
+      }
+    });
+
+    const retries = raw.retries ?? defaults.retries;
+    if (!Number.isInteger(retries) || retries < 0) throw new Error(`${at}: retries must be a whole number`);
+    const timeoutMs = raw.timeoutMs ?? defaults.timeoutMs;
+    if (timeoutMs !== null && !isPositiveInteger(timeoutMs)) {
+      throw new Error(`${at}: timeoutMs must be a positive whole number of milliseconds`);
+    }
+
+    seen.add(id);
+    return {
+      id,
+      role: raw.role ? String(raw.role) : null,
+      panel: raw.panel ?? null,
+      prompt: raw.prompt,
+      dependsOn,
+      success: {
+        contains: toList(success.contains),
+        notContains: toList(success.notContains),
+        matches
+      },
+      retries,
+      timeoutMs
+    };
+  });
+
+  return {
+    name: String(definition.name || options.name || 'workflow'),
+    description: definition.description || null,
+    file: options.file || null,
+    variables: definition.variables || {},
+    steps
+  };
+}
+
+/**
+ * Look up a dotted expression ("steps.scout.output") in a scope
+ * @param {object} scope
+ * @param {string} expression
+ */
+function lookup(scope, expression) {
+  return expression.split('.').reduce((current, key) => current?.[key], scope);
+}
+
+/**
+ * Variables the workflow's templates use that are not defined. References
+ * to steps and to the workflow itself are filled in while it runs.
+ * @param {object} workflow - Normalized workflow
+ * @param {object} variables - Variables the run has
+ * @returns {string[]}
+ */
+function missingVariables(workflow, variables) {
+  const used = workflow.steps.flatMap(step => [...step.prompt.matchAll(TEMPLATE_PATTERN)].map(match => match[1]));
+  return [...new Set(used)].filter(expression => !/^(steps|workflow)\./.test(expression) &&
+    (lookup(variables, expression) === undefined || lookup(variables, expression) === null));
+}
+
+/**
+ * Fill a template's {{placeholders}} from a scope
+ * @param {string} template - Prompt template
+ * @param {object} scope - { ...variables, steps: { <id>: { output, status, panelId } } }
+ * @returns {string}
+ */
+function renderTemplate(template, scope) {
+  return template.replace(TEMPLATE_PATTERN, (match, expression) => {
+    const value = lookup(scope, expression);
+    if (value === undefined || value === null) {
+      throw new Error(`Unknown variable "${expression}"`);
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  });
+}
+
+/**
+ * Success conditions a reply does not meet
+ * @param {object} reply - From getResponse()
+ * @param {object} success - { contains, notContains, matches }
+ * @returns {string[]} Descriptions of the failed conditions; empty when the reply passes
+ */
+function checkSuccess(reply, success) {
+  if (reply.status !== 'completed') {
+    return [`reply ${reply.status}${reply.error ? `: ${reply.error}` : ''}`];
+  }
+  const text = reply.response || '';
+  return [
+    ...success.contains.filter(value => !text.includes(value)).map(value => `contains "${value}"`),
+    ...success.notContains.filter(value => text.includes(value)).map(value => `does not contain "${value}"`),
+    ...success.matches.filter(pattern => !new RegExp(pattern).test(text)).map(pattern => `matches /${pattern}/`)
+  ];
+}
+
+/**
+ * Write a run report as JSON
+ * @param {object} report - From WorkflowRunner.run()
+ * @param {string} file - Report file; defaults to .cascade/runs/<name>-<runId>.json
+ * @returns {string} The file written
+ */
+function writeReport(report, file = path.join(DEFAULT_RUNS_DIR, `${report.workflow}-${report.runId}.json`)) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(report, null, 2));
+  return file;
+}
+
+class WorkflowRunner extends EventEmitter {
+  /**
+   * @param {object} options - { config, hub, variables, mode: 'paste', timeoutMs: 300000 }
+   *   hub is a connected CascadeController; variables override the workflow's own.
+   *   config is a configuration from loadConfig(): timeoutMs from timeouts.task,
+   *   mode from orchestrator.inputMode. timeoutMs applies to steps without their own.
+   */
+  constructor(options = {}) {
+    super();
+    if (options.config) {
+      options = workflowOptions(options.config, options);
+    }
+    if (!options.hub) {
+      throw new Error('WorkflowRunner needs a hub: new WorkflowRunner({ hub })');
+    }
+    this.hub = options.hub;
+    this.variables = options.variables || {};
+    this.mode = options.mode || 'paste';
+    this.timeoutMs = options.timeoutMs ?? 300000;
+    // One step per panel at a time
+    this.panelQueue = new KeyedQueue();
+    // Role → panel ID, so every step of a role lands on the same panel
+    this.rolePanels = new Map();
+  }
+
+  /**
+   * Run a workflow. Steps whose dependencies did not complete are skipped.
+   * @param {object} workflow - From loadWorkflow() or normalizeWorkflow()
+   * @returns {Promise<object>} Report { workflow, runId, file, status, variables, steps, startedAt, finishedAt, durationMs }
+   */
+  async run(workflow) {
+    const startedAt = Date.now();
+    const runId = `run-${startedAt.toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    const variables = { ...workflow.variables, ...this.variables };
+    const missing = missingVariables(workflow, variables);
+    if (missing.length > 0) {
+      throw new Error(`Workflow ${workflow.name} uses undefined variables: ${missing.join(', ')}`);
+    }
+    const scope = { ...variables, workflow: { name: workflow.name, runId }, steps: {} };
+    const results = new Map();
+    const running = new Map();
+    const pending = [...workflow.steps];
+
+    while (pending.length > 0 || running.size > 0) {
+      for (const step of [...pending]) {
+        if (!step.dependsOn.every(dep => results.has(dep))) continue;
+        pending.splice(pending.indexOf(step), 1);
+
+        const failedDep = step.dependsOn.find(dep => results.get(dep).status !== 'completed');
+        if (failedDep) {
+          const skipped = this.describeStep(step, { status: 'skipped', error: `Dependency ${failedDep} did not complete` });
+          results.set(step.id, skipped);
+          this.report(step, 'skipped', skipped.error);
+          continue;
+        }
+
+        running.set(step.id, this.runStep(step, scope, runId)
+          .catch(e => this.describeStep(step, { status: 'failed', error: e.message }))
+          .then(result => {
+            results.set(step.id, result);
+            scope.steps[step.id] = { output: result.output, status: result.status, panelId: result.panelId };
+            running.delete(step.id);
+          }));
+      }
+
+      if (running.size === 0) break;
+      await Promise.race(running.values());
+    }
+
+    const steps = workflow.steps.map(step => results.get(step.id));
+    const completed = steps.filter(step => step.status === 'completed').length;
+    const finishedAt = Date.now();
+    return {
+      workflow: workflow.name,
+      runId,
+      file: workflow.file,
+      status: completed === steps.length ? 'completed' : (completed > 0 ? 'partial' : 'failed'),
+      variables,
+      steps,
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: new Date(finishedAt).toISOString(),
+      durationMs: finishedAt - startedAt
+    };
+  }
+
+  /**
+   * Run one step on its panel, retrying until its success conditions are met
+   * @param {object} step - Normalized step
+   * @param {object} scope - Template scope
+   * @param {string} runId - Run ID, passed on as the message's taskId
+   */
+  async runStep(step, scope, runId) {
+    const prompt = renderTemplate(step.prompt, scope);
+    const panelId = await this.resolveStepPanel(step);
+
+    return this.panelQueue.run(panelId, async () => {
+      const startTime = Date.now();
+      let reply = null;
+      let failed = [];
+      let attempt = 0;
+
+      while (attempt <= step.retries) {
+        attempt++;
+        let message = prompt;
+        if (attempt > 1) {
+          this.report(step, 'retrying', `Attempt ${attempt}: ${failed.join('; ')}`, panelId);
+          if (reply.status === 'completed') {
+            message = `${prompt}\n\nYour previous reply did not meet these conditions: ${failed.join('; ')}. Try again.`;
+          } else if (reply.status !== 'timeout') {
+            await this.hub.cancel(panelId).catch(() => {});
+          }
+        }
+
+        this.report(step, 'working', attempt === 1 ? 'Sent' : 'Resent', panelId);
+        reply = await this.ask(panelId, message, step, `${runId}:${step.id}`);
+        if (reply.status === 'timeout') {
+          // Stopped now, not before a retry: after the last attempt the next step shares the panel
+          await this.hub.cancel(panelId).catch(() => {});
+        }
+        failed = checkSuccess(reply, step.success);
+        if (failed.length === 0 || reply.blocked) break;
+      }
+
+      const result = this.describeStep(step, {
+        status: failed.length === 0 ? 'completed' : 'failed',
+        panelId,
+        prompt,
+        output: reply.response || '',
+        attempts: attempt,
+        durationMs: Date.now() - startTime
+      });
+      if (failed.length > 0) {
+        result.failedConditions = failed;
+        result.error = reply.error || `Not met: ${failed.join('; ')}`;
+      }
+      this.report(step, result.status, result.status === 'completed'
+        ? (result.output.split('\n')[0] || '').slice(0, 120)
+        : result.error, panelId);
+      return result;
+    });
+  }
+
+  /**
+   * Send a prompt with send() and wait for the reply with getResponse()
+   * @param {string} panelId
+   * @param {string} message
+   * @param {object} step - For its timeoutMs
+   * @param {string} taskId - Passed to the hub's context provider
+   */
+  async ask(panelId, message, step, taskId) {
+    const since = (await this.hub.getConversation(panelId)).length;
+    const sent = await this.hub.send(panelId, message, { mode: this.mode, taskId });
+    if (!sent.sent) {
+      return { status: 'errored', response: '', error: sent.error || 'Message not sent', blocked: !!sent.blocked };
+    }
+    return this.hub.getResponse(panelId, { timeoutMs: step.timeoutMs ?? this.timeoutMs, since });
+  }
+
+  /**
+   * Panel a step runs on: its panel, else the role's panel. A role without
+   * one is activated if it is an agent, else gets a panel labelled "<role>-1".
+   * @param {object} step - Normalized step
+   * @returns {Promise<string>} Panel ID
+   */
+  async resolveStepPanel(step) {
+    if (step.panel !== null) {
+      const target = await this.hub.resolvePanel(step.panel);
+      if (!target) throw new Error(`Panel ${step.panel} not found`);
+      return target.id;
+    }
+
+    if (!this.rolePanels.has(step.role)) {
+      // Concurrent steps of one role share the lookup, and so the panel
+      this.rolePanels.set(step.role, this.findRolePanel(step.role).catch(error => {
+        this.rolePanels.delete(step.role);
+        throw error;
+      }));
+    }
+    return this.rolePanels.get(step.role);
+  }
+
+  /**
+   * Find or spawn the panel for a role
+   * @param {string} role
+   */
+  async findRolePanel(role) {
+    const existing = await this.hub.resolvePanel(role) || await this.hub.resolvePanel(`${role}-1`);
+    if (existing) return existing.id;
+
+    if (this.hub.getAgent(role)) {
+      const activated = await this.hub.activateAgent(role);
+      if (!activated.activated) throw new Error(`Could not activate ${role}: ${activated.error}`);
+      this.emit('panel', { role, label: activated.label, panelId: activated.panelId });
+      return activated.panelId;
+    }
+
+    const label = `${role}-1`;
+    const spawned = await this.hub.spawnCascade({ label });
+    if (!spawned.panelId) {
+      throw new Error(`Could not spawn a panel for ${role}`);
+    }
+    this.emit('panel', { role, label, panelId: spawned.panelId });
+    return spawned.panelId;
+  }
+
+  /**
+   * Report entry for a step
+   * @param {object} step - Normalized step
+   * @param {object} fields - status, panelId, prompt, output, attempts, durationMs, error
+   */
+  describeStep(step, fields) {
+    return {
+      id: step.id,
+      role: step.role,
+      panel: step.panel,
+      dependsOn: step.dependsOn,
+      panelId: null,
+      output: '',
+      attempts: 0,
+      ...fields
+    };
+  }
+
+  /**
+   * Emit a progress event for a step
+   * @param {object} step
+   * @param {string} status - working, retrying, completed, failed or skipped
+   * @param {string} message
+   * @param {string} panelId
+   */
+  report(step, status, message, panelId = null) {
+    this.emit('progress', { step: step.id, role: step.role, panelId, status, message });
+  }
+}
+
+module.exports = {
+  DEFAULT_RUNS_DIR,
+  WorkflowRunner,
+  loadWorkflow,
+  parseWorkflow,
+  normalizeWorkflow,
+  renderTemplate,
+  missingVariables,
+  checkSuccess,
+  writeReport
+};
@@ -7,13 +7,42 @@
  * then provides an interactive prompt for commands.
  */
 
+const fs = require('fs');
+const path = require('path');
 const readline = require('readline');
 const cascade = require('./index');
 
-const PORT = 9333;
+// cascade.config.js or .cascaderc.json, then CASCADE_* environment variables
+let config;
+try {
+  config = cascade.loadConfig();
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+}
+cascade.configure(config);
+
 let connected = false;
 let mounted = false;
 
+// Survives crashes: tasks a crashed session left running are requeued on load
+let queue;
+try {
+  queue = cascade.TaskQueue.load(cascade.DEFAULT_QUEUE_FILE, { resume: true });
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+}
+
+// Prompts and Cascade actions are screened; gated ones are put to the
+// terminal and the Agent Hub, and blocked if nobody answers in time
+const safety = new cascade.SafetyLayer({ ...config.safety, approver: askApproval });
+let repl = null;
+let terminalPrompts = Promise.resolve();
+
+// Panels per role for agents with instances in the config; started once connected
+const pool = new cascade.AgentPool({ config, hub: cascade.defaultController });
+
 // ANSI colors
 const colors = {
   reset: '\x1b[0m',
@@ -36,11 +65,24 @@ async function initialize() {
     log('╚═══════════════════════════════════════════╝', 'cyan');
     log('');
 
+    if (config.file) {
+      log(`✓ Config: ${path.relative(process.cwd(), config.file)}`, 'green');
+    }
+
     log('→ Connecting to Windsurf...', 'gray');
-    const result = await cascade.connect(PORT);
+    const result = await cascade.connect();
     connected = true;
     log(`✓ Connected to: ${result.pageTitle}`, 'green');
 
+    // Sandbox the window's workspace when it is known, else the current directory
+    const workspace = result.target?.workspace &&
+      decodeURIComponent(String(result.target.workspace).replace(/^file:\/\//, ''));
+    if (workspace && path.isAbsolute(workspace) && fs.existsSync(workspace)) {
+      safety.root = workspace;
+    }
+    cascade.setSafety(safety);
+    log(`✓ Safety layer on, sandbox: ${safety.root}`, 'green');
+
     log('→ Trusting workspace...', 'gray');
     await cascade.trustWorkspace();
 
@@ -56,6 +98,28 @@ async function initialize() {
     log(`  Handlers: ${mountResult.extraction.handlersExtracted}`, 'gray');
     log('');
 
+    watchConnection();
+
+    // Agents editing the same file are put to the Agent Hub
+    const conflicts = cascade.watchConflicts({ root: safety.root, action: 'ask' });
+    if (!conflicts.watching) {
+      log('⚠ Workspace files are not watched: conflicts are detected from edit cards alone', 'yellow');
+    }
+
+    if (pool.roles.size > 0) {
+      log('→ Starting agent pool...', 'gray');
+      const stats = await pool.start();
+      log(`✓ Agent pool: ${Object.entries(stats.roles).map(([role, info]) => `${role} ×${info.size}`).join(', ')}`, 'green');
+      pool.on('added', ({ label }) => log(`\n+ Pool panel ${label}`, 'gray'));
+      pool.on('retired', ({ label, reason }) => log(`\n- Pool panel ${label} retired (${reason})`, 'gray'));
+    }
+
+    const resumed = queue.pending.filter(item => item.interrupted).length;
+    if (queue.pending.length > 0) {
+      log(`→ Task queue: ${queue.pending.length} pending${resumed ? `, ${resumed} requeued after a crash` : ''}. Type "queue run" to continue.`, 'yellow');
+      log('');
+    }
+
     // startREPL();
   } catch (error) {
     log(`✗ Initialization failed: ${error.message}`, 'red');
@@ -64,12 +128,95 @@ async function initialize() {
   }
 }
 
+function watchConnection() {
+  const controller = cascade.defaultController;
+
+  controller.on('disconnected', ({ reason, unexpected }) => {
+    if (!unexpected) return;
+    connected = false;
+    log(`\n⚠ Connection lost (${reason}), reconnecting...`, 'yellow');
+  });
+
+  controller.on('reconnected', ({ attempts, remounted }) => {
+    connected = true;
+    mounted = remounted;
+    log(`✓ Reconnected after ${attempts} attempt(s)${remounted ? ', UI remounted' : ''}`, 'green');
+  });
+
+  controller.on('reloaded', ({ remounted, error }) => {
+    mounted = remounted;
+    if (error) log(`⚠ Window reloaded, remount failed: ${error.message}`, 'yellow');
+  });
+
+  controller.on('reconnect-failed', ({ attempts, error }) => {
+    log(`✗ Reconnect failed after ${attempts} attempt(s): ${error?.message}`, 'red');
+  });
+
+  controller.on('safety', (entry) => {
+    if (entry.allowed) return;
+    log(`\n✗ Safety: ${entry.decision} ${entry.type}${entry.label ? ` in ${entry.label}` : ''}: ${entry.reason}`, 'red');
+  });
+
+  controller.on('conflict', ({ file, first, second }) => {
+    log(`\n⚠ Conflict: ${file} edited by ${first.label || first.panelId}, then ${second.label || second.panelId}`, 'yellow');
+  });
+
+  controller.on('conflict-resolved', ({ file, action, panelId, error }) => {
+    log(`  ${file}: ${action} ${panelId}${error ? ` failed: ${error}` : ''}`, error ? 'red' : 'gray');
+  });
+}
+
+/**
+ * Approver for the safety layer: asks in the terminal and the Agent Hub,
+ * whichever answers first wins
+ */
+function askApproval(request) {
+  return Promise.race([
+    askTerminal(request),
+    cascade.defaultController.promptHubApproval(request)
+  ]);
+}
+
+/**
+ * Ask y/N in the terminal, one question at a time. Resolves null when the
+ * request is settled elsewhere or times out.
+ */
+function askTerminal(request) {
+  const ask = () => new Promise(resolve => {
+    if (request.signal.aborted) {
+      resolve(null);
+      return;
+    }
+
+    const rl = repl || readline.createInterface({ input: process.stdin, output: process.stdout });
+    let done = false;
+    const finish = (answer) => {
+      if (done) return;
+      done = true;
+      if (rl !== repl) rl.close();
+      resolve(answer);
+    };
+
+    log(`\n⚠ Approval needed: ${cascade.SafetyLayer.describe(request.operation)}`, 'yellow');
+    log(`  ${request.reason}`, 'gray');
+    request.signal.addEventListener('abort', () => finish(null), { once: true });
+    rl.question(`Approve? [y/N] (${Math.round(request.timeoutMs / 1000)}s) `, { signal: request.signal }, (answer) => {
+      finish(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+
+  const answer = terminalPrompts.then(ask);
+  terminalPrompts = answer.catch(() => null);
+  return answer;
+}
+
 function startREPL() {
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
     prompt: colors.cyan + 'cascade> ' + colors.reset
   });
+  repl = rl;
 
   log('Ready! Type "help" for available commands.', 'yellow');
   log('');
@@ -95,9 +242,25 @@ function startREPL() {
           if (args.length < 2) {
             log('Usage: send <panel> <message>', 'red');
           } else {
-            const panelIndex = parseInt(args[0]);
+            const panel = parsePanelRef(args[0]);
             const message = args.slice(1).join(' ');
-            await sendMessage(panelIndex, message);
+            await sendMessage(panel, message);
+          }
+          break;
+
+        case 'label':
+          if (args.length < 2) {
+            log('Usage: label <panel> <name>', 'red');
+          } else {
+            await labelPanel(parsePanelRef(args[0]), args[1]);
+          }
+          break;
+
+        case 'stop':
+          if (args.length < 1) {
+            log('Usage: stop <panel>', 'red');
+          } else {
+            await stopPanel(parsePanelRef(args[0]));
           }
           break;
 
@@ -105,8 +268,28 @@ function startREPL() {
           await listPanels();
           break;
 
+        case 'queue':
+          await queueCommand(args);
+          break;
+
+        case 'agents':
+          await listAgents();
+          break;
+
+        case 'pool':
+          showPool();
+          break;
+
+        case 'agent':
+          if (args.length < 1) {
+            log('Usage: agent <name> [panel]', 'red');
+          } else {
+            await activateAgent(args[0], args[1] === undefined ? undefined : parsePanelRef(args[1]));
+          }
+          break;
+
         case 'spawn':
-          await spawnPanel();
+          await spawnPanel(args[0]);
           break;
 
         case 'status':
@@ -148,8 +331,19 @@ function startREPL() {
 function showHelp() {
   log('\nAvailable commands:', 'bright');
   log('  send <panel> <message>  Send message to panel (e.g., send 0 Hello!)', 'gray');
+  log('  label <panel> <name>    Label a panel (e.g., label 0 builder-1)', 'gray');
+  log('  stop <panel>            Stop the response a panel is generating', 'gray');
   log('  list                    List all panels', 'gray');
-  log('  spawn                   Create new Cascade panel', 'gray');
+  log('  spawn [label]           Create new Cascade panel', 'gray');
+  log('  agents                  List agents and their panels', 'gray');
+  log('  queue [list]            List queued tasks', 'gray');
+  log('  queue add <task>        Queue a task (prefix with @agent to pick a panel)', 'gray');
+  log('  queue cancel <id>       Cancel a queued task', 'gray');
+  log('  queue run               Run queued tasks until the queue is drained', 'gray');
+  log('  agent <name> [panel]    Bind an agent to a panel (spawned if not given)', 'gray');
+  log('  pool                    Show agent pool panels and their load', 'gray');
+  log('', 'gray');
+  log('  <panel> is an index, a panel ID, a label or an agent name', 'gray');
   log('  status                  Show current status', 'gray');
   log('  restore                 Restore original Windsurf UI', 'gray');
   log('  help                    Show this help message', 'gray');
@@ -157,21 +351,30 @@ function showHelp() {
   log('');
 }
 
-async function sendMessage(panelIndex, message) {
-  log(`→ Sending to panel ${panelIndex}...`, 'gray');
+// Numeric refs are indexes, anything else is a panel ID, label or agent name
+function parsePanelRef(value) {
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
+async function sendMessage(panel, message) {
+  log(`→ Sending to panel ${panel}...`, 'gray');
 
-  const result = await cascade.send(panelIndex, message);
+  const result = await cascade.send(panel, message);
 
   if (result.sent) {
     log('✓ Message sent', 'green');
 
     log('→ Waiting for response...', 'gray');
-    const response = await cascade.getResponse(panelIndex, 15000);
+    const response = await cascade.getResponse(result.panelId, { timeoutMs: config.timeouts.response });
 
-    if (response.stable) {
+    if (response.status === 'completed') {
       log('\n--- Response ---', 'cyan');
       console.log(response.response);
       log('--- End ---\n', 'cyan');
+    } else if (response.status === 'awaiting-approval') {
+      log(`⚠ Waiting for approval: ${response.pendingApprovals.join(', ')}`, 'yellow');
+    } else if (response.status === 'errored') {
+      log(`✗ Cascade error: ${response.error}`, 'red');
     } else {
       log('⚠ Response timeout', 'yellow');
     }
@@ -191,19 +394,124 @@ async function listPanels() {
     panels.forEach(panel => {
       const status = panel.visible ? '✓' : '✗';
       const enabled = panel.buttonEnabled ? 'ready' : 'busy';
-      log(`  [${panel.index}] ${status} ${enabled} - ${panel.inputContent || '(empty)'}`, 'gray');
+      const name = panel.label ? `${panel.label} (${panel.id})` : panel.id;
+      log(`  [${panel.index}] ${name} ${status} ${enabled} - ${panel.inputContent || '(empty)'}`, 'gray');
     });
   }
   log('');
 }
 
-async function spawnPanel() {
+async function labelPanel(panel, label) {
+  const result = await cascade.labelPanel(panel, label);
+
+  if (result.labeled) {
+    log(`✓ Panel ${result.id} labeled ${result.label}`, 'green');
+  } else {
+    log(`✗ Label failed: ${result.error}`, 'red');
+  }
+}
+
+async function stopPanel(panel) {
+  const result = await cascade.cancel(panel);
+
+  if (result.cancelled) {
+    log(`✓ Stopped ${result.panelId}`, 'green');
+  } else if (result.idle) {
+    log(`✓ ${result.panelId} was not generating`, 'gray');
+  } else {
+    log(`✗ Stop failed: ${result.error}`, 'red');
+  }
+}
+
+async function queueCommand(args) {
+  const [sub = 'list', ...rest] = args;
+  // cli.js may have changed the queue file since
+  queue.refresh();
+
+  if (sub === 'list') {
+    const stats = queue.stats();
+    log(`\n${stats.pending} pending, ${stats.active} active, ${stats.completed} completed, ${stats.failed} failed`, 'bright');
+    queue.list().forEach(item => {
+      const color = { completed: 'green', failed: 'red', cancelled: 'red', active: 'cyan' }[item.status] || 'gray';
+      log(`  ${item.id} [${item.status}] ${item.role ? `@${item.role} ` : ''}${item.task}`, color);
+    });
+    log('');
+  } else if (sub === 'add') {
+    if (rest.length === 0) {
+      log('Usage: queue add [@agent] <task>', 'red');
+      return;
+    }
+    const role = rest[0].startsWith('@') ? rest.shift().slice(1) : null;
+    const id = queue.enqueue(rest.join(' '), { role });
+    log(`✓ Queued ${id}`, 'green');
+  } else if (sub === 'cancel') {
+    if (rest.length === 0) {
+      log('Usage: queue cancel <id>', 'red');
+      return;
+    }
+    queue.cancel(rest[0]);
+    log(`✓ Cancelled ${rest[0]}`, 'green');
+  } else if (sub === 'run') {
+    log('→ Running queued tasks...', 'gray');
+    const stats = await queue.drain(cascade.defaultController, {
+      timeoutMs: config.timeouts.task,
+      pool: pool.roles.size > 0 ? pool : null
+    });
+    log(`✓ ${stats.completed} completed, ${stats.failed} failed, ${stats.pending} pending`, 'green');
+  } else {
+    log('Usage: queue [list|add|cancel|run]', 'red');
+  }
+}
+
+async function listAgents() {
+  const agents = await cascade.listAgents();
+
+  log('\nAgents:', 'bright');
+  agents.forEach(agent => {
+    const binding = agent.panelId ? `${agent.label} (${agent.panelId})` : 'inactive';
+    log(`  ${agent.emoji} ${agent.name.padEnd(10)} ${binding}`, agent.panelId ? 'green' : 'gray');
+  });
+  log('');
+}
+
+async function activateAgent(name, panel) {
+  log(`→ Activating ${name}...`, 'gray');
+
+  const result = await cascade.activateAgent(name, { panel });
+
+  if (!result.activated) {
+    log(`✗ Activation failed: ${result.error}`, 'red');
+  } else if (result.error) {
+    log(`⚠ ${name} is on ${result.label}, but priming failed: ${result.error}`, 'yellow');
+  } else {
+    log(`✓ ${name} is on ${result.label}${result.spawned ? ' (spawned)' : ''}`, 'green');
+  }
+}
+
+function showPool() {
+  if (pool.roles.size === 0) {
+    log('No agent pool. Set agents.<role>.instances in cascade.config.js.', 'yellow');
+    return;
+  }
+
+  const stats = pool.stats();
+  log(`\nAgent pool: ${stats.size}/${stats.maxPanels} panels, ${Math.round(stats.utilization * 100)}% busy, ${stats.waiting} waiting`, 'bright');
+  Object.entries(stats.roles).forEach(([role, info]) => {
+    log(`  ${role.padEnd(10)} ${info.busy}/${info.size} busy (keeps ${info.instances}, max ${info.max ?? stats.maxPanels})${info.waiting ? `, ${info.waiting} waiting` : ''}`, 'gray');
+  });
+  stats.panels.forEach(panel => {
+    log(`    ${panel.label.padEnd(12)} ${panel.status.padEnd(8)} ${panel.completed} done, ${panel.failed} failed, ${Math.round(panel.utilization * 100)}% load`, panel.status === 'busy' ? 'cyan' : 'gray');
+  });
+  log('');
+}
+
+async function spawnPanel(label) {
   log('→ Spawning new panel...', 'gray');
 
-  const result = await cascade.spawnCascade();
+  const result = await cascade.spawnCascade({ label });
 
   if (result.spawned) {
-    log(`✓ Panel spawned at index ${result.newIndex}`, 'green');
+    log(`✓ Panel ${result.label || result.panelId} spawned at index ${result.newIndex}`, 'green');
     log(`  Total panels: ${result.afterCount}`, 'gray');
   } else {
     log('✗ Failed to spawn panel', 'red');
@@ -214,7 +522,8 @@ function showStatus() {
   log('\nStatus:', 'bright');
   log(`  Connected: ${connected ? '✓' : '✗'}`, connected ? 'green' : 'red');
   log(`  UI Hijacked: ${mounted ? '✓' : '✗'}`, mounted ? 'green' : 'red');
-  log(`  Port: ${PORT}`, 'gray');
+  log(`  Port: ${config.connection.port}`, 'gray');
+  log(`  Config: ${config.file || '(defaults)'}`, 'gray');
 
   const mountStatus = cascade.getHijackStatus();
   if (mountStatus) {
@@ -243,6 +552,7 @@ async function restoreUI() {
 
 async function cleanup() {
   log('\n→ Cleaning up...', 'gray');
+  pool.stop();
 
   if (mounted) {
     await cascade.restoreUI();
@@ -66,7 +66,7 @@ async function main() {
   // Step 8: Wait and get response
   console.log('\n8️⃣  Waiting for response...');
   const response = await cascade.getResponse(0, 15000);
-  if (response.stable) {
+  if (response.status === 'completed') {
     console.log('   ✓ Response received');
     console.log('   └─', response.response.substring(0, 100) + '...');
   } else {